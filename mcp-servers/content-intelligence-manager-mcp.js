@@ -2,6 +2,7 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { CallToolRequestSchema, ListToolsRequestSchema } from "@modelcontextprotocol/sdk/types.js";
 import fs from "fs";
+import os from "os";
 import path from "path";
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
@@ -10,6 +11,8 @@ import * as azdev from 'azure-devops-node-api';
 import * as msal from '@azure/msal-node';
 import open from 'open';
 import http from 'http';
+import Ajv from 'ajv';
+import { WorkItemErrorPolicy, WorkItemExpand } from 'azure-devops-node-api/interfaces/WorkItemTrackingInterfaces.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -17,7 +20,7 @@ const __dirname = dirname(__filename);
 // Load environment variables
 dotenv.config({ path: path.join(__dirname, '..', '.env') });
 
-const SERVER_VERSION = "0.5.0";
+const SERVER_VERSION = "0.6.0";
 
 // Azure DevOps configuration from environment
 const ADO_CONFIG = {
@@ -26,14 +29,50 @@ const ADO_CONFIG = {
   areaPath: process.env.ADO_AREA_PATH || process.env.ADO_PROJECT,
   iterationPath: process.env.ADO_ITERATION_PATH || process.env.ADO_PROJECT,
   defaultAssignee: process.env.ADO_DEFAULT_ASSIGNEE || '',
-  authCallbackPort: parseInt(process.env.ADO_AUTH_CALLBACK_PORT || '3000')
+  authCallbackPort: parseInt(process.env.ADO_AUTH_CALLBACK_PORT || '3000'),
+  // interactive (browser), device-code, client-credentials (service principal) or pat
+  authMode: (process.env.ADO_AUTH_MODE || (process.env.ADO_PAT ? 'pat' : 'interactive')).toLowerCase(),
+  pat: process.env.ADO_PAT,
+  tokenCachePath: process.env.ADO_TOKEN_CACHE_PATH || path.join(os.homedir(), '.doc2code', 'msal-token-cache.json')
 };
 
-// MSAL configuration for interactive authentication
+const AUTH_MODES = ['interactive', 'device-code', 'client-credentials', 'pat'];
+const ADO_SCOPES = ['499b84ac-1321-427f-aa17-267ca6975798/.default']; // Azure DevOps scope
+
+const AUTH_HINTS = {
+  'interactive': "A browser window should open for authentication. Please sign in with your Azure DevOps account.",
+  'device-code': "Open the verification URL printed in the server log and enter the code shown there.",
+  'client-credentials': "Check MSAL_CLIENT_ID, MSAL_CLIENT_SECRET and MSAL_TENANT_ID, and that the service principal has been added to the Azure DevOps organization.",
+  'pat': "Check that ADO_PAT is set, not expired and has the Work Items (Read & write) scope."
+};
+
+// MSAL token cache persisted to disk so a server restart reuses the previous sign-in
+const tokenCachePlugin = {
+  async beforeCacheAccess(cacheContext) {
+    try {
+      if (fs.existsSync(ADO_CONFIG.tokenCachePath)) {
+        cacheContext.tokenCache.deserialize(fs.readFileSync(ADO_CONFIG.tokenCachePath, 'utf-8'));
+      }
+    } catch (error) {
+      console.error(`Ignoring unreadable token cache ${ADO_CONFIG.tokenCachePath}: ${error.message}`);
+    }
+  },
+  async afterCacheAccess(cacheContext) {
+    if (cacheContext.cacheHasChanged) {
+      fs.mkdirSync(path.dirname(ADO_CONFIG.tokenCachePath), { recursive: true });
+      fs.writeFileSync(ADO_CONFIG.tokenCachePath, cacheContext.tokenCache.serialize(), { encoding: 'utf-8', mode: 0o600 });
+    }
+  }
+};
+
+// MSAL configuration for interactive, device code and client credential authentication
 const msalConfig = {
   auth: {
     clientId: process.env.MSAL_CLIENT_ID, // Visual Studio Code client ID (now from env)
-    authority: 'https://login.microsoftonline.com/common',
+    authority: `https://login.microsoftonline.com/${process.env.MSAL_TENANT_ID || 'common'}`,
+  },
+  cache: {
+    cachePlugin: tokenCachePlugin
   },
   system: {
     loggerOptions: {
@@ -48,81 +87,431 @@ const msalConfig = {
   }
 };
 
-// Token cache for storing auth tokens
-let tokenCache = null;
 let adoConnection = null;
+let adoConnectionExpiresAt = 0;
+// Device-code sign-in in progress: { prompt, result, error }, settled by MSAL polling in the background
+let pendingDeviceCode = null;
+
+// Hierarchy profiles: each item type is keyed by the JSON collection that holds it and lists
+// the ADO work item type it becomes, its ID prefix and the collections nested under it.
+function buildProcessProfile(description, workItemTypes) {
+  return {
+    description,
+    roots: ["epics", "features"],
+    item_types: {
+      epics: { type: "epic", work_item_type: "Epic", id_prefix: "E", children: ["features"] },
+      features: { type: "feature", work_item_type: "Feature", id_prefix: "F", children: ["user_stories", "bugs", "spikes"] },
+      user_stories: { type: "user_story", work_item_type: workItemTypes.user_stories, id_prefix: "US", children: ["tasks"] },
+      bugs: { type: "bug", work_item_type: "Bug", id_prefix: "B", children: ["tasks"] },
+      spikes: { type: "spike", work_item_type: workItemTypes.spikes, id_prefix: "SP", children: ["tasks"], tags: ["Spike"] },
+      tasks: { type: "task", work_item_type: "Task", id_prefix: "T", children: [] }
+    }
+  };
+}
+
+const HIERARCHY_PROFILES = {
+  agile: buildProcessProfile(
+    "Agile process: Epic → Feature → User Story / Bug / Spike → Task",
+    { user_stories: "User Story", spikes: "User Story" }
+  ),
+  scrum: buildProcessProfile(
+    "Scrum process: Epic → Feature → Product Backlog Item / Bug / Spike → Task",
+    { user_stories: "Product Backlog Item", spikes: "Product Backlog Item" }
+  ),
+  cmmi: buildProcessProfile(
+    "CMMI process: Epic → Feature → Requirement / Bug / Spike → Task",
+    { user_stories: "Requirement", spikes: "Requirement" }
+  )
+};
+
+const DEFAULT_HIERARCHY_PROFILE = process.env.ADO_HIERARCHY_PROFILE || "agile";
+
+// Resolves a profile name, a path to a JSON profile, or an inline custom profile. Custom
+// profiles may extend a built-in one and override or add item types.
+function resolveHierarchyProfile(profile = DEFAULT_HIERARCHY_PROFILE) {
+  if (typeof profile === "string") {
+    const builtIn = HIERARCHY_PROFILES[profile.toLowerCase()];
+    if (builtIn) return { name: profile.toLowerCase(), ...builtIn };
+    if (profile.toLowerCase().endsWith(".json") && fs.existsSync(profile)) {
+      return resolveHierarchyProfile(JSON.parse(fs.readFileSync(profile, "utf-8")));
+    }
+    throw new Error(`Unknown hierarchy profile '${profile}'. Use ${Object.keys(HIERARCHY_PROFILES).join(", ")}, a custom profile object or a path to a profile .json file`);
+  }
+
+  if (!profile || typeof profile !== "object") {
+    throw new Error("hierarchy_profile must be a profile name, a .json path or a profile object");
+  }
+
+  const base = profile.extends ? resolveHierarchyProfile(profile.extends) : { roots: [], item_types: {} };
+  const itemTypes = { ...base.item_types };
+  for (const [collection, definition] of Object.entries(profile.item_types || {})) {
+    itemTypes[collection] = {
+      type: collection.replace(/s$/, ""),
+      children: [],
+      ...base.item_types[collection],
+      ...definition
+    };
+  }
+
+  const resolved = {
+    name: profile.name || "custom",
+    description: profile.description || (profile.extends ? `Custom hierarchy based on ${base.name}` : "Custom hierarchy"),
+    roots: profile.roots || base.roots,
+    item_types: itemTypes
+  };
+
+  const problems = [];
+  if (!Array.isArray(resolved.roots) || resolved.roots.length === 0) problems.push("roots must list at least one collection");
+  for (const collection of resolved.roots || []) {
+    if (!itemTypes[collection]) problems.push(`root '${collection}' has no item type`);
+  }
+  for (const [collection, definition] of Object.entries(itemTypes)) {
+    if (!definition.work_item_type) problems.push(`${collection}: work_item_type is required`);
+    if (!definition.id_prefix) problems.push(`${collection}: id_prefix is required`);
+    for (const child of definition.children || []) {
+      if (!itemTypes[child]) problems.push(`${collection}: child collection '${child}' has no item type`);
+    }
+  }
+
+  // Nesting must terminate, otherwise schema generation and creation would recurse forever
+  const visit = (collection, trail) => {
+    if (trail.includes(collection)) {
+      problems.push(`cycle in children: ${[...trail, collection].join(" → ")}`);
+      return;
+    }
+    for (const child of itemTypes[collection]?.children || []) visit(child, [...trail, collection]);
+  };
+  (resolved.roots || []).forEach(root => visit(root, []));
+
+  if (problems.length > 0) throw new Error(`Invalid hierarchy profile: ${problems.join("; ")}`);
+  return resolved;
+}
+
+// Depth-first walk over every item of the profile's collections, parents before children.
+// The callback also receives the item's JSON pointer (e.g. /features/0/user_stories/2).
+function forEachWorkItem(data, profile, callback) {
+  const walk = (items, collection, parent, basePath) => {
+    const definition = profile.item_types[collection];
+    items.forEach((item, index) => {
+      const itemPath = `${basePath}/${collection}/${index}`;
+      callback(item, collection, definition, parent, itemPath);
+      for (const child of definition.children) {
+        if (Array.isArray(item?.[child])) walk(item[child], child, item, itemPath);
+      }
+    });
+  };
+  for (const root of profile.roots) {
+    if (Array.isArray(data?.[root])) walk(data[root], root, null, "");
+  }
+}
+
+const ITEM_TYPE_FIELDS = {
+  epic: {
+    title: "string",
+    description: "string (business outcome)",
+    acceptance_criteria: ["string", "..."]
+  },
+  feature: {
+    title: "string",
+    description: "string",
+    acceptance_criteria: ["string", "string", "..."]
+  },
+  user_story: {
+    title: "string",
+    description: "string",
+    acceptance_criteria: ["string", "string", "..."]
+  },
+  bug: {
+    title: "string",
+    repro_steps: "string (steps, expected and actual result)",
+    severity: "1 - Critical | 2 - High | 3 - Medium | 4 - Low",
+    acceptance_criteria: ["string", "..."]
+  },
+  spike: {
+    title: "string",
+    description: "string (question the spike answers)",
+    timebox: "string (e.g., 2d)",
+    acceptance_criteria: ["string (expected findings or decision)", "..."]
+  },
+  task: {
+    title: "string",
+    purpose: "string (WHY the task exists)",
+    implementation_details: "string (HOW to do it)",
+    dependencies: ["T2", "T3"],
+    assignee: "string (or 'unassigned')",
+    status: "todo | in-progress | done",
+    estimated_effort: "string (e.g., 3d, 8h)"
+  }
+};
+
+function describeItemSchema(profile, collection) {
+  const definition = profile.item_types[collection];
+  const schema = {
+    id: `string (unique, e.g., ${definition.id_prefix}1)`,
+    ...(ITEM_TYPE_FIELDS[definition.type] || ITEM_TYPE_FIELDS.feature),
+    source_anchors: ["string (WordParser block or section id)", "..."]
+  };
+  for (const child of definition.children) schema[child] = [describeItemSchema(profile, child)];
+  return schema;
+}
+
+const ITEM_TYPE_NOTES = {
+  epic: "Large business outcome spanning several features; typically delivered over multiple sprints or releases.",
+  feature: "Group of related user stories delivering a cohesive business capability or functionality.",
+  user_story: "Follows user-centric value expression. Provide acceptance_criteria array.",
+  bug: "Defect in existing behaviour. Provide repro_steps (steps, expected and actual result) and severity.",
+  spike: "Timeboxed research or investigation that answers a question before committing to implementation. Created as a backlog item tagged 'Spike'.",
+  task: "Actionable unit of work with purpose (why) and implementation_details (how)."
+};
+
+const ITEM_TYPE_PROPERTIES = {
+  bug: {
+    repro_steps: { type: "string" },
+    severity: { enum: ["1 - Critical", "2 - High", "3 - Medium", "4 - Low"] }
+  },
+  spike: {
+    timebox: { type: "string" }
+  },
+  task: {
+    purpose: { type: "string" },
+    implementation_details: { type: "string" },
+    assignee: { type: "string" },
+    status: { enum: ["todo", "in-progress", "done"] },
+    estimated_effort: { type: "string", pattern: "^\\d+(\\.\\d+)?\\s*[dDhH]$" }
+  }
+};
+
+// Formal JSON Schema (draft-07) for work-items.json under a hierarchy profile. Collections that
+// may not appear at a given level are declared as false so the error points at the exact key.
+function buildWorkItemsJsonSchema(profile) {
+  const collections = Object.keys(profile.item_types);
+  const collectionSchema = (allowed) => Object.fromEntries(collections.map(collection => [
+    collection,
+    allowed.includes(collection) ? { type: "array", items: { $ref: `#/definitions/${collection}` } } : false
+  ]));
+
+  const definitions = {};
+  for (const [collection, itemType] of Object.entries(profile.item_types)) {
+    definitions[collection] = {
+      type: "object",
+      description: `${itemType.work_item_type} (${itemType.type})`,
+      required: ["id", "title"],
+      properties: {
+        id: { type: "string", pattern: `^${itemType.id_prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\d+$` },
+        title: { type: "string", minLength: 1 },
+        description: { type: "string" },
+        acceptance_criteria: { type: "array", items: { type: "string" } },
+        dependencies: { type: "array", items: { type: "string", minLength: 1 }, uniqueItems: true },
+        source_anchors: { type: "array", items: { type: "string", minLength: 1 } },
+        sprint: { type: "string" },
+        ...ITEM_TYPE_PROPERTIES[itemType.type],
+        ...collectionSchema(itemType.children)
+      }
+    };
+  }
+
+  return {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    title: `work-items.json (${profile.name} hierarchy profile)`,
+    type: "object",
+    required: ["metadata"],
+    anyOf: profile.roots.map(root => ({ required: [root] })),
+    properties: {
+      ...collectionSchema(profile.roots),
+      metadata: {
+        type: "object",
+        properties: {
+          generated_at: { type: "string" },
+          source_document: { type: "string" },
+          parser_version: { type: "string" },
+          hierarchy_profile: { anyOf: [{ type: "string" }, { type: "object" }] }
+        }
+      }
+    },
+    definitions
+  };
+}
+
+function formatSchemaErrors(schemaErrors, profile) {
+  const messages = [];
+  for (const error of schemaErrors) {
+    // The root anyOf reports one 'required' error per alternative; summarize them once
+    if (error.schemaPath.startsWith("#/anyOf/")) continue;
+    const location = error.instancePath || "/";
+    if (error.keyword === "anyOf" && error.instancePath === "") {
+      messages.push(`${location}: must contain at least one root collection (${profile.roots.join(", ")})`);
+    } else if (error.keyword === "false schema") {
+      const key = error.instancePath.split("/").pop();
+      messages.push(`${location}: '${key}' is not allowed at this level of the '${profile.name}' hierarchy`);
+    } else if (error.keyword === "enum") {
+      messages.push(`${location}: ${error.message} (${error.params.allowedValues.join(", ")})`);
+    } else {
+      messages.push(`${location}: ${error.message}`);
+    }
+  }
+  return messages;
+}
+
+// Cross-reference checks the schema cannot express: duplicate IDs, unknown dependencies and cycles
+function checkWorkItemReferences(data, profile) {
+  const errors = [];
+  const itemPaths = new Map();
+  const dependencies = new Map();
+
+  forEachWorkItem(data, profile, (item, collection, itemType, parent, itemPath) => {
+    if (typeof item?.id !== "string") return;
+    if (itemPaths.has(item.id)) {
+      errors.push(`${itemPath}/id: duplicate ID '${item.id}' (first used at ${itemPaths.get(item.id)})`);
+    } else {
+      itemPaths.set(item.id, itemPath);
+    }
+    if (Array.isArray(item.dependencies)) {
+      dependencies.set(item.id, { itemPath, ids: item.dependencies.filter(id => typeof id === "string") });
+    }
+  });
+
+  for (const [id, { itemPath, ids }] of dependencies) {
+    ids.forEach((dependency, index) => {
+      if (dependency === id) errors.push(`${itemPath}/dependencies/${index}: '${id}' depends on itself`);
+      else if (!itemPaths.has(dependency)) errors.push(`${itemPath}/dependencies/${index}: unknown ID '${dependency}'`);
+    });
+  }
+
+  const state = new Map();
+  const reported = new Set();
+  const visit = (id, trail) => {
+    if (state.get(id) === "done") return;
+    if (state.get(id) === "visiting") {
+      const cycle = [...trail.slice(trail.indexOf(id)), id];
+      const key = cycle.slice(1).sort().join("|");
+      if (!reported.has(key)) {
+        reported.add(key);
+        errors.push(`${dependencies.get(id).itemPath}/dependencies: dependency cycle ${cycle.join(" → ")}`);
+      }
+      return;
+    }
+    state.set(id, "visiting");
+    for (const dependency of dependencies.get(id)?.ids || []) {
+      if (dependency !== id && itemPaths.has(dependency)) visit(dependency, [...trail, id]);
+    }
+    state.set(id, "done");
+  };
+  for (const id of dependencies.keys()) visit(id, []);
+
+  return errors;
+}
+
+function validateWorkItems(data, profile) {
+  const ajv = new Ajv({ allErrors: true });
+  const validate = ajv.compile(buildWorkItemsJsonSchema(profile));
+  const schemaValid = validate(data);
+  const schemaErrors = schemaValid ? [] : formatSchemaErrors(validate.errors, profile);
+  const referenceErrors = checkWorkItemReferences(data, profile);
+
+  return {
+    hierarchy_profile: profile.name,
+    root_collections: profile.roots.filter(root => Array.isArray(data?.[root])),
+    schema_valid: schemaValid,
+    references_valid: referenceErrors.length === 0,
+    errors: [...schemaErrors, ...referenceErrors],
+    // Deprecated: kept for callers of the features-only validation; use root_collections and schema_valid
+    has_features: Array.isArray(data?.features),
+    has_metadata: typeof data?.metadata === "object" && data.metadata !== null
+  };
+}
 
 async function getInstructions(args) {
-  const { instruction_type = "analysis" } = args;
+  const { instruction_type = "analysis", hierarchy_profile } = args;
 
-  if (instruction_type !== "analysis") {
+  if (!["analysis", "json_schema"].includes(instruction_type)) {
     return {
       content: [{
         type: "text",
         text: JSON.stringify({
           error: "Unsupported instruction_type",
-          supported: ["analysis"],
+          supported: ["analysis", "json_schema"],
           provided: instruction_type
         })
       }]
     };
   }
 
-  // Return guidance for producing the required Agile JSON (Feature → User Story → Task).
+  let profile;
+  try {
+    profile = resolveHierarchyProfile(hierarchy_profile);
+  } catch (e) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ error: "Invalid hierarchy_profile", details: e.message })
+      }]
+    };
+  }
+
+  if (instruction_type === "json_schema") {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          instruction_type,
+          hierarchy_profile: profile.name,
+          json_schema: buildWorkItemsJsonSchema(profile)
+        })
+      }]
+    };
+  }
+
+  // Roots already nested under an earlier root are described by reference to keep the schema readable
+  const schema = {};
+  const described = new Set();
+  for (const root of profile.roots) {
+    if (described.has(root)) {
+      schema[root] = `array (same shape as the nested '${root}' items; use when there is no higher level)`;
+      continue;
+    }
+    schema[root] = [describeItemSchema(profile, root)];
+    forEachWorkItem({ [root]: [schema[root][0]] }, profile, (item, collection) => described.add(collection));
+  }
+  schema.metadata = {
+    generated_at: "ISO 8601 timestamp",
+    source_document: "path/to/doc.docx",
+    parser_version: "string (WordParser server version, e.g. 0.6.3)",
+    hierarchy_profile: `string (profile name, e.g., ${profile.name})`
+  };
+
+  const collections = Object.entries(profile.item_types);
+  const nesting = collections
+    .filter(([, definition]) => definition.children.length > 0)
+    .map(([collection, definition]) => `${collection} > ${definition.children.join(" | ")}`);
+
+  // Return guidance for producing the work item JSON for the selected hierarchy profile.
   const schemaGuidance = {
-    overview: "Produce structured Agile requirements JSON (Features -> User Stories -> Tasks).",
-    required_top_level: ["features", "metadata"],
-    schema: {
-      features: [
-        {
-          id: "string (unique, e.g., F1)",
-          title: "string",
-          description: "string",
-          acceptance_criteria: ["string", "string", "..."],
-          user_stories: [
-            {
-              id: "string (unique within doc, e.g., US1)",
-              title: "string",
-              description: "string",
-              acceptance_criteria: ["string", "string", "..."],
-              tasks: [
-                {
-                  id: "string (unique, e.g., T1)",
-                  title: "string",
-                  purpose: "string (WHY the task exists)",
-                  implementation_details: "string (HOW to do it)",
-                  dependencies: ["T2", "T3"],
-                  assignee: "string (or 'unassigned')",
-                  status: "todo | in-progress | done",
-                  estimated_effort: "string (e.g., 3d, 8h)"
-                }
-              ]
-            }
-          ]
-        }
-      ],
-      metadata: {
-        generated_at: "ISO 8601 timestamp",
-        source_document: "path/to/doc.docx",
-        parser_version: "0.3.0 (from Word Parser metadata)"
-      }
+    overview: `Produce structured work item JSON (${profile.description}).`,
+    hierarchy_profile: {
+      name: profile.name,
+      roots: profile.roots,
+      item_types: profile.item_types
     },
+    required_top_level: ["metadata"],
+    root_collections: profile.roots,
+    schema,
     field_notes: {
-      feature: "Group of related user stories delivering a cohesive business capability or functionality.",
-      user_story: "Follows user-centric value expression. Provide acceptance_criteria array.",
-      task: "Actionable unit of work with purpose (why) and implementation_details (how)."
+      ...Object.fromEntries(collections
+        .map(([, definition]) => [definition.type, ITEM_TYPE_NOTES[definition.type]])
+        .filter(([, note]) => note)),
+      source_anchors: "Ids of the spec blocks the item was derived from: WordParser blocks[].id or classified_content[].block_id (section ids for whole sections). They are resolved against metadata.source_document with WordParser resolve_anchor and listed in the ADO description."
     },
     constraints: [
       "IDs must be unique across their level.",
-      "Maintain nesting: Features > User Stories > Tasks.",
+      `At least one root collection (${profile.roots.join(", ")}) must be present at the top level.`,
+      `Maintain nesting: ${nesting.join("; ")}.`,
       "All arrays present even if empty.",
-      "No extra top-level keys beyond features, metadata (unless explicitly extended)."
+      `No extra top-level keys beyond ${profile.roots.join(", ")}, metadata (unless explicitly extended).`,
+      "Set metadata.hierarchy_profile so that validation and ADO creation use the same profile.",
+      "dependencies must reference existing IDs and must not form cycles.",
+      "create_work_items_json validates against the formal JSON Schema (get_instructions with instruction_type 'json_schema') and refuses to write invalid data unless force=true."
     ],
-    recommended_id_strategy: {
-      feature: "F<number>",
-      user_story: "US<number>",
-      task: "T<number>"
-    },
+    recommended_id_strategy: Object.fromEntries(collections.map(([, definition]) => [definition.type, `${definition.id_prefix}<number>`])),
     minimal_example: {
       features: [
         {
@@ -142,6 +531,7 @@ async function getInstructions(args) {
                 "Form validates required fields",
                 "New user receives activation email"
               ],
+              source_anchors: ["user-creation.9e107d9d", "user-creation.e4d909c2"],
               tasks: [
                 {
                   id: "T1",
@@ -151,7 +541,8 @@ async function getInstructions(args) {
                   dependencies: [],
                   assignee: "unassigned",
                   status: "todo",
-                  estimated_effort: "8h"
+                  estimated_effort: "8h",
+                  source_anchors: ["user-creation.5d41402a"]
                 }
               ]
             }
@@ -160,14 +551,16 @@ async function getInstructions(args) {
       ],
       metadata: {
         generated_at: "2024-01-01T12:00:00.000Z",
-        source_document: "c:/docs/spec.docx"
+        source_document: "c:/docs/spec.docx",
+        hierarchy_profile: profile.name
       }
     },
     workitem_strategy: {
       pcf: "All PCF control related tasks go under one feature per control. UI related requirements become user stories. Figma nodes referenced in the dev docs should each be a task. Technical tasks (e.g., setup, data handling) become tasks.",
       plugin: "All plugin related tasks go under one feature per plugin. Each functional requirement becomes a user story. Technical tasks (e.g., setup, registration) become tasks.",
-      default: "Group related requirements into features. Each user-centric capability is a user story. Break down implementation steps into tasks."
-    }
+      default: "Group related requirements into features, and features into epics when the spec spans several business outcomes. Each user-centric capability is a user story. Defects become bugs and open questions that need investigation become spikes. Break down implementation steps into tasks."
+    },
+    first_pass: "draft_work_items applies these strategies deterministically to WordParser output (headings → features, 'As a … I want …' → user stories, bullets under acceptance headings → acceptance_criteria). Refine its draft rather than starting from scratch."
   };
 
   return {
@@ -187,7 +580,9 @@ async function createWorkItemsJson(args) {
     document_directory,
     source_document,
     file_name = "work-items.json",
-    overwrite = true
+    overwrite = true,
+    force = false,
+    hierarchy_profile
   } = args || {};
 
   if (!work_items) {
@@ -215,41 +610,44 @@ async function createWorkItemsJson(args) {
     data = work_items;
   }
 
-  // Basic schema validation (lightweight)
-  const validation = {
-    has_features: Array.isArray(data?.features),
-    has_metadata: typeof data?.metadata === "object",
-    feature_id_format_ok: true,
-    user_story_id_format_ok: true,
-    task_id_format_ok: true,
-    errors: []
-  };
-
-  if (!validation.has_features) validation.errors.push("Top-level 'features' array missing.");
-  if (!validation.has_metadata) validation.errors.push("Top-level 'metadata' object missing.");
-
-  const idPattern = {
-    feature: /^F\d+$/,
-    userStory: /^US\d+$/,
-    task: /^T\d+$/
-  };
-
-  if (validation.has_features) {
-    for (const feature of data.features) {
-      if (feature?.id && !idPattern.feature.test(feature.id)) validation.feature_id_format_ok = false;
-      if (Array.isArray(feature?.user_stories)) {
-        for (const us of feature.user_stories) {
-          if (us?.id && !idPattern.userStory.test(us.id)) validation.user_story_id_format_ok = false;
-          if (Array.isArray(us?.tasks)) {
-            for (const t of us.tasks) {
-              if (t?.id && !idPattern.task.test(t.id)) validation.task_id_format_ok = false;
-            }
-          }
-        }
+  let profile;
+  try {
+    profile = resolveHierarchyProfile(hierarchy_profile ?? data?.metadata?.hierarchy_profile);
+  } catch (e) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ error: "Invalid hierarchy_profile", details: e.message })
+      }]
+    };
+  }
+
+  // Auto add generated_at and the profile if missing
+  if (data && typeof data === "object" && !Array.isArray(data)) {
+    if (!data.metadata) data.metadata = {};
+    if (typeof data.metadata === "object") {
+      if (!data.metadata.generated_at) data.metadata.generated_at = new Date().toISOString();
+      if (hierarchy_profile !== undefined || !data.metadata.hierarchy_profile) {
+        data.metadata.hierarchy_profile = hierarchy_profile ?? profile.name;
       }
     }
   }
 
+  const validation = validateWorkItems(data, profile);
+
+  if (validation.errors.length > 0 && !force) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Work items failed validation; file not written",
+          validation,
+          hint: "Fix the listed errors (paths are JSON pointers into work_items) or pass force=true to write anyway."
+        })
+      }]
+    };
+  }
+
   const targetDir =
     document_directory ||
     (source_document ? path.dirname(source_document) : null) ||
@@ -276,10 +674,6 @@ async function createWorkItemsJson(args) {
       };
     }
 
-    // Auto add generated_at if missing
-    if (!data.metadata) data.metadata = {};
-    if (!data.metadata.generated_at) data.metadata.generated_at = new Date().toISOString();
-
     fs.writeFileSync(targetPath, JSON.stringify(data, null, 2), "utf-8");
 
     return {
@@ -288,6 +682,7 @@ async function createWorkItemsJson(args) {
         text: JSON.stringify({
           status: "success",
           path: targetPath,
+          forced: validation.errors.length > 0 || undefined,
           validation,
           bytes_written: fs.statSync(targetPath).size
         })
@@ -306,222 +701,2442 @@ async function createWorkItemsJson(args) {
   }
 }
 
-async function authenticateADO() {
-  return new Promise(async (resolve, reject) => {
-    const pca = new msal.PublicClientApplication(msalConfig);
+const DRAFT_STRATEGY_PATTERNS = {
+  pcf: /\bPCF\b|power ?apps component framework|code components?\b/i,
+  plugin: /\bplug-?ins?\b|\bIPlugin\b/i
+};
+const DRAFT_FEATURE_PATTERNS = {
+  pcf: /\b(control|component|pcf)\b/i,
+  plugin: /\bplug-?ins?\b/i
+};
+const META_HEADING_PATTERN = /^(\d+(\.\d+)*\.?\s+)?(introduction|overview|purpose|background|scope|glossary|definitions|terms|abbreviations|revision history|document history|change log|version history|table of contents|contents|references|appendix|approvals?|sign-?off|out of scope|assumptions|open questions|risks)\b/i;
+const ACCEPTANCE_HEADING_PATTERN = /\b(acceptance|definition of done|success criteria)\b/i;
+const TECHNICAL_HEADING_PATTERN = /\b(implementation|technical|tasks?|development|set-?up|configuration|registration|deployment|data handling)\b/i;
+const USER_STORY_PATTERN = /^\s*as an?\s+(.+?),?\s+I\s+(?:want|need|would like|can)\s+(?:to\s+)?(.+?)(?:,?\s+so that\s+(.+?))?\s*[.!]?\s*$/i;
+const UI_REQUIREMENT_PATTERN = /\b(display\w*|show\w*|button|click\w*|screen|layout|grid|card|chart|field|form|tooltip|colou?r|icon|responsive|view|visual\w*|hover|tab|label|theme|render\w*)\b/i;
+
+function draftTitle(text, maxLength = 80) {
+  const clean = String(text).replace(/\s+/g, " ").trim().replace(/[.:;,!]+$/, "");
+  const cut = clean.length > maxLength ? clean.slice(0, clean.lastIndexOf(" ", maxLength) > 0 ? clean.lastIndexOf(" ", maxLength) : maxLength) : clean;
+  return cut.charAt(0).toUpperCase() + cut.slice(1);
+}
 
-    // Try to get cached token first
-    const accounts = await pca.getTokenCache().getAllAccounts();
-    if (accounts.length > 0) {
-      try {
-        const result = await pca.acquireTokenSilent({
-          account: accounts[0],
-          scopes: ['499b84ac-1321-427f-aa17-267ca6975798/.default'] // Azure DevOps scope
-        });
+function detectDraftStrategy(parsed) {
+  const text = parsed.raw_text || (parsed.blocks || []).map(block => block.text).join("\n");
+  if (DRAFT_STRATEGY_PATTERNS.pcf.test(text)) return "pcf";
+  if (DRAFT_STRATEGY_PATTERNS.plugin.test(text)) return "plugin";
+  return "default";
+}
 
-        if (result && result.accessToken) {
-          resolve(result.accessToken);
-          return;
-        }
-      } catch (error) {
-        console.error('Silent token acquisition failed, falling back to interactive');
-      }
+// Feature sections: the top-level sections below a single document title, without overview-style
+// sections. For pcf/plugin content each control/plugin section is a feature of its own.
+function pickFeatureSections(sections, strategy) {
+  if (DRAFT_FEATURE_PATTERNS[strategy]) {
+    const order = [];
+    const matches = new Set();
+    const visit = (section, matched) => {
+      order.push(section);
+      const isMatch = !matched && DRAFT_FEATURE_PATTERNS[strategy].test(section.title);
+      if (isMatch) matches.add(section);
+      (section.children || []).forEach(child => visit(child, matched || isMatch));
+    };
+    sections.forEach(section => visit(section, false));
+    if (matches.size === 0) {
+      return sections.length === 1 ? sections : [{ id: null, title: null, text: "", children: sections }];
     }
 
-    // Interactive authentication with local server callback
-    const server = http.createServer(async (req, res) => {
-      const url = new URL(req.url, `http://localhost:${ADO_CONFIG.authCallbackPort}`);
-      const code = url.searchParams.get('code');
+    const containsMatch = (section) => matches.has(section) || (section.children || []).some(containsMatch);
+    const others = pickFeatureSections(sections, "default").filter(section => !containsMatch(section));
+    return order.filter(section => matches.has(section) || others.includes(section));
+  }
 
-      if (code) {
-        try {
-          const tokenRequest = {
-            code: code,
-            scopes: ['499b84ac-1321-427f-aa17-267ca6975798/.default'],
-            redirectUri: `http://localhost:${ADO_CONFIG.authCallbackPort}`
-          };
+  let roots = sections;
+  while (roots.length === 1 && (roots[0].children || []).length > 0) roots = roots[0].children;
+  return roots.filter(section => !META_HEADING_PATTERN.test(section.title));
+}
 
-          const response = await pca.acquireTokenByCode(tokenRequest);
+function draftWorkItems(parsed, strategy, profile) {
+  const sectionInfo = new Map();
+  const index = (section, parentId) => {
+    sectionInfo.set(section.id, { section, parentId });
+    (section.children || []).forEach(child => index(child, section.id));
+  };
+  (parsed.sections || []).forEach(section => index(section, null));
 
-          res.writeHead(200, { 'Content-Type': 'text/html' });
-          res.end('<html><body><h2>Authentication successful!</h2><p>You can close this window and return to the application.</p></body></html>');
+  const ancestry = (sectionId) => {
+    const chain = [];
+    for (let id = sectionId; id && sectionInfo.has(id); id = sectionInfo.get(id).parentId) chain.push(sectionInfo.get(id).section);
+    return chain;
+  };
 
-          server.close();
-          resolve(response.accessToken);
-        } catch (error) {
-          res.writeHead(500, { 'Content-Type': 'text/html' });
-          res.end('<html><body><h2>Authentication failed</h2><p>Please try again.</p></body></html>');
-          server.close();
-          reject(error);
-        }
-      }
-    });
+  const categories = new Map((parsed.classified_content || [])
+    .filter(entry => entry.block_id)
+    .map(entry => [entry.block_id, entry.category]));
+  const headingBlocks = new Map((parsed.blocks || [])
+    .filter(block => block.type === "heading")
+    .map(block => [block.section_id, block.id]));
+
+  const featureSections = pickFeatureSections(parsed.sections || [], strategy);
+  const documentWide = featureSections.length === 1 && featureSections[0].id === null;
+  const features = featureSections.map(section => ({
+    section,
+    item: {
+      title: draftTitle(section.title || parsed.sections?.[0]?.title || path.basename(parsed.document_path || "Document")),
+      description: (section.text || "").split("\n").filter(line => !USER_STORY_PATTERN.test(line)).join("\n").trim(),
+      acceptance_criteria: [],
+      source_anchors: headingBlocks.has(section.id) ? [headingBlocks.get(section.id)] : [],
+      user_stories: [],
+      spikes: []
+    },
+    currentStory: null,
+    technicalStory: null,
+    storyMode: "requirements"
+  }));
+  const featureBySection = new Map(features.map(feature => [feature.section.id, feature]));
+  const featureFor = (sectionId) => {
+    if (documentWide) return features[0];
+    return ancestry(sectionId).map(section => featureBySection.get(section.id)).find(Boolean) || null;
+  };
 
-    server.listen(ADO_CONFIG.authCallbackPort, async () => {
-      const authCodeUrlParameters = {
-        scopes: ['499b84ac-1321-427f-aa17-267ca6975798/.default'],
-        redirectUri: `http://localhost:${ADO_CONFIG.authCallbackPort}`
-      };
+  const blocksByFeature = new Map();
+  for (const block of parsed.blocks || []) {
+    const feature = featureFor(block.section_id);
+    if (feature) blocksByFeature.set(feature, [...(blocksByFeature.get(feature) || []), block]);
+  }
 
-      const authUrl = await pca.getAuthCodeUrl(authCodeUrlParameters);
-      console.error(`Opening browser for authentication: ${authUrl}`);
-      await open(authUrl);
+  // Default strategy: explicit "As a ..." sentences win, then sub-sections, then requirements
+  for (const feature of features) {
+    if (strategy !== "default") continue;
+    const blocks = blocksByFeature.get(feature) || [];
+    if (blocks.some(block => USER_STORY_PATTERN.test(block.text))) feature.storyMode = "sentences";
+    else if ((feature.section.children || []).some(child => !META_HEADING_PATTERN.test(child.title) && !ACCEPTANCE_HEADING_PATTERN.test(child.title) && !TECHNICAL_HEADING_PATTERN.test(child.title))) feature.storyMode = "sections";
+  }
+
+  const addStory = (feature, story) => {
+    const entry = { title: story.title, description: story.description, acceptance_criteria: [], source_anchors: story.source_anchors, tasks: [] };
+    feature.item.user_stories.push(entry);
+    feature.currentStory = entry;
+    return entry;
+  };
+  const technicalStory = (feature) => {
+    if (!feature.technicalStory) {
+      feature.technicalStory = { title: `Technical implementation: ${feature.item.title}`, description: "Technical setup and implementation work for the feature.", acceptance_criteria: [], source_anchors: [], tasks: [] };
+      feature.item.user_stories.push(feature.technicalStory);
+    }
+    return feature.technicalStory;
+  };
+  const addTask = (story, block, details = block.text) => {
+    story.tasks.push({
+      title: draftTitle(block.text),
+      purpose: `Deliver '${story.title}'`,
+      implementation_details: details,
+      dependencies: [],
+      assignee: "unassigned",
+      status: "todo",
+      source_anchors: [block.id]
     });
+  };
 
-    // Timeout after 5 minutes
-    const AUTH_TIMEOUT_MS = parseInt(process.env.ADO_AUTH_TIMEOUT_MS || '300000', 10); // Default 5 minutes
-    const authTimeout = setTimeout(() => {
-      server.close();
-      reject(new Error(`Authentication timeout after ${AUTH_TIMEOUT_MS}ms`));
-    }, AUTH_TIMEOUT_MS);
-  });
-}
+  const orphanSpikes = [];
+  const unmapped = [];
+
+  for (const block of parsed.blocks || []) {
+    const feature = featureFor(block.section_id);
+    const category = categories.get(block.id);
+    const spike = () => ({
+      title: draftTitle(`Investigate: ${block.text.replace(/^(TBD|TBC|TBA|open question)\s*[:-]\s*/i, "")}`),
+      description: block.text,
+      acceptance_criteria: ["Decision documented and spec updated"],
+      source_anchors: [block.id],
+      tasks: []
+    });
 
-async function getADOConnection() {
-  if (!adoConnection) {
-    const token = await authenticateADO();
-    const authHandler = azdev.getBearerHandler(token);
-    adoConnection = new azdev.WebApi(
-      `https://dev.azure.com/${ADO_CONFIG.organization}`,
-      authHandler
-    );
-  }
-  return adoConnection;
-}
+    if (!feature) {
+      if (category === "open_question") orphanSpikes.push(spike());
+      else if (block.type !== "heading") unmapped.push(block.id);
+      continue;
+    }
 
-function mapWorkItemType(itemType) {
-  const typeMap = {
-    'feature': 'Feature',
-    'epic': 'Epic',
-    'user_story': 'User Story',
-    'task': 'Task'
-  };
-  return typeMap[itemType] || 'Task';
-}
+    const headings = ancestry(block.section_id)
+      .filter(section => section !== feature.section)
+      .map(section => section.title);
+    const under = (pattern) => headings.some(title => pattern.test(title));
+
+    if (block.type === "heading") {
+      if (block.section_id === feature.section.id) continue;
+      const section = sectionInfo.get(block.section_id)?.section;
+      if (feature.storyMode === "sections" && sectionInfo.get(block.section_id)?.parentId === feature.section.id &&
+        !META_HEADING_PATTERN.test(section.title) && !ACCEPTANCE_HEADING_PATTERN.test(section.title) && !TECHNICAL_HEADING_PATTERN.test(section.title)) {
+        addStory(feature, { title: draftTitle(section.title), description: section.text || "", source_anchors: [block.id] });
+      }
+      continue;
+    }
 
-function createWorkItemPatch(item, itemType, parentPath = null) {
-  const patch = [];
+    const storyMatch = USER_STORY_PATTERN.exec(block.text);
+    if (storyMatch) {
+      addStory(feature, { title: draftTitle(storyMatch[2]), description: block.text.trim(), source_anchors: [block.id] });
+      continue;
+    }
 
-  // Add title
-  patch.push({
-    op: 'add',
-    path: '/fields/System.Title',
-    value: item.title
-  });
+    if (under(ACCEPTANCE_HEADING_PATTERN) && block.type === "list_item") {
+      const target = feature.currentStory || feature.item;
+      target.acceptance_criteria.push(block.text.trim());
+      target.source_anchors.push(block.id);
+      continue;
+    }
 
-  // Add description
-  if (item.description) {
-    patch.push({
-      op: 'add',
-      path: '/fields/System.Description',
-      value: item.description
-    });
+    if (category === "open_question") {
+      feature.item.spikes.push(spike());
+      continue;
+    }
+
+    if (under(TECHNICAL_HEADING_PATTERN) && block.type === "list_item") {
+      addTask(feature.currentStory || technicalStory(feature), block);
+      continue;
+    }
+
+    const requirement = category === "functional_requirement" || category === "non_functional_requirement";
+    if (strategy === "pcf" && requirement) {
+      if (UI_REQUIREMENT_PATTERN.test(block.text)) addStory(feature, { title: draftTitle(block.text), description: block.text.trim(), source_anchors: [block.id] });
+      else addTask(technicalStory(feature), block);
+    } else if (strategy === "plugin" && category === "functional_requirement") {
+      addStory(feature, { title: draftTitle(block.text), description: block.text.trim(), source_anchors: [block.id] });
+    } else if (feature.storyMode === "requirements" && category === "functional_requirement") {
+      addStory(feature, { title: draftTitle(block.text), description: block.text.trim(), source_anchors: [block.id] });
+    } else if (category === "acceptance_criterion") {
+      const target = feature.currentStory || feature.item;
+      target.acceptance_criteria.push(block.text.trim());
+      target.source_anchors.push(block.id);
+    } else if (feature.currentStory && requirement) {
+      const normalize = (text) => text.replace(/\s+/g, " ").trim();
+      if (!normalize(feature.currentStory.description).includes(normalize(block.text))) {
+        feature.currentStory.description = [feature.currentStory.description, block.text.trim()].filter(Boolean).join("\n");
+      }
+      feature.currentStory.source_anchors.push(block.id);
+    } else if (requirement) {
+      unmapped.push(block.id);
+    }
   }
 
-  // Add acceptance criteria
+  // PCF: each referenced Figma node becomes a task under the story from the same section
+  if (strategy === "pcf") {
+    for (const reference of parsed.figma_references || []) {
+      const feature = featureFor(reference.section_id);
+      if (!feature) continue;
+      const sectionAnchors = new Set((parsed.blocks || []).filter(block => block.section_id === reference.section_id).map(block => block.id));
+      const story = [...feature.item.user_stories].reverse()
+        .find(candidate => candidate !== feature.technicalStory && candidate.source_anchors.some(anchor => sectionAnchors.has(anchor))) ||
+        feature.item.user_stories.find(candidate => candidate !== feature.technicalStory) ||
+        technicalStory(feature);
+      story.tasks.push({
+        title: draftTitle(`Implement Figma node ${reference.node_id || reference.file_key}${reference.link_text ? ` (${reference.link_text})` : ""}`),
+        purpose: "Match the UI to the referenced Figma design",
+        implementation_details: reference.url,
+        dependencies: [],
+        assignee: "unassigned",
+        status: "todo",
+        source_anchors: headingBlocks.has(reference.section_id) ? [headingBlocks.get(reference.section_id)] : []
+      });
+    }
+  }
+
+  const draftedFeatures = features.map(feature => feature.item);
+  if (orphanSpikes.length > 0) {
+    draftedFeatures.push({
+      title: "Open questions",
+      description: "Questions raised outside the feature sections of the spec.",
+      acceptance_criteria: [],
+      source_anchors: [],
+      user_stories: [],
+      spikes: orphanSpikes
+    });
+  }
+
+  // Sequential IDs per collection using the profile's prefixes
+  const counters = {};
+  const nextId = (collection) => {
+    counters[collection] = (counters[collection] || 0) + 1;
+    return `${profile.item_types[collection].id_prefix}${counters[collection]}`;
+  };
+  const supportsSpikes = profile.item_types.features.children.includes("spikes");
+  const droppedSpikes = [];
+  const withIds = (item, collection) => {
+    const result = { id: nextId(collection), ...item };
+    for (const child of profile.item_types[collection].children) {
+      if (Array.isArray(item[child])) result[child] = item[child].map(entry => withIds(entry, child));
+    }
+    return result;
+  };
+
+  const workItems = draftedFeatures
+    .filter(feature => feature.user_stories.length > 0 || feature.spikes.length > 0 || feature.acceptance_criteria.length > 0)
+    .map(feature => {
+      if (!supportsSpikes) {
+        droppedSpikes.push(...feature.spikes.map(entry => entry.description));
+        const { spikes, ...rest } = feature;
+        return withIds(rest, "features");
+      }
+      return withIds(feature, "features");
+    });
+
+  return {
+    features: workItems,
+    unmapped,
+    dropped_spikes: droppedSpikes
+  };
+}
+
+async function draftWorkItemsTool(args) {
+  const {
+    parsed_document,
+    parsed_document_path,
+    strategy = "auto",
+    hierarchy_profile,
+    write = false,
+    document_directory,
+    file_name = "work-items.json",
+    overwrite = true,
+    force = false
+  } = args || {};
+
+  let parsed;
+  try {
+    if (parsed_document) {
+      parsed = typeof parsed_document === "string" ? JSON.parse(parsed_document) : parsed_document;
+    } else if (parsed_document_path) {
+      parsed = JSON.parse(fs.readFileSync(parsed_document_path, "utf-8"));
+    } else {
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({ error: "Provide 'parsed_document' (WordParser parse_document output) or 'parsed_document_path'" })
+        }]
+      };
+    }
+  } catch (e) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ error: "Failed to read parsed document", details: e.message })
+      }]
+    };
+  }
+
+  if (!Array.isArray(parsed?.sections) || !Array.isArray(parsed?.blocks)) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Parsed document has no sections or blocks",
+          hint: "Pass the full WordParser parse_document result (not a chunked summary; omit max_chunk_chars)."
+        })
+      }]
+    };
+  }
+
+  if (!["auto", "default", "pcf", "plugin"].includes(strategy)) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ error: "Unsupported strategy", supported: ["auto", "default", "pcf", "plugin"], provided: strategy })
+      }]
+    };
+  }
+
+  let profile;
+  try {
+    profile = resolveHierarchyProfile(hierarchy_profile);
+  } catch (e) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ error: "Invalid hierarchy_profile", details: e.message })
+      }]
+    };
+  }
+
+  if (!profile.roots.includes("features") || !profile.item_types.features.children.includes("user_stories") ||
+    !profile.item_types.user_stories?.children.includes("tasks")) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Hierarchy profile is not supported by draft_work_items",
+          details: "The profile needs a 'features' root with 'user_stories' children that hold 'tasks'."
+        })
+      }]
+    };
+  }
+
+  const appliedStrategy = strategy === "auto" ? detectDraftStrategy(parsed) : strategy;
+  const draft = draftWorkItems(parsed, appliedStrategy, profile);
+  const workItems = {
+    features: draft.features,
+    metadata: {
+      generated_at: new Date().toISOString(),
+      source_document: parsed.document_path,
+      hierarchy_profile: hierarchy_profile ?? profile.name,
+      generator: `draft_work_items (${appliedStrategy} strategy)`
+    }
+  };
+
+  const summary = { features: 0, user_stories: 0, spikes: 0, tasks: 0 };
+  forEachWorkItem(workItems, profile, (item, collection) => {
+    if (collection in summary) summary[collection]++;
+  });
+
+  const result = {
+    status: "success",
+    strategy: appliedStrategy,
+    hierarchy_profile: profile.name,
+    summary,
+    unmapped_blocks: draft.unmapped.length > 0 ? draft.unmapped : undefined,
+    dropped_open_questions: draft.dropped_spikes.length > 0 ? draft.dropped_spikes : undefined,
+    validation: validateWorkItems(workItems, profile),
+    work_items: workItems
+  };
+
+  if (write) {
+    const written = await createWorkItemsJson({
+      work_items: workItems,
+      document_directory,
+      source_document: parsed.document_path,
+      file_name,
+      overwrite,
+      force,
+      hierarchy_profile
+    });
+    result.write_result = JSON.parse(written.content[0].text);
+  }
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify(result)
+    }]
+  };
+}
+
+// Resolves the MSAL authentication result (access token and expiry) for the configured mode
+async function authenticateADO() {
+  if (!msalConfig.auth.clientId) {
+    throw new Error(`ADO_AUTH_MODE=${ADO_CONFIG.authMode} requires MSAL_CLIENT_ID`);
+  }
+
+  if (ADO_CONFIG.authMode === 'client-credentials') {
+    if (!process.env.MSAL_CLIENT_SECRET || !process.env.MSAL_TENANT_ID) {
+      throw new Error("ADO_AUTH_MODE=client-credentials requires MSAL_CLIENT_SECRET and MSAL_TENANT_ID");
+    }
+    const cca = new msal.ConfidentialClientApplication({
+      ...msalConfig,
+      auth: { ...msalConfig.auth, clientSecret: process.env.MSAL_CLIENT_SECRET }
+    });
+    return await cca.acquireTokenByClientCredential({ scopes: ADO_SCOPES });
+  }
+
+  const pca = new msal.PublicClientApplication(msalConfig);
+
+  // Try to get cached token first
+  const accounts = await pca.getTokenCache().getAllAccounts();
+  if (accounts.length > 0) {
+    try {
+      const result = await pca.acquireTokenSilent({
+        account: accounts[0],
+        scopes: ADO_SCOPES
+      });
+
+      if (result && result.accessToken) {
+        return result;
+      }
+    } catch (error) {
+      console.error(`Silent token acquisition failed, falling back to ${ADO_CONFIG.authMode}`);
+    }
+  }
+
+  const AUTH_TIMEOUT_MS = parseInt(process.env.ADO_AUTH_TIMEOUT_MS || '300000', 10); // Default 5 minutes
+
+  // The tool call returns the verification URL and code instead of blocking; MSAL keeps polling
+  // and the next call picks up the token once the user has signed in
+  if (ADO_CONFIG.authMode === 'device-code') {
+    if (!pendingDeviceCode) {
+      const signIn = { prompt: null, result: null, error: null };
+      pendingDeviceCode = signIn;
+      await new Promise(promptShown => {
+        pca.acquireTokenByDeviceCode({
+          scopes: ADO_SCOPES,
+          timeout: Math.ceil(AUTH_TIMEOUT_MS / 1000),
+          deviceCodeCallback: (response) => {
+            console.error(response.message);
+            signIn.prompt = {
+              verification_uri: response.verificationUri,
+              user_code: response.userCode,
+              expires_at: new Date(Date.now() + response.expiresIn * 1000).toISOString(),
+              message: response.message
+            };
+            promptShown();
+          }
+        }).then(
+          (result) => { signIn.result = result; },
+          (error) => { signIn.error = error; promptShown(); }
+        );
+      });
+    }
+
+    const signIn = pendingDeviceCode;
+    if (signIn.result || signIn.error) {
+      pendingDeviceCode = null;
+      if (signIn.error) throw signIn.error;
+      return signIn.result;
+    }
+    const error = new Error("Device code sign-in required");
+    error.deviceCode = signIn.prompt;
+    throw error;
+  }
+
+  return await acquireTokenInteractive(pca, AUTH_TIMEOUT_MS);
+}
+
+function authenticationFailedResponse(error) {
+  if (error.deviceCode) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          status: "authentication_required",
+          ...error.deviceCode,
+          hint: "Open the verification URL, enter the code and sign in, then call this tool again."
+        })
+      }]
+    };
+  }
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({
+        error: "Authentication failed",
+        details: error.message,
+        hint: AUTH_HINTS[ADO_CONFIG.authMode] || `Set ADO_AUTH_MODE to one of: ${AUTH_MODES.join(", ")}`
+      })
+    }]
+  };
+}
+
+// Browser sign-in with a local server receiving the authorization code
+function acquireTokenInteractive(pca, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    let authTimeout;
+    const server = http.createServer(async (req, res) => {
+      const url = new URL(req.url, `http://localhost:${ADO_CONFIG.authCallbackPort}`);
+      const code = url.searchParams.get('code');
+
+      if (code) {
+        try {
+          const tokenRequest = {
+            code: code,
+            scopes: ADO_SCOPES,
+            redirectUri: `http://localhost:${ADO_CONFIG.authCallbackPort}`
+          };
+
+          const response = await pca.acquireTokenByCode(tokenRequest);
+
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end('<html><body><h2>Authentication successful!</h2><p>You can close this window and return to the application.</p></body></html>');
+
+          clearTimeout(authTimeout);
+          server.close();
+          resolve(response);
+        } catch (error) {
+          res.writeHead(500, { 'Content-Type': 'text/html' });
+          res.end('<html><body><h2>Authentication failed</h2><p>Please try again.</p></body></html>');
+          clearTimeout(authTimeout);
+          server.close();
+          reject(error);
+        }
+      }
+    });
+
+    server.on('error', (error) => {
+      clearTimeout(authTimeout);
+      reject(error);
+    });
+
+    server.listen(ADO_CONFIG.authCallbackPort, async () => {
+      const authCodeUrlParameters = {
+        scopes: ADO_SCOPES,
+        redirectUri: `http://localhost:${ADO_CONFIG.authCallbackPort}`
+      };
+
+      const authUrl = await pca.getAuthCodeUrl(authCodeUrlParameters);
+      console.error(`Opening browser for authentication: ${authUrl}`);
+      try {
+        await open(authUrl);
+      } catch (error) {
+        console.error(`Could not open a browser (${error.message}); open the URL above manually`);
+      }
+    });
+
+    // Timeout after 5 minutes
+    authTimeout = setTimeout(() => {
+      server.close();
+      reject(new Error(`Authentication timeout after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+}
+
+async function getADOConnection() {
+  if (!AUTH_MODES.includes(ADO_CONFIG.authMode)) {
+    throw new Error(`Unknown ADO_AUTH_MODE '${ADO_CONFIG.authMode}'. Supported: ${AUTH_MODES.join(', ')}`);
+  }
+
+  if (ADO_CONFIG.authMode === 'pat') {
+    if (!ADO_CONFIG.pat) throw new Error("ADO_AUTH_MODE=pat requires ADO_PAT");
+    if (!adoConnection) {
+      adoConnection = new azdev.WebApi(
+        `https://dev.azure.com/${ADO_CONFIG.organization}`,
+        azdev.getPersonalAccessTokenHandler(ADO_CONFIG.pat)
+      );
+    }
+    return adoConnection;
+  }
+
+  // Bearer tokens expire after about an hour; renew (from the token cache) shortly before that
+  if (!adoConnection || Date.now() > adoConnectionExpiresAt - 5 * 60 * 1000) {
+    const result = await authenticateADO();
+    const authHandler = azdev.getBearerHandler(result.accessToken);
+    adoConnection = new azdev.WebApi(
+      `https://dev.azure.com/${ADO_CONFIG.organization}`,
+      authHandler
+    );
+    adoConnectionExpiresAt = result.expiresOn ? new Date(result.expiresOn).getTime() : Infinity;
+  }
+  return adoConnection;
+}
+
+const STATE_MAP = {
+  'todo': 'New',           // Changed from 'To Do' to 'New'
+  'in-progress': 'Active', // Changed from 'In Progress' to 'Active'
+  'done': 'Done'
+};
+
+// ADO states across the Agile, Scrum and CMMI processes mapped back to work-items.json status
+const REMOTE_STATUS_MAP = {
+  'New': 'todo',
+  'To Do': 'todo',
+  'Proposed': 'todo',
+  'Approved': 'todo',
+  'Active': 'in-progress',
+  'In Progress': 'in-progress',
+  'Committed': 'in-progress',
+  'Resolved': 'in-progress',
+  'Done': 'done',
+  'Closed': 'done',
+  'Completed': 'done'
+};
+
+const HOURS_PER_DAY = 8;
+
+// Parse effort (e.g., "3d" -> 24 hours, "8h" -> 8 hours)
+function effortToHours(estimatedEffort) {
+  if (typeof estimatedEffort !== 'string') return undefined;
+  const effort = estimatedEffort.trim().toLowerCase();
+  let hours = 0;
+  if (effort.endsWith('d')) {
+    hours = parseFloat(effort) * HOURS_PER_DAY;
+  } else if (effort.endsWith('h')) {
+    hours = parseFloat(effort);
+  }
+  return hours > 0 ? hours : undefined;
+}
+
+// Field mapping: ADO work item type names, field reference names, states, tags and custom fields.
+// A mapping file overrides these defaults globally and per item type ("types": { "bug": { ... } }).
+const DEFAULT_FIELD_MAPPING = {
+  fields: {
+    title: 'System.Title',
+    description: 'System.Description',
+    acceptance_criteria: 'Microsoft.VSTS.Common.AcceptanceCriteria',
+    area_path: 'System.AreaPath',
+    iteration_path: 'System.IterationPath',
+    state: 'System.State',
+    assignee: 'System.AssignedTo',
+    original_estimate: 'Microsoft.VSTS.Scheduling.OriginalEstimate',
+    repro_steps: 'Microsoft.VSTS.TCM.ReproSteps',
+    severity: 'Microsoft.VSTS.Common.Severity',
+    tags: 'System.Tags'
+  },
+  states: STATE_MAP,
+  initial_state: null,
+  transitions: {},
+  tags: ['FTEBuddy', 'Generated', '{id}', 'Source:{source_name}'],
+  custom_fields: {}
+};
+
+// Fields that createWorkItemPatch only writes for some item types
+const TYPE_SPECIFIC_FIELDS = {
+  original_estimate: ['task'],
+  repro_steps: ['bug'],
+  severity: ['bug']
+};
+
+const FIELD_MAPPING_KEYS = ['work_item_type', 'fields', 'states', 'initial_state', 'transitions', 'tags', 'custom_fields'];
+
+function loadFieldMapping(fieldMapping = process.env.ADO_FIELD_MAPPING_PATH, profile) {
+  let mapping = fieldMapping || {};
+  if (typeof mapping === 'string') {
+    if (!fs.existsSync(mapping)) throw new Error(`Field mapping file not found: ${mapping}`);
+    mapping = JSON.parse(fs.readFileSync(mapping, 'utf-8'));
+  }
+
+  const problems = [];
+  const knownTypes = new Set(Object.values(profile.item_types).map(itemType => itemType.type));
+  const checkSection = (section, label) => {
+    for (const key of Object.keys(section)) {
+      if (!FIELD_MAPPING_KEYS.includes(key)) problems.push(`${label}: unknown key '${key}'`);
+    }
+    for (const [key, reference] of Object.entries(section.fields || {})) {
+      if (!(key in DEFAULT_FIELD_MAPPING.fields)) problems.push(`${label}.fields: unknown field '${key}' (use custom_fields for additional fields)`);
+      else if (reference !== null && typeof reference !== 'string') problems.push(`${label}.fields.${key}: must be a field reference name or null`);
+    }
+    if (section.tags !== undefined && (!Array.isArray(section.tags) || !section.tags.every(tag => typeof tag === 'string'))) {
+      problems.push(`${label}.tags: must be an array of tag templates`);
+    }
+    for (const [state, steps] of Object.entries(section.transitions || {})) {
+      if (!Array.isArray(steps) || steps.length === 0 || steps[steps.length - 1] !== state) {
+        problems.push(`${label}.transitions.${state}: must be a list of states ending with '${state}'`);
+      }
+    }
+  };
+
+  const { description, types = {}, ...global } = mapping;
+  checkSection(global, 'field_mapping');
+  if (global.work_item_type !== undefined) problems.push("field_mapping: work_item_type can only be set per type");
+  for (const [type, section] of Object.entries(types)) {
+    if (!knownTypes.has(type)) problems.push(`field_mapping.types: '${type}' is not an item type of the '${profile.name}' profile`);
+    else checkSection(section, `field_mapping.types.${type}`);
+  }
+  if (problems.length > 0) throw new Error(`Invalid field mapping: ${problems.join('; ')}`);
+
+  return { ...mapping, types };
+}
+
+// Profile item type combined with its field mapping; used everywhere an item is sent to ADO
+function resolveTypeMapping(mapping, itemType) {
+  const override = mapping.types[itemType.type] || {};
+  const pick = (key) => override[key] ?? mapping[key] ?? DEFAULT_FIELD_MAPPING[key];
+  return {
+    ...itemType,
+    work_item_type: override.work_item_type || itemType.work_item_type,
+    fields: { ...DEFAULT_FIELD_MAPPING.fields, ...mapping.fields, ...override.fields },
+    states: { ...DEFAULT_FIELD_MAPPING.states, ...mapping.states, ...override.states },
+    initial_state: pick('initial_state'),
+    transitions: { ...mapping.transitions, ...override.transitions },
+    tag_templates: pick('tags'),
+    custom_fields: { ...mapping.custom_fields, ...override.custom_fields }
+  };
+}
+
+function resolveMappedTypes(mapping, profile) {
+  return Object.fromEntries(Object.entries(profile.item_types)
+    .map(([collection, itemType]) => [collection, resolveTypeMapping(mapping, itemType)]));
+}
+
+// "{id}" style placeholders are filled from the item, then from the context; a template that is
+// a single placeholder keeps the value's type (numbers stay numbers)
+function renderMappingTemplate(template, item, context) {
+  if (typeof template !== 'string') return template;
+  const valueOf = (key) => {
+    const value = item[key] ?? context[key];
+    return Array.isArray(value) ? value.join(', ') : value;
+  };
+  const single = /^\{(\w+)\}$/.exec(template);
+  if (single) return valueOf(single[1]);
+  return template.replace(/\{(\w+)\}/g, (match, key) => valueOf(key) ?? '');
+}
+
+// Placeholders offered to tag and custom field templates besides the item's own properties.
+// Item ids are only unique within one file, so source_name scopes the generated tags to it.
+function mappingContext(workItemsData, workItemsPath) {
+  const sourceDocument = workItemsData.metadata?.source_document;
+  return {
+    source_document: sourceDocument,
+    source_name: String(sourceDocument || path.resolve(workItemsPath)).split(/[\\/]/).pop()
+  };
+}
+
+function renderTags(item, itemType, context = {}) {
+  const templateContext = { ...context, type: itemType.type, work_item_type: itemType.work_item_type };
+  return itemType.tag_templates
+    .map(template => String(renderMappingTemplate(template, item, templateContext) ?? '').trim())
+    .filter(Boolean);
+}
+
+// Validate a mapping against the process metadata of the ADO project: work item types, field
+// reference names, state names and the transitions used to reach mapped states. `usage` maps each
+// collection to the statuses its items use, so only states that will be written are checked.
+async function validateFieldMappingAgainstADO(witApi, mappedTypes, usage) {
+  const adoTypes = await witApi.getWorkItemTypes(ADO_CONFIG.project);
+  const byName = new Map(adoTypes.map(adoType => [adoType.name.toLowerCase(), adoType]));
+  const problems = [];
+  const checked = [];
+
+  for (const [collection, statuses] of usage) {
+    const itemType = mappedTypes[collection];
+    const adoType = byName.get(itemType.work_item_type.toLowerCase());
+    if (!adoType) {
+      problems.push(`${collection}: work item type '${itemType.work_item_type}' does not exist in project '${ADO_CONFIG.project}'`);
+      continue;
+    }
+
+    const fieldReferences = new Set((adoType.fields || adoType.fieldInstances || []).map(field => field.referenceName));
+    for (const [key, reference] of Object.entries(itemType.fields)) {
+      if (TYPE_SPECIFIC_FIELDS[key] && !TYPE_SPECIFIC_FIELDS[key].includes(itemType.type)) continue;
+      if (reference && !fieldReferences.has(reference)) problems.push(`${collection}: field '${key}' → '${reference}' is not defined on '${adoType.name}'`);
+    }
+    for (const reference of Object.keys(itemType.custom_fields)) {
+      if (!fieldReferences.has(reference)) problems.push(`${collection}: custom field '${reference}' is not defined on '${adoType.name}'`);
+    }
+
+    const stateNames = new Set((adoType.states || []).map(state => state.name));
+    const usedStates = [...new Set([...statuses].map(status => itemType.states[status] || status))];
+    const mappedStates = new Set([
+      ...usedStates,
+      ...(itemType.initial_state ? [itemType.initial_state] : []),
+      ...usedStates.flatMap(state => itemType.transitions[state] || [])
+    ]);
+    if (stateNames.size > 0) {
+      for (const state of mappedStates) {
+        if (!stateNames.has(state)) problems.push(`${collection}: state '${state}' is not a state of '${adoType.name}' (${[...stateNames].join(', ')})`);
+      }
+    }
+
+    // transitions[""] lists the states a new work item may start in
+    if (adoType.transitions) {
+      const allowed = (from) => (adoType.transitions[from] || []).map(transition => transition.to);
+      const initialStates = allowed('');
+      const startState = itemType.initial_state || initialStates[0];
+      if (itemType.initial_state && initialStates.length > 0 && !initialStates.includes(itemType.initial_state)) {
+        problems.push(`${collection}: initial_state '${itemType.initial_state}' is not allowed for new '${adoType.name}' items`);
+      }
+      if (!itemType.fields.state) continue;
+      for (const state of usedStates) {
+        const steps = itemType.transitions[state];
+        if (steps) {
+          let from = startState;
+          for (const step of steps) {
+            if (step !== from && !allowed(from).includes(step)) problems.push(`${collection}: transition '${from}' → '${step}' is not allowed for '${adoType.name}'`);
+            from = step;
+          }
+        } else if (initialStates.length > 0 && !initialStates.includes(state) && itemType.type === 'task') {
+          problems.push(`${collection}: new '${adoType.name}' items cannot start in '${state}'; add transitions.${state} or map the status to one of ${initialStates.join(', ')}`);
+        }
+      }
+    }
+
+    checked.push({ collection, work_item_type: adoType.name, fields: fieldReferences.size, states: [...stateNames] });
+  }
+
+  return { valid: problems.length === 0, problems, checked };
+}
+
+function collectStatusUsage(data, profile) {
+  const usage = new Map();
+  forEachWorkItem(data, profile, (item, collection, itemType) => {
+    if (!usage.has(collection)) usage.set(collection, new Set());
+    const status = item.status || (itemType.type === 'task' ? 'todo' : null);
+    if (status) usage.get(collection).add(status);
+  });
+  return usage;
+}
+
+function createWorkItemPatch(item, itemType, parentPath = null, context = {}) {
+  const { type, tags = [], fields } = itemType;
+  const patch = [];
+  const setField = (key, value) => {
+    if (fields[key]) {
+      patch.push({
+        op: 'add',
+        path: `/fields/${fields[key]}`,
+        value
+      });
+    }
+  };
+  const appendToDescription = (html) => {
+    const descriptionOp = [...patch].reverse().find(op => op.path === `/fields/${fields.description}`);
+    if (descriptionOp) {
+      descriptionOp.value += `<br/><br/>${html}`;
+    } else {
+      setField('description', html);
+    }
+  };
+
+  // Add title
+  setField('title', item.title);
+
+  // Add description
+  if (item.description) {
+    setField('description', item.description);
+  }
+
+  // Add acceptance criteria
   if (item.acceptance_criteria && item.acceptance_criteria.length > 0) {
     const criteriaHtml = '<ul>' +
       item.acceptance_criteria.map(c => `<li>${c}</li>`).join('') +
       '</ul>';
+    setField('acceptance_criteria', criteriaHtml);
+  }
+
+  // Add area and iteration paths
+  setField('area_path', ADO_CONFIG.areaPath);
+  setField('iteration_path', ADO_CONFIG.iterationPath);
+
+  // Bug-specific fields
+  if (type === 'bug') {
+    if (item.repro_steps) {
+      setField('repro_steps', item.repro_steps);
+    }
+
+    if (item.severity) {
+      setField('severity', item.severity);
+    }
+  }
+
+  // Spikes carry their timebox in the description
+  if (type === 'spike' && item.timebox) {
+    appendToDescription(`<strong>Timebox:</strong> ${item.timebox}`);
+  }
+
+  // Task-specific fields
+  if (type === 'task') {
+    if (item.purpose) {
+      setField('description', `<strong>Purpose:</strong> ${item.purpose}<br/><br/><strong>Implementation Details:</strong> ${item.implementation_details || 'TBD'}`);
+    }
+
+    const hours = effortToHours(item.estimated_effort);
+    if (hours) {
+      setField('original_estimate', hours);
+    }
+
+    if (item.assignee && item.assignee !== 'unassigned') {
+      setField('assignee', item.assignee);
+    }
+
+    // Set state based on status
+    setField('state', itemType.states[item.status] || itemType.states.todo);
+  }
+
+  // Add parent link if provided
+  if (parentPath) {
     patch.push({
       op: 'add',
-      path: '/fields/Microsoft.VSTS.Common.AcceptanceCriteria',
-      value: criteriaHtml
+      path: '/relations/-',
+      value: {
+        rel: 'System.LinkTypes.Hierarchy-Reverse',
+        url: parentPath
+      }
+    });
+  }
+
+  // Link back to the spec blocks the item was derived from
+  if (Array.isArray(item.source_anchors) && item.source_anchors.length > 0) {
+    appendToDescription(`<strong>Source anchors:</strong> ${item.source_anchors.join(', ')}`);
+  }
+
+  // Custom fields from the field mapping
+  const templateContext = { ...context, type, work_item_type: itemType.work_item_type };
+  for (const [reference, template] of Object.entries(itemType.custom_fields)) {
+    const value = renderMappingTemplate(template, item, templateContext);
+    if (value !== undefined && value !== null && value !== '') {
+      patch.push({
+        op: 'add',
+        path: `/fields/${reference}`,
+        value
+      });
+    }
+  }
+
+  // Add tags for tracking
+  setField('tags', [...renderTags(item, itemType, context), ...tags].join('; '));
+
+  return patch;
+}
+
+// Mapped states that cannot be set on creation are reached by creating the item in its initial
+// state and stepping through the configured transitions.
+function splitStateTransitions(patch, itemType) {
+  const statePath = `/fields/${itemType.fields.state}`;
+  const stateOp = patch.find(op => op.path === statePath);
+  const steps = stateOp ? itemType.transitions[stateOp.value] : null;
+  if (!steps) return { patch, steps: [] };
+
+  const initialPatch = patch.filter(op => op !== stateOp);
+  if (itemType.initial_state) initialPatch.push({ ...stateOp, value: itemType.initial_state });
+  return { patch: initialPatch, steps: steps.filter(step => step !== itemType.initial_state) };
+}
+
+const ADO_API_VERSION = '7.1';
+const ADO_BATCH_SIZE = 200; // Maximum number of requests the $batch endpoint accepts
+const ADO_MAX_RETRIES = parseInt(process.env.ADO_MAX_RETRIES || '5', 10);
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either seconds or an HTTP date; without it back off exponentially
+function retryDelayMs(headers, attempt) {
+  const retryAfter = headers?.['retry-after'] ?? headers?.['Retry-After'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  return Math.min(1000 * 2 ** attempt, 30000);
+}
+
+function parseBatchBody(body) {
+  if (typeof body !== 'string') return body;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+function adoErrorMessage(body) {
+  const parsed = parseBatchBody(body);
+  return parsed?.value?.Message || parsed?.message || parsed?.value?.message || String(body ?? 'No response').slice(0, 500);
+}
+
+function workItemRequest(patch, { id, workItemType }) {
+  return {
+    method: 'PATCH',
+    uri: id
+      ? `/_apis/wit/workitems/${id}?api-version=${ADO_API_VERSION}`
+      : `/${encodeURIComponent(ADO_CONFIG.project)}/_apis/wit/workitems/$${encodeURIComponent(workItemType)}?api-version=${ADO_API_VERSION}`,
+    headers: { 'Content-Type': 'application/json-patch+json' },
+    body: patch
+  };
+}
+
+// Sends work item create/update requests through the $batch endpoint, ADO_BATCH_SIZE at a time.
+// The batch is not transactional: each request gets its own { ok, body } or { ok: false, error },
+// passed to onResults as soon as it is known so the caller can journal it before a later chunk
+// fails. Throttled (429) requests are retried after Retry-After. Other transient failures (5xx,
+// network) are only retried for updates: a create may have gone through even though its response
+// was lost, so sending it again could duplicate the item.
+async function sendWorkItemBatch(witApi, requests, onResults = () => {}) {
+  const results = new Array(requests.length);
+  const isCreate = (entry) => /\/workitems\/\$/i.test(entry.request.uri);
+
+  for (let start = 0; start < requests.length; start += ADO_BATCH_SIZE) {
+    let pending = requests.slice(start, start + ADO_BATCH_SIZE).map((request, offset) => ({ request, index: start + offset }));
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      const canRetry = (entries, statusCode) => attempt < ADO_MAX_RETRIES &&
+        (statusCode === 429 || (RETRYABLE_STATUS_CODES.includes(statusCode) && !entries.some(isCreate)));
+      let statusCode;
+      let headers;
+      let text;
+      try {
+        const response = await witApi.http.post(
+          `${witApi.baseUrl}/_apis/wit/$batch?api-version=${ADO_API_VERSION}`,
+          JSON.stringify(pending.map(entry => entry.request)),
+          { 'Content-Type': 'application/json', 'Accept': 'application/json' }
+        );
+        statusCode = response.message.statusCode;
+        headers = response.message.headers;
+        text = await response.readBody();
+      } catch (error) {
+        if (!canRetry(pending, 503)) throw error;
+        const delay = retryDelayMs(null, attempt);
+        console.error(`$batch request failed (${error.message}), retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      if (RETRYABLE_STATUS_CODES.includes(statusCode) && canRetry(pending, statusCode)) {
+        const delay = retryDelayMs(headers, attempt);
+        console.error(`$batch request returned HTTP ${statusCode}, retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+      if (statusCode < 200 || statusCode >= 300) {
+        throw new Error(`$batch request failed with HTTP ${statusCode}: ${adoErrorMessage(text)}`);
+      }
+
+      const responses = parseBatchBody(text)?.value || [];
+      const retry = [];
+      const settled = [];
+      let retryHeaders = null;
+      pending.forEach((entry, i) => {
+        const response = responses[i];
+        if (!response) {
+          results[entry.index] = { ok: false, error: "No response for this request in the batch" };
+        } else if (canRetry([entry], response.code)) {
+          retry.push(entry);
+          retryHeaders = retryHeaders || response.headers;
+          return;
+        } else if (response.code >= 200 && response.code < 300) {
+          results[entry.index] = { ok: true, body: parseBatchBody(response.body) };
+        } else {
+          results[entry.index] = { ok: false, status: response.code, error: adoErrorMessage(response.body) };
+        }
+        settled.push({ index: entry.index, result: results[entry.index] });
+      });
+      onResults(settled);
+
+      pending = retry;
+      if (pending.length > 0) {
+        const delay = retryDelayMs(retryHeaders, attempt);
+        console.error(`${pending.length} request(s) in the batch were throttled, retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return results;
+}
+
+// Reads (WIQL queries, work item lookups) are safe to repeat on throttling and transient failures
+async function withAdoRetry(label, request) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      const transient = RETRYABLE_STATUS_CODES.includes(error.statusCode) || (error.statusCode === undefined && typeof error.code === 'string');
+      if (!transient || attempt >= ADO_MAX_RETRIES) throw error;
+      const delay = retryDelayMs(error.responseHeaders, attempt);
+      console.error(`${label} failed (${error.message}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+// Progress journal: one JSON line per event, appended as each batch completes, so an interrupted
+// run can be resumed. A crash can cut off the last line, which is ignored.
+function journalPathFor(workItemsPath) {
+  return workItemsPath.replace(/(\.json)?$/i, '.ado-journal.jsonl');
+}
+
+function readJournal(journalPath) {
+  const journal = { items: {}, states: {}, links: new Set() };
+  for (const line of fs.readFileSync(journalPath, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (entry.event === 'start') {
+      journal.organization = entry.organization;
+      journal.project = entry.project;
+      journal.started_at = entry.at;
+      journal.completed = false;
+    } else if (entry.event === 'resume') {
+      journal.completed = false;
+    } else if (entry.event === 'completed') {
+      journal.completed = true;
+    } else if (entry.event === 'item') {
+      journal.items[entry.id] = entry;
+    } else if (entry.event === 'state') {
+      journal.states[entry.id] = entry.state;
+    } else if (entry.event === 'linked') {
+      journal.links.add(`${entry.id} -> ${entry.depends_on}`);
+    }
+  }
+  return journal;
+}
+
+function appendJournal(journalPath, entries) {
+  if (entries.length === 0) return;
+  fs.appendFileSync(journalPath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n', 'utf-8');
+}
+
+function escapeWiql(value) {
+  return String(value).replace(/'/g, "''");
+}
+
+// Tag templates naming the source document keep items of different files that share an id
+// apart, but items created before they joined the default tags only carry 'FTEBuddy; Generated; <id>'
+const SOURCE_TAG_PLACEHOLDER = /\{source_(name|document)\}/;
+
+// Items created by this server carry the mapped tags, so an earlier run's item is found by its
+// tags within the same project, area path and work item type. The query uses the tags without
+// the source document; among its matches an item with the same source tag wins, then one with
+// no source tag at all (created before source tags existed). Items tagged for another source
+// document are never reused.
+async function findExistingWorkItem(witApi, item, itemType, context = {}) {
+  const { fields } = itemType;
+  if (!fields.tags) return null;
+
+  const sourceTemplates = itemType.tag_templates.filter(template => SOURCE_TAG_PLACEHOLDER.test(template));
+  const renderTemplates = (templates) => renderTags(item, { ...itemType, tag_templates: templates }, context);
+  let queryTags = renderTemplates(itemType.tag_templates.filter(template => !SOURCE_TAG_PLACEHOLDER.test(template)));
+  let sourceTags = renderTemplates(sourceTemplates);
+  if (queryTags.length === 0) {
+    queryTags = sourceTags;
+    sourceTags = [];
+  }
+
+  const query = [
+    "SELECT [System.Id] FROM WorkItems",
+    `WHERE [System.TeamProject] = '${escapeWiql(ADO_CONFIG.project)}'`,
+    `AND [System.WorkItemType] = '${escapeWiql(itemType.work_item_type)}'`,
+    ...(fields.area_path ? [`AND [${fields.area_path}] UNDER '${escapeWiql(ADO_CONFIG.areaPath)}'`] : []),
+    ...queryTags.map(tag => `AND [${fields.tags}] CONTAINS '${escapeWiql(tag)}'`),
+    "ORDER BY [System.Id]"
+  ].join(" ");
+
+  const result = await withAdoRetry('WIQL query', () => witApi.queryByWiql({ query }, { project: ADO_CONFIG.project }));
+  const candidates = result.workItems || [];
+  if (candidates.length === 0 || sourceTags.length === 0) return candidates[0] || null;
+
+  const tagged = await withAdoRetry('Work item lookup', () => witApi.getWorkItems(
+    candidates.slice(0, ADO_BATCH_SIZE).map(candidate => candidate.id),
+    [fields.tags],
+    undefined,
+    undefined,
+    WorkItemErrorPolicy.Omit,
+    ADO_CONFIG.project
+  ));
+  const tagsOf = (workItem) => String(workItem.fields?.[fields.tags] || '').split(';').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+  const wanted = sourceTags.map(tag => tag.toLowerCase());
+  // The literal text before the placeholder (e.g. 'source:') identifies a tag of another source
+  const sourcePrefixes = sourceTemplates.map(template => template.slice(0, template.indexOf('{')).trim().toLowerCase()).filter(Boolean);
+  const found = (tagged || []).filter(Boolean);
+  const match = found.find(workItem => wanted.every(tag => tagsOf(workItem).includes(tag))) ||
+    found.find(workItem => !tagsOf(workItem).some(tag => sourcePrefixes.some(prefix => tag.startsWith(prefix))));
+  return match ? { id: match.id, url: match.url } : null;
+}
+
+// ADO items recorded in metadata.id_mapping that still exist, keyed by ADO id
+async function fetchMappedWorkItems(witApi, idMapping = {}) {
+  const adoIds = [...new Set(Object.values(idMapping).filter(Number.isInteger))];
+  const found = new Map();
+  for (let i = 0; i < adoIds.length; i += ADO_BATCH_SIZE) {
+    const batch = await withAdoRetry('Work item lookup', () => witApi.getWorkItems(
+      adoIds.slice(i, i + ADO_BATCH_SIZE),
+      ['System.WorkItemType'],
+      undefined,
+      undefined,
+      WorkItemErrorPolicy.Omit,
+      ADO_CONFIG.project
+    ));
+    for (const workItem of batch || []) {
+      if (workItem) found.set(workItem.id, workItem);
+    }
+  }
+  return found;
+}
+
+async function createADOWorkItems(args) {
+  const {
+    work_items_path,
+    dry_run = false,
+    create_hierarchy = true,
+    skip_existing = true,
+    update_existing = false,
+    resume = false,
+    hierarchy_profile,
+    field_mapping
+  } = args || {};
+
+  if (!work_items_path) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ error: "Missing required 'work_items_path' argument" })
+      }]
+    };
+  }
+
+  // Validate ADO configuration
+  if (!ADO_CONFIG.organization || !ADO_CONFIG.project) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Missing Azure DevOps configuration",
+          required: ["ADO_ORGANIZATION", "ADO_PROJECT"],
+          hint: "Please configure these in your .env file"
+        })
+      }]
+    };
+  }
+
+  // Read work items JSON
+  let workItemsData;
+  try {
+    const jsonContent = fs.readFileSync(work_items_path, 'utf-8');
+    workItemsData = JSON.parse(jsonContent);
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Failed to read work items file",
+          details: error.message
+        })
+      }]
+    };
+  }
+
+  let profile;
+  let mappedTypes;
+  try {
+    profile = resolveHierarchyProfile(hierarchy_profile ?? workItemsData.metadata?.hierarchy_profile);
+    mappedTypes = resolveMappedTypes(loadFieldMapping(field_mapping, profile), profile);
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Invalid hierarchy_profile or field_mapping",
+          details: error.message
+        })
+      }]
+    };
+  }
+
+  const roots = profile.roots.filter(root => Array.isArray(workItemsData[root]) && workItemsData[root].length > 0);
+
+  if (roots.length === 0) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: `No ${profile.roots.join(" or ")} found in work items file`,
+          hierarchy_profile: profile.name
+        })
+      }]
+    };
+  }
+
+  const journalPath = journalPathFor(work_items_path);
+  let journal = null;
+  if (resume) {
+    if (!fs.existsSync(journalPath)) {
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "No progress journal to resume from",
+            journal: journalPath,
+            hint: "Run without resume to start a new run."
+          })
+        }]
+      };
+    }
+    journal = readJournal(journalPath);
+    if (journal.organization !== ADO_CONFIG.organization || journal.project !== ADO_CONFIG.project) {
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Progress journal belongs to a different organization or project",
+            journal: journalPath,
+            journal_target: `${journal.organization}/${journal.project}`
+          })
+        }]
+      };
+    }
+  } else if (fs.existsSync(journalPath) && !readJournal(journalPath).completed) {
+    // Starting over would overwrite the record of what the interrupted run already created
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "An earlier run did not complete; its progress journal would be overwritten",
+          journal: journalPath,
+          hint: "Run with resume: true to continue it, or delete the journal to start a new run (items it created are then only found again through their tags)."
+        })
+      }]
+    };
+  }
+
+  if (dry_run) {
+    // Just return what would be created
+    const itemsToCreate = {};
+    let alreadyCreated = 0;
+    forEachWorkItem(workItemsData, profile, (item, collection, definition, parent) => {
+      if (!create_hierarchy && parent) return;
+      if (journal?.items[item.id]) {
+        alreadyCreated++;
+        return;
+      }
+      itemsToCreate[collection] = (itemsToCreate[collection] || 0) + 1;
+    });
+
+    const summary = {
+      mode: "DRY RUN",
+      organization: ADO_CONFIG.organization,
+      project: ADO_CONFIG.project,
+      hierarchy_profile: profile.name,
+      items_to_create: itemsToCreate,
+      work_item_types: Object.fromEntries(Object.keys(itemsToCreate).map(collection => [collection, mappedTypes[collection].work_item_type])),
+      hierarchy: create_hierarchy,
+      skip_existing,
+      update_existing,
+      resume_from_journal: journal ? { journal: journalPath, items_already_processed: alreadyCreated } : undefined
+    };
+
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify(summary, null, 2)
+      }]
+    };
+  }
+
+  // Get ADO connection with authentication
+  let connection;
+  try {
+    connection = await getADOConnection();
+  } catch (error) {
+    return authenticationFailedResponse(error);
+  }
+
+  const witApi = await connection.getWorkItemTrackingApi();
+  const context = mappingContext(workItemsData, work_items_path);
+
+  // Look up existing items before anything is written: items mapped by an earlier run are reused
+  // directly, the tag lookup covers the rest. A resumed run always looks up the items missing from
+  // its journal, since a create whose response was lost may have gone through.
+  const existingItems = new Map();
+  const lookupErrors = new Map();
+  if (skip_existing || journal) {
+    const candidates = [];
+    forEachWorkItem(workItemsData, profile, (item, collection, definition, parent) => {
+      if ((create_hierarchy || !parent) && !journal?.items[item.id]) candidates.push({ item, itemType: mappedTypes[collection] });
+    });
+    try {
+      const previousMapping = workItemsData.metadata?.id_mapping || {};
+      const mappedItems = await fetchMappedWorkItems(witApi, previousMapping);
+      for (const { item, itemType } of candidates) {
+        const mapped = mappedItems.get(previousMapping[item.id]);
+        try {
+          const existing = mapped?.fields?.['System.WorkItemType'] === itemType.work_item_type
+            ? mapped
+            : await findExistingWorkItem(witApi, item, itemType, context);
+          if (existing) existingItems.set(item.id, existing);
+        } catch (error) {
+          lookupErrors.set(item.id, error.message);
+        }
+      }
+    } catch (error) {
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Failed to look up existing work items",
+            details: error.message
+          })
+        }]
+      };
+    }
+  }
+
+  // Check the field mapping against the project's process before creating anything, for the
+  // items that will be written: reused items only when they are updated, and their state only
+  // when the JSON sets one
+  const usage = new Map();
+  forEachWorkItem(workItemsData, profile, (item, collection, definition, parent) => {
+    if ((!create_hierarchy && parent) || journal?.items[item.id] || lookupErrors.has(item.id)) return;
+    const existing = existingItems.has(item.id);
+    if (existing && !update_existing) return;
+    if (!usage.has(collection)) usage.set(collection, new Set());
+    const status = item.status || (definition.type === 'task' && !existing ? 'todo' : null);
+    if (status) usage.get(collection).add(status);
+  });
+  let mappingValidation;
+  try {
+    mappingValidation = await validateFieldMappingAgainstADO(witApi, mappedTypes, usage);
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Failed to read process metadata from Azure DevOps",
+          details: error.message
+        })
+      }]
+    };
+  }
+  if (!mappingValidation.valid) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Field mapping does not match the project's process; nothing was created",
+          problems: mappingValidation.problems,
+          hint: "Adjust the field mapping (field_mapping argument or ADO_FIELD_MAPPING_PATH) and validate it with validate_field_mapping."
+        }, null, 2)
+      }]
+    };
+  }
+  const created = [];
+  const skipped = [];
+  const updated = [];
+  const resumed = [];
+  const errors = [];
+  const idMap = {}; // Map original IDs to ADO work item IDs
+  const reusedAdoIds = new Set();
+
+  // Persist the mapping so sync_ado_work_items can find the items in later sessions
+  const persistIdMapping = () => {
+    if (Object.keys(idMap).length === 0) return;
+    try {
+      workItemsData.metadata = {
+        ...workItemsData.metadata,
+        id_mapping: { ...workItemsData.metadata?.id_mapping, ...idMap }
+      };
+      fs.writeFileSync(work_items_path, JSON.stringify(workItemsData, null, 2), "utf-8");
+    } catch (error) {
+      errors.push({
+        id_mapping: work_items_path,
+        error: error.message
+      });
+    }
+  };
+
+  try {
+    if (journal) {
+      appendJournal(journalPath, [{ event: 'resume', at: new Date().toISOString() }]);
+    } else {
+      fs.writeFileSync(journalPath, '', 'utf-8');
+      appendJournal(journalPath, [{
+        event: 'start',
+        at: new Date().toISOString(),
+        organization: ADO_CONFIG.organization,
+        project: ADO_CONFIG.project,
+        work_items_path,
+        hierarchy_profile: profile.name
+      }]);
+    }
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Failed to write progress journal",
+          journal: journalPath,
+          details: error.message
+        })
+      }]
+    };
+  }
+
+  try {
+    // Create items level by level, parents first so children can link to them. Each level is
+    // sent as $batch requests; every result is recorded and journaled as soon as it arrives.
+    let level = roots.flatMap(root => workItemsData[root].map(item => ({ item, collection: root, parent: null })));
+
+    const resolveEntry = (entry, outcome) => {
+      Object.assign(entry, outcome);
+      entry.results.push({
+        type: entry.itemType.type,
+        id: entry.item.id,
+        ado_id: entry.workItem.id,
+        title: entry.item.title,
+        parent: entry.parent?.id
+      });
+      idMap[entry.item.id] = entry.workItem.id;
+      if (entry.reused) reusedAdoIds.add(entry.workItem.id);
+      return entry;
+    };
+    const itemEvent = (entry) => ({
+      event: 'item',
+      action: entry.action,
+      id: entry.item.id,
+      type: entry.itemType.type,
+      ado_id: entry.workItem.id,
+      url: entry.workItem.url
+    });
+
+    while (level.length > 0) {
+      const toCreate = [];
+      const toUpdate = [];
+      const resolved = [];
+
+      for (const entry of level) {
+        const { item, collection } = entry;
+        const itemType = mappedTypes[collection];
+        entry.itemType = itemType;
+
+        const journaled = journal?.items[item.id];
+        if (journaled) {
+          // Processed by the interrupted run; only state transitions it did not reach are left
+          let steps = [];
+          if (journaled.action === 'created') {
+            steps = splitStateTransitions(createWorkItemPatch(item, itemType, null, context), itemType).steps;
+            steps = steps.slice(steps.indexOf(journal.states[item.id]) + 1);
+          }
+          resolved.push(resolveEntry(entry, { workItem: { id: journaled.ado_id, url: journaled.url }, results: resumed, reused: true, steps }));
+          continue;
+        }
+
+        if (lookupErrors.has(item.id)) {
+          errors.push({
+            [itemType.type]: item.id,
+            error: lookupErrors.get(item.id)
+          });
+          continue;
+        }
+
+        try {
+          const existing = existingItems.get(item.id);
+          if (existing && update_existing) {
+            // Parent links already exist; keep the ADO state unless the JSON sets one
+            entry.patch = createWorkItemPatch(item, itemType, null, context)
+              .filter(op => op.path !== `/fields/${itemType.fields.state}` || item.status);
+            entry.existing = existing;
+            toUpdate.push(entry);
+          } else if (existing) {
+            resolved.push(resolveEntry(entry, { workItem: existing, results: skipped, reused: true, steps: [], action: 'skipped' }));
+          } else {
+            const { patch, steps } = splitStateTransitions(createWorkItemPatch(item, itemType, entry.parent?.url, context), itemType);
+            Object.assign(entry, { patch, steps });
+            toCreate.push(entry);
+          }
+        } catch (error) {
+          errors.push({
+            [itemType.type]: item.id,
+            error: error.message
+          });
+        }
+      }
+      appendJournal(journalPath, resolved.filter(entry => entry.action).map(itemEvent));
+
+      await sendWorkItemBatch(witApi, toCreate.map(entry => workItemRequest(entry.patch, { workItemType: entry.itemType.work_item_type })), (settled) => {
+        const events = [];
+        for (const { index, result } of settled) {
+          const entry = toCreate[index];
+          if (!result.ok) {
+            errors.push({ [entry.itemType.type]: entry.item.id, error: result.error });
+            continue;
+          }
+          resolved.push(resolveEntry(entry, { workItem: result.body, results: created, action: 'created' }));
+          events.push(itemEvent(entry));
+        }
+        appendJournal(journalPath, events);
+      });
+
+      await sendWorkItemBatch(witApi, toUpdate.map(entry => workItemRequest(entry.patch, { id: entry.existing.id })), (settled) => {
+        const events = [];
+        for (const { index, result } of settled) {
+          const entry = toUpdate[index];
+          if (!result.ok) {
+            errors.push({ [entry.itemType.type]: entry.item.id, ado_id: entry.existing.id, error: result.error });
+            continue;
+          }
+          resolved.push(resolveEntry(entry, { workItem: result.body, results: updated, reused: true, steps: [], action: 'updated' }));
+          events.push(itemEvent(entry));
+        }
+        appendJournal(journalPath, events);
+      });
+
+      // States that cannot be set on creation are reached one transition per round
+      let transitioning = resolved.filter(entry => entry.steps.length > 0);
+      for (let step = 0; transitioning.length > 0; step++) {
+        const remaining = [];
+        await sendWorkItemBatch(witApi, transitioning.map(entry => workItemRequest([{
+          op: 'add',
+          path: `/fields/${entry.itemType.fields.state}`,
+          value: entry.steps[step]
+        }], { id: entry.workItem.id })), (settled) => {
+          const reached = [];
+          for (const { index, result } of settled) {
+            const entry = transitioning[index];
+            if (!result.ok) {
+              errors.push({ [entry.itemType.type]: entry.item.id, state: entry.steps[step], error: result.error });
+              continue;
+            }
+            reached.push({ event: 'state', id: entry.item.id, state: entry.steps[step] });
+            if (step + 1 < entry.steps.length) remaining.push(entry);
+          }
+          appendJournal(journalPath, reached);
+        });
+        transitioning = remaining;
+      }
+
+      const nextLevel = [];
+      if (create_hierarchy) {
+        for (const { item, itemType, workItem } of resolved) {
+          for (const child of itemType.children) {
+            if (Array.isArray(item[child])) {
+              nextLevel.push(...item[child].map(childItem => ({ item: childItem, collection: child, parent: { id: item.id, url: workItem.url } })));
+            }
+          }
+        }
+      }
+      level = nextLevel;
+    }
+
+    // Create dependency links between created items
+    const itemsWithDependencies = [];
+    forEachWorkItem(workItemsData, profile, (item) => {
+      if (Array.isArray(item.dependencies) && item.dependencies.length > 0 && idMap[item.id]) itemsWithDependencies.push(item);
+    });
+
+    // Reused items may already carry the links from an earlier run
+    const linkedAdoIds = new Map();
+    const reusedWithDependencies = itemsWithDependencies.map(item => idMap[item.id]).filter(adoId => reusedAdoIds.has(adoId));
+    for (let i = 0; i < reusedWithDependencies.length; i += ADO_BATCH_SIZE) {
+      try {
+        const existingItems = await withAdoRetry('Work item lookup', () => witApi.getWorkItems(
+          reusedWithDependencies.slice(i, i + ADO_BATCH_SIZE),
+          undefined,
+          undefined,
+          WorkItemExpand.Relations,
+          WorkItemErrorPolicy.Omit,
+          ADO_CONFIG.project
+        ));
+        for (const existing of existingItems || []) {
+          if (!existing) continue;
+          linkedAdoIds.set(existing.id, new Set((existing.relations || [])
+            .filter(relation => relation.rel === 'System.LinkTypes.Dependency-Forward')
+            .map(relation => Number(relation.url.split('/').pop()))));
+        }
+      } catch (error) {
+        errors.push({
+          dependency_links: reusedWithDependencies.slice(i, i + ADO_BATCH_SIZE),
+          error: error.message
+        });
+      }
+    }
+
+    const linkRequests = [];
+    for (const item of itemsWithDependencies) {
+      const itemAdoId = idMap[item.id];
+      if (reusedAdoIds.has(itemAdoId) && !linkedAdoIds.has(itemAdoId)) continue;
+
+      const dependencies = item.dependencies.filter(depId => idMap[depId] &&
+        !linkedAdoIds.get(itemAdoId)?.has(idMap[depId]) &&
+        !journal?.links.has(`${item.id} -> ${depId}`));
+      if (dependencies.length === 0) continue;
+
+      linkRequests.push({
+        item,
+        dependencies,
+        request: workItemRequest(dependencies.map(depId => ({
+          op: 'add',
+          path: '/relations/-',
+          value: {
+            rel: 'System.LinkTypes.Dependency-Forward',
+            url: `https://dev.azure.com/${ADO_CONFIG.organization}/_apis/wit/workItems/${idMap[depId]}`
+          }
+        })), { id: itemAdoId })
+      });
+    }
+
+    await sendWorkItemBatch(witApi, linkRequests.map(link => link.request), (settled) => {
+      const linked = [];
+      for (const { index, result } of settled) {
+        const link = linkRequests[index];
+        if (!result.ok) {
+          errors.push({
+            dependency_link: `${link.item.id} -> ${link.dependencies.join(', ')}`,
+            error: result.error
+          });
+          continue;
+        }
+        linked.push(...link.dependencies.map(depId => ({ event: 'linked', id: link.item.id, depends_on: depId })));
+      }
+      appendJournal(journalPath, linked);
+    });
+
+    persistIdMapping();
+    appendJournal(journalPath, [{
+      event: 'completed',
+      at: new Date().toISOString(),
+      created: created.length,
+      skipped: skipped.length,
+      updated: updated.length,
+      resumed: resumed.length,
+      errors: errors.length
+    }]);
+
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          status: "success",
+          organization: ADO_CONFIG.organization,
+          project: ADO_CONFIG.project,
+          hierarchy_profile: profile.name,
+          created: created.length,
+          skipped: skipped.length,
+          updated: updated.length,
+          resumed: journal ? resumed.length : undefined,
+          items: created,
+          skipped_items: skipped.length > 0 ? skipped : undefined,
+          updated_items: updated.length > 0 ? updated : undefined,
+          errors: errors.length > 0 ? errors : undefined,
+          id_mapping: idMap,
+          journal: journalPath
+        }, null, 2)
+      }]
+    };
+  } catch (error) {
+    persistIdMapping();
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Failed to create work items",
+          details: error.message,
+          created_so_far: created,
+          errors: errors,
+          journal: journalPath,
+          hint: "Run again with resume: true to continue from the progress journal without creating duplicates."
+        })
+      }]
+    };
+  }
+}
+
+function statusForState(state, itemType) {
+  return Object.keys(itemType.states).find(status => itemType.states[status] === state) || REMOTE_STATUS_MAP[state];
+}
+
+// ADO returns identities as objects (or "Name <email>" strings) while work-items.json holds a
+// display name or an email; the remote value is read in the same form the local value uses.
+function identityNames(identity) {
+  if (typeof identity === 'string') {
+    const match = /^(.*?)\s*<([^>]+)>$/.exec(identity);
+    return match ? { displayName: match[1], uniqueName: match[2] } : { displayName: identity, uniqueName: identity };
+  }
+  return { displayName: identity?.displayName, uniqueName: identity?.uniqueName };
+}
+
+function assigneeForIdentity(identity, localValue) {
+  const { displayName, uniqueName } = identityNames(identity);
+  if (!displayName && !uniqueName) return undefined;
+  const local = String(localValue || '').toLowerCase();
+  if (local && [displayName, uniqueName].some(name => name?.toLowerCase() === local)) return localValue;
+  return (local.includes('@') ? uniqueName || displayName : displayName || uniqueName) || undefined;
+}
+
+// Fields kept in sync between work-items.json and ADO. Values are compared in their local form;
+// `key` names the entry of the field mapping that holds the ADO reference name. `unmapped` flags
+// remote values that have no local form; those fields are reported and left alone.
+const SYNC_FIELDS = [
+  {
+    name: 'title',
+    key: 'title',
+    local: item => item.title || undefined,
+    remote: title => title || undefined,
+    toLocal: title => title,
+    toRemote: title => title
+  },
+  {
+    name: 'status',
+    key: 'state',
+    types: ['task'],
+    local: item => item.status || undefined,
+    remote: (state, itemType) => state ? statusForState(state, itemType) : undefined,
+    unmapped: (state, itemType) => Boolean(state) && !statusForState(state, itemType),
+    toLocal: status => status,
+    toRemote: (status, itemType) => itemType.states[status] || status
+  },
+  {
+    name: 'assignee',
+    key: 'assignee',
+    types: ['task'],
+    local: item => item.assignee && item.assignee !== 'unassigned' ? item.assignee : undefined,
+    remote: (identity, itemType, localValue) => assigneeForIdentity(identity, localValue),
+    toLocal: assignee => assignee ?? 'unassigned',
+    toRemote: assignee => assignee ?? ''
+  },
+  {
+    name: 'estimated_effort',
+    key: 'original_estimate',
+    types: ['task'],
+    local: item => effortToHours(item.estimated_effort),
+    remote: hours => hours > 0 ? hours : undefined,
+    toLocal: hours => hours === undefined ? undefined : `${hours}h`,
+    toRemote: hours => hours ?? null
+  }
+];
+
+const CONFLICT_RESOLUTIONS = ['last-writer', 'local-wins', 'remote-wins'];
+
+// Decide which side wins for one field. The baseline is the value both sides agreed on at the
+// previous sync; without one, a missing value never wins over a present one.
+function resolveSyncField(localValue, remoteValue, baseline, conflictResolution, remoteIsNewer) {
+  if (localValue === remoteValue) return null;
+
+  if (baseline) {
+    const localChanged = localValue !== baseline.value;
+    const remoteChanged = remoteValue !== baseline.value;
+    if (localChanged && !remoteChanged) return { winner: 'local' };
+    if (remoteChanged && !localChanged) return { winner: 'remote' };
+  } else {
+    if (localValue === undefined) return { winner: 'remote' };
+    if (remoteValue === undefined) return { winner: 'local' };
+  }
+
+  const winner = conflictResolution === 'local-wins' ? 'local'
+    : conflictResolution === 'remote-wins' ? 'remote'
+      : remoteIsNewer ? 'remote' : 'local';
+  return { winner, conflict: true };
+}
+
+async function syncADOWorkItems(args) {
+  const {
+    work_items_path,
+    direction = "both",
+    conflict_resolution = "last-writer",
+    dry_run = false,
+    hierarchy_profile,
+    field_mapping
+  } = args || {};
+
+  if (!work_items_path) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ error: "Missing required 'work_items_path' argument" })
+      }]
+    };
+  }
+
+  if (!["pull", "push", "both"].includes(direction) || !CONFLICT_RESOLUTIONS.includes(conflict_resolution)) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Invalid direction or conflict_resolution",
+          supported_directions: ["pull", "push", "both"],
+          supported_conflict_resolutions: CONFLICT_RESOLUTIONS
+        })
+      }]
+    };
+  }
+
+  if (!ADO_CONFIG.organization || !ADO_CONFIG.project) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Missing Azure DevOps configuration",
+          required: ["ADO_ORGANIZATION", "ADO_PROJECT"],
+          hint: "Please configure these in your .env file"
+        })
+      }]
+    };
+  }
+
+  let workItemsData;
+  let profile;
+  let mappedTypes;
+  try {
+    workItemsData = JSON.parse(fs.readFileSync(work_items_path, 'utf-8'));
+    profile = resolveHierarchyProfile(hierarchy_profile ?? workItemsData.metadata?.hierarchy_profile);
+    mappedTypes = resolveMappedTypes(loadFieldMapping(field_mapping, profile), profile);
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Failed to read work items file",
+          details: error.message
+        })
+      }]
+    };
+  }
+
+  let connection;
+  try {
+    connection = await getADOConnection();
+  } catch (error) {
+    return authenticationFailedResponse(error);
+  }
+
+  const witApi = await connection.getWorkItemTrackingApi();
+  const metadata = workItemsData.metadata || {};
+  const context = mappingContext(workItemsData, work_items_path);
+  const idMap = { ...metadata.id_mapping };
+  const previousState = metadata.ado_sync?.items || {};
+  const syncState = {};
+  const pulled = [];
+  const pushed = [];
+  const conflicts = [];
+  const unmapped = [];
+  const untracked = [];
+  const errors = [];
+
+  try {
+    const tracked = [];
+    forEachWorkItem(workItemsData, profile, (item, collection) => {
+      if (item?.id) tracked.push({ item, itemType: mappedTypes[collection] });
     });
+
+    // Items created before id_mapping was persisted are recovered from their generated tags
+    for (const { item, itemType } of tracked) {
+      if (idMap[item.id]) continue;
+      try {
+        const existing = await findExistingWorkItem(witApi, item, itemType, context);
+        if (existing) idMap[item.id] = existing.id;
+        else untracked.push(item.id);
+      } catch (error) {
+        errors.push({ item: item.id, error: error.message });
+      }
+    }
+
+    const remoteItems = new Map();
+    const adoIds = tracked.map(({ item }) => idMap[item.id]).filter(Boolean);
+    const syncedReferences = new Set(Object.values(mappedTypes)
+      .flatMap(itemType => SYNC_FIELDS.map(syncField => itemType.fields[syncField.key]))
+      .filter(Boolean));
+    for (let i = 0; i < adoIds.length; i += 200) {
+      const batch = await withAdoRetry('Work item lookup', () => witApi.getWorkItems(
+        adoIds.slice(i, i + 200),
+        [...syncedReferences, 'System.ChangedDate'],
+        undefined,
+        undefined,
+        WorkItemErrorPolicy.Omit,
+        ADO_CONFIG.project
+      ));
+      for (const workItem of batch || []) {
+        if (workItem) remoteItems.set(workItem.id, workItem);
+      }
+    }
+
+    for (const { item, itemType } of tracked) {
+      const adoId = idMap[item.id];
+      if (!adoId) continue;
+
+      const remote = remoteItems.get(adoId);
+      if (!remote) {
+        errors.push({ item: item.id, ado_id: adoId, error: "Work item not found in Azure DevOps" });
+        continue;
+      }
+
+      // Local edits carry no timestamp, so the remote side is the last writer when the ADO item
+      // was changed after the last sync (or, before the first sync, after the file was generated)
+      const baseline = previousState[item.id];
+      const remoteIsNewer = baseline
+        ? remote.rev > baseline.rev
+        : Boolean(metadata.generated_at) && new Date(remote.fields['System.ChangedDate']) > new Date(metadata.generated_at);
+      const fieldState = {};
+      const patch = [];
+
+      for (const syncField of SYNC_FIELDS) {
+        const reference = itemType.fields[syncField.key];
+        if (!reference || (syncField.types && !syncField.types.includes(itemType.type))) continue;
+
+        const fieldBaseline = baseline && syncField.name in baseline.fields
+          ? { value: baseline.fields[syncField.name] ?? undefined }
+          : null;
+        if (syncField.unmapped?.(remote.fields[reference], itemType)) {
+          unmapped.push({ id: item.id, ado_id: adoId, field: syncField.name, remote: remote.fields[reference] });
+          if (fieldBaseline) fieldState[syncField.name] = fieldBaseline.value ?? null;
+          continue;
+        }
+
+        const localValue = syncField.local(item);
+        const remoteValue = syncField.remote(remote.fields[reference], itemType, localValue);
+        const resolution = resolveSyncField(localValue, remoteValue, fieldBaseline, conflict_resolution, remoteIsNewer);
+
+        let agreedValue = localValue;
+        if (resolution) {
+          const change = { id: item.id, ado_id: adoId, field: syncField.name, local: localValue, remote: remoteValue };
+          if (resolution.conflict) conflicts.push({ ...change, resolved_to: resolution.winner });
+
+          if (resolution.winner === 'remote' && direction !== 'push') {
+            const value = syncField.toLocal(remoteValue);
+            if (value === undefined) delete item[syncField.name];
+            else item[syncField.name] = value;
+            pulled.push(change);
+            agreedValue = remoteValue;
+          } else if (resolution.winner === 'local' && direction !== 'pull') {
+            patch.push({ op: 'add', path: `/fields/${reference}`, value: syncField.toRemote(localValue, itemType) });
+            pushed.push(change);
+          } else {
+            // The winning side is not written in this direction, so keep the old baseline
+            if (!fieldBaseline) continue;
+            agreedValue = fieldBaseline.value;
+          }
+        }
+        fieldState[syncField.name] = agreedValue ?? null;
+      }
+
+      let rev = remote.rev;
+      if (patch.length > 0 && !dry_run) {
+        try {
+          const updatedItem = await witApi.updateWorkItem(null, patch, adoId, ADO_CONFIG.project);
+          rev = updatedItem.rev;
+        } catch (error) {
+          errors.push({ item: item.id, ado_id: adoId, error: error.message });
+          if (baseline) syncState[item.id] = baseline;
+          continue;
+        }
+      }
+
+      syncState[item.id] = { rev, fields: fieldState };
+    }
+
+    if (!dry_run) {
+      workItemsData.metadata = {
+        ...metadata,
+        id_mapping: idMap,
+        ado_sync: {
+          organization: ADO_CONFIG.organization,
+          project: ADO_CONFIG.project,
+          synced_at: new Date().toISOString(),
+          items: { ...previousState, ...syncState }
+        }
+      };
+      fs.writeFileSync(work_items_path, JSON.stringify(workItemsData, null, 2), "utf-8");
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          status: "success",
+          mode: dry_run ? "DRY RUN" : undefined,
+          path: work_items_path,
+          direction,
+          conflict_resolution,
+          tracked: Object.keys(syncState).length,
+          pulled,
+          pushed,
+          conflicts,
+          unmapped: unmapped.length > 0 ? unmapped : undefined,
+          untracked: untracked.length > 0 ? untracked : undefined,
+          errors: errors.length > 0 ? errors : undefined,
+          id_mapping: idMap
+        }, null, 2)
+      }]
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Failed to sync work items",
+          details: error.message,
+          pulled,
+          pushed,
+          errors
+        })
+      }]
+    };
+  }
+}
+
+async function validateFieldMapping(args) {
+  const { field_mapping, work_items_path, hierarchy_profile } = args || {};
+
+  if (!ADO_CONFIG.organization || !ADO_CONFIG.project) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Missing Azure DevOps configuration",
+          required: ["ADO_ORGANIZATION", "ADO_PROJECT"],
+          hint: "Please configure these in your .env file"
+        })
+      }]
+    };
+  }
+
+  let workItemsData = null;
+  let profile;
+  let mappedTypes;
+  try {
+    if (work_items_path) workItemsData = JSON.parse(fs.readFileSync(work_items_path, 'utf-8'));
+    profile = resolveHierarchyProfile(hierarchy_profile ?? workItemsData?.metadata?.hierarchy_profile);
+    mappedTypes = resolveMappedTypes(loadFieldMapping(field_mapping, profile), profile);
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Invalid field_mapping",
+          details: error.message
+        })
+      }]
+    };
   }
 
-  // Add area and iteration paths
-  patch.push({
-    op: 'add',
-    path: '/fields/System.AreaPath',
-    value: ADO_CONFIG.areaPath
-  });
+  // Without a work items file every item type of the profile is checked with its default status
+  const usage = workItemsData
+    ? collectStatusUsage(workItemsData, profile)
+    : new Map(Object.entries(mappedTypes).map(([collection, itemType]) => [collection, new Set(itemType.type === 'task' ? ['todo'] : [])]));
 
-  patch.push({
-    op: 'add',
-    path: '/fields/System.IterationPath',
-    value: ADO_CONFIG.iterationPath
-  });
+  let connection;
+  try {
+    connection = await getADOConnection();
+  } catch (error) {
+    return authenticationFailedResponse(error);
+  }
 
-  // Task-specific fields
-  if (itemType === 'task') {
-    if (item.purpose) {
-      patch.push({
-        op: 'add',
-        path: '/fields/System.Description',
-        value: `<strong>Purpose:</strong> ${item.purpose}<br/><br/><strong>Implementation Details:</strong> ${item.implementation_details || 'TBD'}`
-      });
+  try {
+    const witApi = await connection.getWorkItemTrackingApi();
+    const result = await validateFieldMappingAgainstADO(witApi, mappedTypes, usage);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          status: result.valid ? "valid" : "invalid",
+          project: ADO_CONFIG.project,
+          hierarchy_profile: profile.name,
+          work_item_types: Object.fromEntries([...usage.keys()].map(collection => [collection, mappedTypes[collection].work_item_type])),
+          problems: result.problems,
+          checked: result.checked
+        }, null, 2)
+      }]
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Failed to read process metadata from Azure DevOps",
+          details: error.message
+        })
+      }]
+    };
+  }
+}
+
+const MAX_PLANNED_SPRINTS = 100;
+
+function addWorkingDays(date, days) {
+  const result = new Date(date);
+  let remaining = days;
+  while (remaining > 0) {
+    result.setUTCDate(result.getUTCDate() + 1);
+    if (result.getUTCDay() !== 0 && result.getUTCDay() !== 6) remaining--;
+  }
+  return result;
+}
+
+// Leaf items carry the effort; containers roll up the sum of their children. Dependencies on a
+// container are expanded to the leaves below it.
+function buildPlanGraph(data, profile) {
+  const nodes = new Map();
+  const leaves = [];
+  const rollups = [];
+
+  const visit = (item, collection) => {
+    const itemType = profile.item_types[collection];
+    const node = { item, type: itemType.type, order: nodes.size, leafIds: [] };
+    nodes.set(item.id, node);
+    const children = itemType.children.flatMap(child => (Array.isArray(item[child]) ? item[child] : []).map(entry => visit(entry, child)));
+    const ownHours = effortToHours(item.estimated_effort);
+
+    if (children.length === 0) {
+      node.hours = ownHours ?? 0;
+      node.estimated = ownHours !== undefined;
+      const planned = itemType.type === "task" || node.estimated;
+      node.leafIds = planned ? [item.id] : [];
+      if (planned) leaves.push(node);
+      return { hours: node.hours, planned: planned ? 1 : 0, unestimated: planned && !node.estimated ? 1 : 0, leafIds: node.leafIds };
     }
 
-    if (item.estimated_effort) {
-      // Parse effort (e.g., "3d" -> 24 hours, "8h" -> 8 hours)
-      const effort = item.estimated_effort.toLowerCase();
-      let hours = 0;
-      if (effort.endsWith('d')) {
-        hours = parseInt(effort) * 8;
-      } else if (effort.endsWith('h')) {
-        hours = parseInt(effort);
+    const totals = children.reduce((sum, child) => ({
+      hours: sum.hours + child.hours,
+      planned: sum.planned + child.planned,
+      unestimated: sum.unestimated + child.unestimated,
+      leafIds: [...sum.leafIds, ...child.leafIds]
+    }), { hours: 0, planned: 0, unestimated: 0, leafIds: [] });
+    if (totals.hours === 0 && ownHours) totals.hours = ownHours;
+    node.leafIds = totals.leafIds;
+    rollups.push({
+      id: item.id,
+      type: itemType.type,
+      title: item.title,
+      estimated_hours: totals.hours,
+      estimated_days: Math.round(totals.hours / HOURS_PER_DAY * 10) / 10,
+      planned_items: totals.planned,
+      unestimated_items: totals.unestimated
+    });
+    return totals;
+  };
+  for (const root of profile.roots) {
+    for (const item of Array.isArray(data[root]) ? data[root] : []) visit(item, root);
+  }
+
+  const leafIds = new Set(leaves.map(node => node.item.id));
+  for (const node of leaves) {
+    node.dependencies = [...new Set((Array.isArray(node.item.dependencies) ? node.item.dependencies : [])
+      .flatMap(id => nodes.get(id)?.leafIds || [])
+      .filter(id => id !== node.item.id && leafIds.has(id)))];
+  }
+
+  rollups.sort((a, b) => nodes.get(a.id).order - nodes.get(b.id).order);
+  return { nodes, leaves, rollups };
+}
+
+// Dependencies on containers can close a cycle between leaves even when the item-level
+// dependencies are acyclic (a task of US1 depends on US2 while a task of US2 depends on US1)
+function findLeafCycles(leaves) {
+  const byId = new Map(leaves.map(node => [node.item.id, node]));
+  const state = new Map();
+  const reported = new Set();
+  const cycles = [];
+  const visit = (id, trail) => {
+    if (state.get(id) === "done") return;
+    if (state.get(id) === "visiting") {
+      const cycle = [...trail.slice(trail.indexOf(id)), id];
+      const key = cycle.slice(1).sort().join("|");
+      if (!reported.has(key)) {
+        reported.add(key);
+        cycles.push(`dependency cycle ${cycle.join(" → ")} (after expanding dependencies on containers to their tasks)`);
       }
+      return;
+    }
+    state.set(id, "visiting");
+    for (const dependency of byId.get(id).dependencies) visit(dependency, [...trail, id]);
+    state.set(id, "done");
+  };
+  for (const id of byId.keys()) visit(id, []);
+  return cycles;
+}
 
-      if (hours > 0) {
-        patch.push({
-          op: 'add',
-          path: '/fields/Microsoft.VSTS.Scheduling.OriginalEstimate',
-          value: hours
-        });
+// Longest path by hours through the dependency DAG (earliest start/finish)
+function findCriticalPath(leaves) {
+  const byId = new Map(leaves.map(node => [node.item.id, node]));
+  const finish = new Map();
+  const previous = new Map();
+  const earliestFinish = (node) => {
+    if (finish.has(node.item.id)) return finish.get(node.item.id);
+    let start = 0;
+    for (const dependencyId of node.dependencies) {
+      const dependencyFinish = earliestFinish(byId.get(dependencyId));
+      if (!previous.has(node.item.id) || dependencyFinish > start) {
+        previous.set(node.item.id, dependencyId);
+        start = dependencyFinish;
       }
     }
+    node.earliestStart = start;
+    finish.set(node.item.id, start + node.hours);
+    return start + node.hours;
+  };
+  leaves.forEach(earliestFinish);
 
-    if (item.assignee && item.assignee !== 'unassigned') {
-      patch.push({
-        op: 'add',
-        path: '/fields/System.AssignedTo',
-        value: item.assignee
-      });
+  let last = null;
+  for (const node of leaves) {
+    if (!last || finish.get(node.item.id) > finish.get(last.item.id)) last = node;
+  }
+  const path = [];
+  for (let node = last; node; node = byId.get(previous.get(node.item.id))) path.unshift(node);
+
+  // Remaining path length from each task, used as scheduling priority
+  const tail = new Map();
+  const dependents = new Map(leaves.map(node => [node.item.id, []]));
+  leaves.forEach(node => node.dependencies.forEach(id => dependents.get(id).push(node)));
+  const remaining = (node) => {
+    if (!tail.has(node.item.id)) {
+      tail.set(node.item.id, node.hours + Math.max(0, ...dependents.get(node.item.id).map(remaining)));
     }
+    return tail.get(node.item.id);
+  };
+  leaves.forEach(node => { node.priority = remaining(node); });
 
-    // Set state based on status
-    const stateMap = {
-      'todo': 'New',           // Changed from 'To Do' to 'New'
-      'in-progress': 'Active', // Changed from 'In Progress' to 'Active'
-      'done': 'Done'
-    };
+  return {
+    hours: last ? finish.get(last.item.id) : 0,
+    items: path.map(node => ({
+      id: node.item.id,
+      title: node.item.title,
+      hours: node.hours,
+      earliest_start_hours: node.earliestStart,
+      earliest_finish_hours: finish.get(node.item.id)
+    }))
+  };
+}
 
-    patch.push({
-      op: 'add',
-      path: '/fields/System.State',
-      value: stateMap[item.status] || 'New' // Default to 'New'
-    });
-  }
+// Greedy list scheduling: ready tasks in order of remaining critical path length go to the
+// earliest sprint and member with room, after their dependencies within the same sprint.
+function scheduleSprints(leaves, team, sprintLength, startDate) {
+  const byId = new Map(leaves.map(node => [node.item.id, node]));
+  const used = [];
+  const placement = new Map();
+  const unscheduled = [];
+  const pending = new Set(leaves);
+  const memberUse = (sprint, member) => used[sprint]?.[member.name] ?? 0;
+
+  while (pending.size > 0) {
+    const ready = [...pending]
+      .filter(node => node.dependencies.every(id => placement.has(id) || unscheduled.some(entry => entry.id === id)))
+      .sort((a, b) => b.priority - a.priority || a.order - b.order);
+    const node = ready[0];
+    pending.delete(node);
+
+    const blockedBy = node.dependencies.filter(id => !placement.has(id));
+    if (blockedBy.length > 0) {
+      unscheduled.push({ id: node.item.id, reason: `depends on unscheduled ${blockedBy.join(", ")}` });
+      continue;
+    }
 
-  // Add parent link if provided
-  if (parentPath) {
-    patch.push({
-      op: 'add',
-      path: '/relations/-',
-      value: {
-        rel: 'System.LinkTypes.Hierarchy-Reverse',
-        url: parentPath
+    const assigned = team.find(member => member.name === node.item.assignee);
+    const candidates = assigned ? [assigned] : team;
+    if (!candidates.some(member => node.hours <= member.capacity)) {
+      unscheduled.push({ id: node.item.id, reason: `estimate of ${node.hours}h exceeds the sprint capacity of ${assigned ? assigned.name : "every team member"}; split the task` });
+      continue;
+    }
+
+    const earliestSprint = Math.max(0, ...node.dependencies.map(id => placement.get(id).sprint));
+    let chosen = null;
+    for (let sprint = earliestSprint; sprint < MAX_PLANNED_SPRINTS && !chosen; sprint++) {
+      const dependencyFinish = Math.max(0, ...node.dependencies
+        .map(id => placement.get(id))
+        .filter(entry => entry.sprint === sprint)
+        .map(entry => entry.finish));
+      for (const member of candidates) {
+        const start = Math.max(memberUse(sprint, member), dependencyFinish);
+        if (start + node.hours <= member.capacity && (!chosen || start + node.hours < chosen.finish)) {
+          chosen = { sprint, member: member.name, start, finish: start + node.hours };
+        }
       }
-    });
+    }
+
+    if (!chosen) {
+      unscheduled.push({ id: node.item.id, reason: `does not fit within ${MAX_PLANNED_SPRINTS} sprints` });
+      continue;
+    }
+    used[chosen.sprint] = { ...used[chosen.sprint], [chosen.member]: chosen.finish };
+    placement.set(node.item.id, chosen);
   }
 
-  // Add tags for tracking
-  patch.push({
-    op: 'add',
-    path: '/fields/System.Tags',
-    value: `FTEBuddy; Generated; ${item.id}`
-  });
+  const sprintCount = Math.max(0, ...[...placement.values()].map(entry => entry.sprint + 1));
+  const capacity = team.reduce((sum, member) => sum + member.capacity, 0);
+  const sprints = [];
+  let sprintStart = new Date(startDate);
+  for (let sprint = 0; sprint < sprintCount; sprint++) {
+    const sprintEnd = addWorkingDays(sprintStart, sprintLength - 1);
+    const items = [...placement.entries()]
+      .filter(([, entry]) => entry.sprint === sprint)
+      .map(([id, entry]) => ({ id, title: byId.get(id).item.title, member: entry.member, hours: byId.get(id).hours }));
+    sprints.push({
+      name: `Sprint ${sprint + 1}`,
+      start_date: sprintStart.toISOString().slice(0, 10),
+      end_date: sprintEnd.toISOString().slice(0, 10),
+      capacity_hours: capacity,
+      planned_hours: items.reduce((sum, item) => sum + item.hours, 0),
+      items
+    });
+    sprintStart = addWorkingDays(sprintEnd, 1);
+  }
 
-  return patch;
+  return { sprints, placement, unscheduled };
 }
 
-async function createADOWorkItems(args) {
+async function planWorkItems(args) {
   const {
     work_items_path,
+    team_members = [],
+    capacity_per_sprint,
+    sprint_length_days = 10,
+    start_date,
     dry_run = false,
-    create_hierarchy = true,
-    skip_existing = true
+    hierarchy_profile
   } = args || {};
 
   if (!work_items_path) {
@@ -533,25 +3148,11 @@ async function createADOWorkItems(args) {
     };
   }
 
-  // Validate ADO configuration
-  if (!ADO_CONFIG.organization || !ADO_CONFIG.project) {
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          error: "Missing Azure DevOps configuration",
-          required: ["ADO_ORGANIZATION", "ADO_PROJECT"],
-          hint: "Please configure these in your .env file"
-        })
-      }]
-    };
-  }
-
-  // Read work items JSON
   let workItemsData;
+  let profile;
   try {
-    const jsonContent = fs.readFileSync(work_items_path, 'utf-8');
-    workItemsData = JSON.parse(jsonContent);
+    workItemsData = JSON.parse(fs.readFileSync(work_items_path, 'utf-8'));
+    profile = resolveHierarchyProfile(hierarchy_profile ?? workItemsData.metadata?.hierarchy_profile);
   } catch (error) {
     return {
       content: [{
@@ -564,231 +3165,93 @@ async function createADOWorkItems(args) {
     };
   }
 
-  // Check for both 'features' and 'epics' (support both formats)
-  const topLevelItems = workItemsData.features || workItemsData.epics || [];
-  const itemType = workItemsData.features ? 'feature' : 'epic';
+  const defaultCapacity = capacity_per_sprint ?? sprint_length_days * HOURS_PER_DAY;
+  const team = team_members.map(member => typeof member === "string"
+    ? { name: member, capacity: defaultCapacity }
+    : { name: member.name, capacity: member.capacity_per_sprint ?? defaultCapacity });
+  const startDate = start_date ? new Date(start_date) : new Date(new Date().toISOString().slice(0, 10));
 
-  if (!topLevelItems || topLevelItems.length === 0) {
+  if (team.some(member => !member.name || !(member.capacity > 0)) || !(sprint_length_days > 0) || Number.isNaN(startDate.getTime())) {
     return {
       content: [{
         type: "text",
         text: JSON.stringify({
-          error: "No features or epics found in work items file"
+          error: "Invalid planning parameters",
+          hint: "team_members need a name and a positive capacity_per_sprint (hours), sprint_length_days must be positive and start_date an ISO date."
         })
       }]
     };
   }
 
-  if (dry_run) {
-    // Just return what would be created
-    const summary = {
-      mode: "DRY RUN",
-      organization: ADO_CONFIG.organization,
-      project: ADO_CONFIG.project,
-      items_to_create: {
-        [itemType + 's']: topLevelItems.length,
-        user_stories: topLevelItems.reduce((sum, f) => sum + (f.user_stories?.length || 0), 0),
-        tasks: topLevelItems.reduce((sum, f) =>
-          sum + f.user_stories?.reduce((s, us) => s + (us.tasks?.length || 0), 0) || 0, 0
-        )
-      },
-      hierarchy: create_hierarchy
-    };
-
+  const cycles = checkWorkItemReferences(workItemsData, profile).filter(error => error.includes("dependency cycle"));
+  if (cycles.length > 0) {
     return {
       content: [{
         type: "text",
-        text: JSON.stringify(summary, null, 2)
+        text: JSON.stringify({ error: "Dependencies contain cycles; no critical path or schedule can be built", cycles })
       }]
     };
   }
 
-  // Get ADO connection with authentication
-  let connection;
-  try {
-    connection = await getADOConnection();
-  } catch (error) {
+  const { leaves, rollups } = buildPlanGraph(workItemsData, profile);
+  const leafCycles = findLeafCycles(leaves);
+  if (leafCycles.length > 0) {
     return {
       content: [{
         type: "text",
-        text: JSON.stringify({
-          error: "Authentication failed",
-          details: error.message,
-          hint: "A browser window should open for authentication. Please sign in with your Azure DevOps account."
-        })
+        text: JSON.stringify({ error: "Dependencies contain cycles; no critical path or schedule can be built", cycles: leafCycles })
       }]
     };
   }
 
-  const witApi = await connection.getWorkItemTrackingApi();
-  const created = [];
-  const errors = [];
-  const idMap = {}; // Map original IDs to ADO work item IDs
-
-  try {
-    // Create top-level items (features/epics)
-    for (const topItem of topLevelItems) {
-      try {
-        const patch = createWorkItemPatch(topItem, itemType);
-        const workItem = await witApi.createWorkItem(
-          null,
-          patch,
-          ADO_CONFIG.project,
-          mapWorkItemType(itemType)
-        );
-
-        created.push({
-          type: itemType,
-          id: topItem.id,
-          ado_id: workItem.id,
-          title: topItem.title
-        });
+  const criticalPath = findCriticalPath(leaves);
+  const schedule = team.length > 0 ? scheduleSprints(leaves, team, sprint_length_days, startDate) : null;
 
-        idMap[topItem.id] = workItem.id;
-
-        // Create user stories
-        if (create_hierarchy && topItem.user_stories) {
-          for (const story of topItem.user_stories) {
-            try {
-              const storyPatch = createWorkItemPatch(
-                story,
-                'user_story',
-                workItem.url
-              );
-
-              const storyWorkItem = await witApi.createWorkItem(
-                null,
-                storyPatch,
-                ADO_CONFIG.project,
-                'User Story'
-              );
-
-              created.push({
-                type: 'user_story',
-                id: story.id,
-                ado_id: storyWorkItem.id,
-                title: story.title,
-                parent: topItem.id
-              });
-
-              idMap[story.id] = storyWorkItem.id;
-
-              // Create tasks
-              if (story.tasks) {
-                for (const task of story.tasks) {
-                  try {
-                    // Handle task dependencies
-                    const taskPatch = createWorkItemPatch(
-                      task,
-                      'task',
-                      storyWorkItem.url
-                    );
-
-                    const taskWorkItem = await witApi.createWorkItem(
-                      null,
-                      taskPatch,
-                      ADO_CONFIG.project,
-                      'Task'
-                    );
-
-                    created.push({
-                      type: 'task',
-                      id: task.id,
-                      ado_id: taskWorkItem.id,
-                      title: task.title,
-                      parent: story.id
-                    });
-
-                    idMap[task.id] = taskWorkItem.id;
-                  } catch (error) {
-                    errors.push({
-                      task: task.id,
-                      error: error.message
-                    });
-                  }
-                }
-              }
-            } catch (error) {
-              errors.push({
-                story: story.id,
-                error: error.message
-              });
-            }
-          }
-        }
-      } catch (error) {
-        errors.push({
-          [itemType]: topItem.id,
-          error: error.message
-        });
+  if (schedule && !dry_run) {
+    for (const node of leaves) {
+      const entry = schedule.placement.get(node.item.id);
+      if (!entry) {
+        delete node.item.sprint;
+        continue;
       }
+      node.item.sprint = `Sprint ${entry.sprint + 1}`;
+      if (!node.item.assignee || node.item.assignee === "unassigned") node.item.assignee = entry.member;
     }
-
-    // Create dependency links for tasks
-    for (const topItem of topLevelItems) {
-      if (topItem.user_stories) {
-        for (const story of topItem.user_stories) {
-          if (story.tasks) {
-            for (const task of story.tasks) {
-              if (task.dependencies && task.dependencies.length > 0) {
-                const taskAdoId = idMap[task.id];
-
-                for (const depId of task.dependencies) {
-                  const depAdoId = idMap[depId];
-                  if (depAdoId && taskAdoId) {
-                    try {
-                      const patch = [{
-                        op: 'add',
-                        path: '/relations/-',
-                        value: {
-                          rel: 'System.LinkTypes.Dependency-Forward',
-                          url: `https://dev.azure.com/${ADO_CONFIG.organization}/_apis/wit/workItems/${depAdoId}`
-                        }
-                      }];
-
-                      await witApi.updateWorkItem(null, patch, taskAdoId, ADO_CONFIG.project);
-                    } catch (error) {
-                      errors.push({
-                        dependency_link: `${task.id} -> ${depId}`,
-                        error: error.message
-                      });
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
+    workItemsData.metadata = {
+      ...workItemsData.metadata,
+      plan: {
+        planned_at: new Date().toISOString(),
+        sprint_length_days,
+        team: team.map(member => ({ name: member.name, capacity_per_sprint: member.capacity })),
+        total_hours: leaves.reduce((sum, node) => sum + node.hours, 0),
+        critical_path: criticalPath.items.map(item => item.id),
+        sprints: schedule.sprints.map(({ items, ...sprint }) => sprint)
       }
-    }
-
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: "success",
-          organization: ADO_CONFIG.organization,
-          project: ADO_CONFIG.project,
-          created: created.length,
-          items: created,
-          errors: errors.length > 0 ? errors : undefined,
-          id_mapping: idMap
-        }, null, 2)
-      }]
-    };
-  } catch (error) {
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          error: "Failed to create work items",
-          details: error.message,
-          created_so_far: created,
-          errors: errors
-        })
-      }]
     };
+    fs.writeFileSync(work_items_path, JSON.stringify(workItemsData, null, 2), "utf-8");
   }
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({
+        status: "success",
+        mode: dry_run ? "DRY RUN" : undefined,
+        path: work_items_path,
+        total_hours: leaves.reduce((sum, node) => sum + node.hours, 0),
+        unestimated_items: leaves.filter(node => !node.estimated).map(node => node.item.id),
+        rollups,
+        critical_path: criticalPath,
+        schedule: schedule ? {
+          sprint_count: schedule.sprints.length,
+          sprints: schedule.sprints,
+          unscheduled: schedule.unscheduled.length > 0 ? schedule.unscheduled : undefined
+        } : undefined,
+        written: Boolean(schedule && !dry_run),
+        hint: schedule ? undefined : "Pass team_members to build a sprint schedule."
+      }, null, 2)
+    }]
+  };
 }
 
 const server = new Server(
@@ -800,15 +3263,19 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
   tools: [
     {
       name: "get_instructions",
-      description: "Return instructions to analyze the parsed docs for producing Agile requirements JSON (Features → User Stories → Tasks).",
+      description: "Return instructions to analyze the parsed docs for producing work item JSON for a hierarchy profile (default Agile: Epics → Features → User Stories / Bugs / Spikes → Tasks).",
       inputSchema: {
         type: "object",
         properties: {
           instruction_type: {
             type: "string",
-            enum: ["analysis"],
+            enum: ["analysis", "json_schema"],
             default: "analysis",
-            description: "Only 'analysis' is supported."
+            description: "'analysis' returns structuring guidance; 'json_schema' returns the formal JSON Schema for work-items.json."
+          },
+          hierarchy_profile: {
+            description: "Hierarchy profile: 'agile', 'scrum', 'cmmi', a path to a profile .json file, or a custom profile object ({ extends, roots, item_types }). Defaults to metadata.hierarchy_profile, then ADO_HIERARCHY_PROFILE, then 'agile'.",
+            anyOf: [{ type: "string" }, { type: "object" }]
           }
         },
         required: []
@@ -816,7 +3283,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
     },
     {
       name: "create_work_items_json",
-      description: "Persist the assembled Agile JSON (Features → User Stories → Tasks) to work-items.json in the document directory.",
+      description: "Validate the assembled work item JSON against its hierarchy profile and persist it to work-items.json in the document directory.",
       inputSchema: {
         type: "object",
         properties: {
@@ -824,14 +3291,40 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
           document_directory: { type: "string", description: "Directory where file will be written (preferred)." },
           source_document: { type: "string", description: "Path to original docx (used to derive directory if document_directory not provided)." },
           file_name: { type: "string", default: "work-items.json", description: "Optional override of output filename." },
-          overwrite: { type: "boolean", default: true }
+          overwrite: { type: "boolean", default: true },
+          force: { type: "boolean", default: false, description: "Write the file even when schema or cross-reference validation fails." },
+          hierarchy_profile: { description: "Hierarchy profile name ('agile', 'scrum', 'cmmi'), profile .json path or custom profile object. Stored in metadata.hierarchy_profile.", anyOf: [{ type: "string" }, { type: "object" }] }
         },
         required: ["work_items"]
       }
     },
+    {
+      name: "draft_work_items",
+      description: "Build a deterministic first-pass work-items.json (Features → User Stories / Spikes → Tasks) from WordParser parse_document output using heading structure, 'As a … I want …' sentences, acceptance headings and the workitem_strategy rules.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          parsed_document: { description: "WordParser parse_document result (object or JSON string).", anyOf: [{ type: "object" }, { type: "string" }] },
+          parsed_document_path: { type: "string", description: "Path to a JSON file holding the parse_document result (alternative to parsed_document)." },
+          strategy: {
+            type: "string",
+            enum: ["auto", "default", "pcf", "plugin"],
+            default: "auto",
+            description: "workitem_strategy to apply; 'auto' picks pcf or plugin when the document mentions them."
+          },
+          hierarchy_profile: { description: "Hierarchy profile for ID prefixes and validation (needs features → user_stories → tasks).", anyOf: [{ type: "string" }, { type: "object" }] },
+          write: { type: "boolean", default: false, description: "If true, persist the draft through create_work_items_json." },
+          document_directory: { type: "string", description: "Directory to write to when write=true (defaults to the source document's directory)." },
+          file_name: { type: "string", default: "work-items.json" },
+          overwrite: { type: "boolean", default: true },
+          force: { type: "boolean", default: false, description: "Write even when validation fails." }
+        },
+        required: []
+      }
+    },
     {
       name: "create_ado_work_items",
-      description: "Create Azure DevOps work items from the work-items.json file with interactive authentication",
+      description: "Create Azure DevOps work items from the work-items.json file in $batch requests, with throttling retries and a resumable progress journal",
       inputSchema: {
         type: "object",
         properties: {
@@ -847,13 +3340,117 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
           create_hierarchy: {
             type: "boolean",
             default: true,
-            description: "If true, create the full hierarchy (Features -> User Stories -> Tasks)"
+            description: "If true, create the full hierarchy of the profile (e.g., Epics -> Features -> User Stories -> Tasks); otherwise only root items"
           },
           skip_existing: {
             type: "boolean",
             default: true,
-            description: "If true, skip items that already exist (based on tags)"
+            description: "If true, reuse the ADO item recorded in metadata.id_mapping, or else the one found by its 'FTEBuddy; Generated; <id>' tags (WIQL) that carries this document's 'Source:<document>' tag or no Source tag at all, instead of creating a duplicate"
+          },
+          update_existing: {
+            type: "boolean",
+            default: false,
+            description: "With skip_existing, update the fields of items that already exist instead of leaving them untouched"
+          },
+          resume: {
+            type: "boolean",
+            default: false,
+            description: "Continue an interrupted run from its progress journal (<work items file>.ado-journal.jsonl): items, state transitions and links already recorded there are not sent again, and items missing from it are looked up by their tags first. Required while an unfinished journal exists"
+          },
+          hierarchy_profile: {
+            description: "Hierarchy profile: 'agile', 'scrum', 'cmmi', a path to a profile .json file, or a custom profile object ({ extends, roots, item_types }). Defaults to metadata.hierarchy_profile, then ADO_HIERARCHY_PROFILE, then 'agile'.",
+            anyOf: [{ type: "string" }, { type: "object" }]
+          },
+          field_mapping: {
+            description: "Field mapping: path to a mapping .json file or a mapping object (work item types, field reference names, states, transitions, tags, custom fields). Defaults to ADO_FIELD_MAPPING_PATH, then the built-in mapping.",
+            anyOf: [{ type: "string" }, { type: "object" }]
+          }
+        },
+        required: ["work_items_path"]
+      }
+    },
+    {
+      name: "sync_ado_work_items",
+      description: "Two-way sync of titles, and task status, assignee and estimates, between work-items.json and Azure DevOps. Persists id_mapping and the last synced values in the JSON metadata.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          work_items_path: {
+            type: "string",
+            description: "Path to the work-items.json file previously pushed with create_ado_work_items"
+          },
+          direction: {
+            type: "string",
+            enum: ["pull", "push", "both"],
+            default: "both",
+            description: "'pull' only updates the JSON, 'push' only updates ADO, 'both' does both"
+          },
+          conflict_resolution: {
+            type: "string",
+            enum: ["last-writer", "local-wins", "remote-wins"],
+            default: "last-writer",
+            description: "Rule for fields changed on both sides since the last sync. 'last-writer' lets ADO win when the item has a newer revision than at the last sync (before the first sync: when it changed after metadata.generated_at)."
+          },
+          dry_run: {
+            type: "boolean",
+            default: false,
+            description: "If true, report what would be pulled and pushed without writing either side"
+          },
+          hierarchy_profile: {
+            description: "Hierarchy profile override; defaults to metadata.hierarchy_profile.",
+            anyOf: [{ type: "string" }, { type: "object" }]
+          },
+          field_mapping: {
+            description: "Field mapping: path to a mapping .json file or a mapping object (work item types, field reference names, states, transitions, tags, custom fields). Defaults to ADO_FIELD_MAPPING_PATH, then the built-in mapping.",
+            anyOf: [{ type: "string" }, { type: "object" }]
+          }
+        },
+        required: ["work_items_path"]
+      }
+    },
+    {
+      name: "validate_field_mapping",
+      description: "Check a field mapping against the process of the Azure DevOps project: work item types, field reference names, states and state transitions. Nothing is written.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          field_mapping: {
+            description: "Field mapping: path to a mapping .json file or a mapping object (work item types, field reference names, states, transitions, tags, custom fields). Defaults to ADO_FIELD_MAPPING_PATH, then the built-in mapping.",
+            anyOf: [{ type: "string" }, { type: "object" }]
+          },
+          work_items_path: {
+            type: "string",
+            description: "Optional work-items.json file; only the item types and statuses it uses are checked"
+          },
+          hierarchy_profile: {
+            description: "Hierarchy profile override; defaults to metadata.hierarchy_profile, then ADO_HIERARCHY_PROFILE, then 'agile'.",
+            anyOf: [{ type: "string" }, { type: "object" }]
           }
+        }
+      }
+    },
+    {
+      name: "plan_work_items",
+      description: "Roll up estimated effort per story, feature and epic, find the critical path through dependencies and, given a team, build a sprint-by-sprint schedule written back into work-items.json.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          work_items_path: { type: "string", description: "Path to the work-items.json file" },
+          team_members: {
+            type: "array",
+            description: "Team members as names or { name, capacity_per_sprint } objects. Omit to only compute roll-ups and the critical path.",
+            items: {
+              anyOf: [
+                { type: "string" },
+                { type: "object", properties: { name: { type: "string" }, capacity_per_sprint: { type: "number" } }, required: ["name"] }
+              ]
+            }
+          },
+          capacity_per_sprint: { type: "number", description: "Hours per member per sprint (default: sprint_length_days × 8)." },
+          sprint_length_days: { type: "number", default: 10, description: "Working days per sprint." },
+          start_date: { type: "string", description: "ISO date the first sprint starts (default: today)." },
+          dry_run: { type: "boolean", default: false, description: "If true, return the plan without writing sprint assignments." },
+          hierarchy_profile: { description: "Hierarchy profile override; defaults to metadata.hierarchy_profile.", anyOf: [{ type: "string" }, { type: "object" }] }
         },
         required: ["work_items_path"]
       }
@@ -867,13 +3464,34 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       return await getInstructions(request.params.arguments || {});
     case "create_work_items_json":
       return await createWorkItemsJson(request.params.arguments || {});
+    case "draft_work_items":
+      return await draftWorkItemsTool(request.params.arguments || {});
     case "create_ado_work_items":
       return await createADOWorkItems(request.params.arguments || {});
+    case "sync_ado_work_items":
+      return await syncADOWorkItems(request.params.arguments || {});
+    case "validate_field_mapping":
+      return await validateFieldMapping(request.params.arguments || {});
+    case "plan_work_items":
+      return await planWorkItems(request.params.arguments || {});
     default:
       throw new Error(`Unknown tool: ${request.params.name}`);
   }
 });
 
-const transport = new StdioServerTransport();
-await server.connect(transport);
-console.error("ContentIntelligenceManager MCP server running (schema-guidance + writer + ADO) v" + SERVER_VERSION);
\ No newline at end of file
+// Serve over stdio when started directly; the tests import the tool functions instead
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === __filename) {
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+  console.error("ContentIntelligenceManager MCP server running (schema-guidance + writer + ADO) v" + SERVER_VERSION);
+}
+
+export {
+  createWorkItemsJson,
+  draftWorkItemsTool,
+  createADOWorkItems,
+  syncADOWorkItems,
+  validateFieldMapping,
+  planWorkItems,
+  sendWorkItemBatch
+};
\ No newline at end of file
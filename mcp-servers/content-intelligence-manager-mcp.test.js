@@ -0,0 +1,767 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { WebApi } from "azure-devops-node-api";
+import * as msal from "@azure/msal-node";
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "content-intelligence-test-"));
+// ADO_CONFIG is read at import time; these also take precedence over a local .env
+Object.assign(process.env, {
+  ADO_ORGANIZATION: "org",
+  ADO_PROJECT: "proj",
+  ADO_AREA_PATH: "proj",
+  ADO_ITERATION_PATH: "proj",
+  ADO_AUTH_MODE: "pat",
+  ADO_PAT: "test-pat",
+  ADO_DEFAULT_ASSIGNEE: "",
+  ADO_FIELD_MAPPING_PATH: "",
+  ADO_HIERARCHY_PROFILE: "agile",
+  WORD_PARSER_CACHE: "off"
+});
+
+let manager;
+let wordParser;
+let fakeApi;
+WebApi.prototype.getWorkItemTrackingApi = async () => fakeApi;
+
+before(async () => {
+  manager = await import("./content-intelligence-manager-mcp.js");
+  wordParser = await import("./word-parser-mcp.js");
+});
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+const result = response => JSON.parse(response.content[0].text);
+
+function tempDir(name) {
+  const dir = path.join(workDir, name);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+// In-memory stand-in for the azure-devops-node-api WorkItemTrackingApi: $batch creates and
+// updates, WIQL tag lookups, getWorkItems, updateWorkItem and process metadata. `failPost`
+// may return (or throw) a response to simulate throttling and lost responses; `transitions`
+// (from state → allowed target states) is reported for every work item type.
+function createFakeWitApi({ failPost, transitions } = {}) {
+  const items = new Map();
+  const calls = { posts: 0, wiql: 0 };
+  const baseUrl = "https://dev.azure.com/org";
+  let nextId = 100;
+
+  const apply = (item, patch) => {
+    for (const op of patch) {
+      if (op.path === "/relations/-") item.relations.push(op.value);
+      else if (op.path.startsWith("/fields/")) item.fields[op.path.slice("/fields/".length)] = op.value;
+    }
+    item.rev = (item.rev || 0) + 1;
+    item.fields["System.ChangedDate"] = new Date().toISOString();
+  };
+  const create = (workItemType, patch) => {
+    const id = nextId++;
+    const item = { id, url: `${baseUrl}/_apis/wit/workItems/${id}`, fields: { "System.WorkItemType": workItemType }, relations: [] };
+    items.set(id, item);
+    apply(item, patch);
+    return item;
+  };
+  const batchResponse = (statusCode, body, headers = {}) => ({ message: { statusCode, headers }, readBody: async () => JSON.stringify(body) });
+
+  return {
+    items,
+    calls,
+    baseUrl,
+    create,
+    batchResponse,
+    http: {
+      async post(url, body) {
+        calls.posts++;
+        const requests = JSON.parse(body);
+        const failure = await failPost?.(calls.posts, requests);
+        if (failure) return failure;
+        return batchResponse(200, {
+          value: requests.map(request => {
+            const [, isCreate, target] = /workitems\/(\$?)([^?]+)/.exec(request.uri);
+            const item = isCreate ? create(decodeURIComponent(target), request.body) : items.get(Number(target));
+            if (!item) return { code: 404, headers: {}, body: JSON.stringify({ message: "Work item does not exist" }) };
+            if (!isCreate) apply(item, request.body);
+            return { code: 200, headers: {}, body: JSON.stringify(item) };
+          })
+        });
+      }
+    },
+    async queryByWiql({ query }) {
+      calls.wiql++;
+      const type = /\[System\.WorkItemType\] = '([^']*)'/.exec(query)[1];
+      const tags = [...query.matchAll(/CONTAINS '((?:[^']|'')*)'/g)].map(match => match[1].replace(/''/g, "'"));
+      const workItems = [...items.values()]
+        .filter(item => item.fields["System.WorkItemType"] === type)
+        .filter(item => {
+          const own = String(item.fields["System.Tags"] || "").split(";").map(tag => tag.trim());
+          return tags.every(tag => own.includes(tag));
+        })
+        .map(item => ({ id: item.id, url: item.url }));
+      return { workItems };
+    },
+    async getWorkItems(ids) {
+      return ids.map(id => items.has(id) ? structuredClone(items.get(id)) : null);
+    },
+    async updateWorkItem(headers, patch, id) {
+      apply(items.get(id), patch);
+      return structuredClone(items.get(id));
+    },
+    async getWorkItemTypes() {
+      const fields = ["System.Title", "System.Description", "Microsoft.VSTS.Common.AcceptanceCriteria", "System.AreaPath",
+        "System.IterationPath", "System.State", "System.AssignedTo", "Microsoft.VSTS.Scheduling.OriginalEstimate",
+        "Microsoft.VSTS.TCM.ReproSteps", "Microsoft.VSTS.Common.Severity", "System.Tags"];
+      return ["Epic", "Feature", "User Story", "Bug", "Task"].map(name => ({
+        name,
+        fields: fields.map(referenceName => ({ referenceName })),
+        states: ["New", "Active", "Resolved", "Closed", "Removed"].map(state => ({ name: state })),
+        ...(transitions ? {
+          transitions: Object.fromEntries(Object.entries(transitions).map(([from, targets]) => [from, targets.map(to => ({ to }))]))
+        } : {})
+      }));
+    }
+  };
+}
+
+const adoItem = (fake, idMapping, id) => fake.items.get(idMapping[id]);
+const readJson = file => JSON.parse(fs.readFileSync(file, "utf-8"));
+
+async function parseSpec(name, markdown) {
+  const file = path.join(tempDir("specs"), name);
+  fs.writeFileSync(file, markdown);
+  return result(await wordParser.parseDocument({ document_path: file, output_format: "text" }));
+}
+
+const workItems = (tasks = [{ id: "T1", title: "Build login form", status: "todo", estimated_effort: "2d" }]) => ({
+  metadata: { source_document: "/docs/login.docx" },
+  features: [{
+    id: "F1",
+    title: "Authentication",
+    user_stories: [{ id: "US1", title: "Sign in", acceptance_criteria: ["Users can sign in"], tasks }]
+  }]
+});
+
+test("create_work_items_json: writes a valid document", async () => {
+  const dir = tempDir("valid");
+  const written = result(await manager.createWorkItemsJson({ work_items: workItems(), document_directory: dir }));
+
+  assert.equal(written.status, "success");
+  assert.equal(written.validation.schema_valid, true);
+  assert.equal(written.validation.references_valid, true);
+  const saved = JSON.parse(fs.readFileSync(written.path, "utf-8"));
+  assert.equal(saved.metadata.hierarchy_profile, "agile");
+  assert.ok(saved.metadata.generated_at);
+});
+
+test("create_work_items_json: schema errors point at the offending value", async () => {
+  const dir = tempDir("schema");
+  const data = workItems([{ id: "T1", title: "", status: "blocked", estimated_effort: "soon" }]);
+  data.user_stories = [{ id: "US9", title: "Misplaced" }];
+
+  const rejected = result(await manager.createWorkItemsJson({ work_items: data, document_directory: dir }));
+
+  assert.equal(rejected.error, "Work items failed validation; file not written");
+  assert.equal(rejected.validation.schema_valid, false);
+  const errors = rejected.validation.errors.join("\n");
+  assert.match(errors, /\/features\/0\/user_stories\/0\/tasks\/0\/status: .*\(todo, in-progress, done\)/);
+  assert.match(errors, /\/features\/0\/user_stories\/0\/tasks\/0\/title: /);
+  assert.match(errors, /\/features\/0\/user_stories\/0\/tasks\/0\/estimated_effort: /);
+  assert.match(errors, /'user_stories' is not allowed at this level/);
+  assert.equal(fs.existsSync(path.join(dir, "work-items.json")), false);
+});
+
+test("create_work_items_json: duplicate ids, unknown dependencies and cycles are reference errors", async () => {
+  const dir = tempDir("references");
+  const data = workItems([
+    { id: "T1", title: "A", dependencies: ["T2"] },
+    { id: "T2", title: "B", dependencies: ["T1", "T9"] },
+    { id: "T2", title: "C" },
+    { id: "T3", title: "D", dependencies: ["T3"] }
+  ]);
+
+  const rejected = result(await manager.createWorkItemsJson({ work_items: data, document_directory: dir }));
+
+  assert.equal(rejected.validation.schema_valid, true);
+  assert.equal(rejected.validation.references_valid, false);
+  const errors = rejected.validation.errors.join("\n");
+  assert.match(errors, /tasks\/2\/id: duplicate ID 'T2' \(first used at \/features\/0\/user_stories\/0\/tasks\/1\)/);
+  assert.match(errors, /unknown ID 'T9'/);
+  assert.match(errors, /'T3' depends on itself/);
+  assert.match(errors, /dependency cycle T1 → T2 → T1/);
+
+  const forced = result(await manager.createWorkItemsJson({ work_items: data, document_directory: dir, force: true }));
+  assert.equal(forced.status, "success");
+  assert.equal(forced.forced, true);
+});
+
+test("create_work_items_json: custom hierarchy profiles are validated against their own collections", async () => {
+  const dir = tempDir("custom-profile");
+  const hierarchy_profile = {
+    extends: "agile",
+    roots: ["initiatives"],
+    item_types: { initiatives: { work_item_type: "Epic", id_prefix: "I", children: ["features"] } }
+  };
+  const data = { metadata: {}, initiatives: [{ id: "I1", title: "Self service", features: workItems().features }] };
+
+  const written = result(await manager.createWorkItemsJson({ work_items: data, document_directory: dir, hierarchy_profile }));
+  assert.equal(written.status, "success");
+  assert.deepEqual(written.validation.root_collections, ["initiatives"]);
+
+  const wrongPrefix = { metadata: {}, initiatives: [{ id: "E1", title: "Self service" }] };
+  const rejected = result(await manager.createWorkItemsJson({ work_items: wrongPrefix, document_directory: dir, hierarchy_profile }));
+  assert.match(rejected.validation.errors.join("\n"), /\/initiatives\/0\/id: must match pattern/);
+});
+
+test("draft_work_items: default strategy turns sections into features, stories, tasks and spikes", async () => {
+  const parsed = await parseSpec("portal.md", `# Customer portal
+
+## Overview
+
+This document describes the portal.
+
+## Orders
+
+As a customer, I want to see my orders so that I can track deliveries.
+
+### Acceptance criteria
+
+- Given orders exist, when the page opens, then the newest order is first.
+
+### Implementation
+
+- Add an orders API endpoint.
+
+## Payments
+
+TBD: which payment provider do we use?
+
+The system shall accept card payments.
+`);
+
+  const drafted = result(await manager.draftWorkItemsTool({ parsed_document: parsed }));
+
+  assert.equal(drafted.strategy, "default");
+  assert.deepEqual(drafted.summary, { features: 2, user_stories: 2, spikes: 1, tasks: 1 });
+  assert.deepEqual(drafted.validation.errors, []);
+  const [orders, payments] = drafted.work_items.features;
+  assert.equal(orders.title, "Orders");
+  const [story] = orders.user_stories;
+  assert.equal(story.title, "See my orders");
+  assert.deepEqual(story.acceptance_criteria, ["Given orders exist, when the page opens, then the newest order is first."]);
+  assert.equal(story.tasks[0].title, "Add an orders API endpoint");
+  assert.ok(story.source_anchors.every(anchor => parsed.blocks.some(block => block.id === anchor)));
+  assert.equal(payments.spikes[0].title, "Investigate: which payment provider do we use?");
+  assert.equal(payments.user_stories[0].title, "The system shall accept card payments");
+  assert.equal(drafted.work_items.metadata.source_document, parsed.document_path);
+});
+
+test("draft_work_items: pcf strategy splits UI stories from technical tasks and adds Figma tasks", async () => {
+  const parsed = await parseSpec("rating.md", `# Rating control
+
+This PCF control renders a star rating.
+
+## Star rating component
+
+The control shall display five stars.
+
+The control shall store the value as an integer.
+
+See [Stars](https://www.figma.com/design/K1/App?node-id=3-4).
+`);
+
+  const drafted = result(await manager.draftWorkItemsTool({ parsed_document: parsed }));
+
+  assert.equal(drafted.strategy, "pcf");
+  const [feature] = drafted.work_items.features;
+  assert.equal(feature.title, "Star rating component");
+  const [uiStory, technical] = feature.user_stories;
+  assert.equal(uiStory.title, "The control shall display five stars");
+  assert.equal(uiStory.tasks[0].title, "Implement Figma node 3:4 (Stars)");
+  assert.equal(technical.title, "Technical implementation: Star rating component");
+  assert.equal(technical.tasks[0].title, "The control shall store the value as an integer");
+});
+
+test("draft_work_items: write=true validates and writes work-items.json next to the spec", async () => {
+  const parsed = await parseSpec("write.md", "# Search\n\nThe system shall search products by name.\n");
+  const dir = tempDir("draft-write");
+
+  const drafted = result(await manager.draftWorkItemsTool({ parsed_document: parsed, write: true, document_directory: dir }));
+
+  assert.equal(drafted.write_result.status, "success");
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, "work-items.json"), "utf-8"));
+  assert.equal(saved.features[0].user_stories[0].title, "The system shall search products by name");
+
+  const chunked = result(await manager.draftWorkItemsTool({ parsed_document: { sections: [] } }));
+  assert.equal(chunked.error, "Parsed document has no sections or blocks");
+});
+
+function writeWorkItems(name, data) {
+  const file = path.join(tempDir("plans"), name);
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  return file;
+}
+
+test("plan_work_items: rolls up effort, finds the critical path and schedules sprints", async () => {
+  const file = writeWorkItems("plan.json", workItems([
+    { id: "T1", title: "Schema", estimated_effort: "2d" },
+    { id: "T2", title: "API", estimated_effort: "8h", dependencies: ["T1"] },
+    { id: "T3", title: "Docs", estimated_effort: "4h" },
+    { id: "T4", title: "Review" }
+  ]));
+
+  const plan = result(await manager.planWorkItems({
+    work_items_path: file,
+    team_members: [{ name: "alice", capacity_per_sprint: 16 }, { name: "bob", capacity_per_sprint: 16 }],
+    sprint_length_days: 2,
+    start_date: "2026-01-05"
+  }));
+
+  assert.equal(plan.total_hours, 28);
+  assert.deepEqual(plan.unestimated_items, ["T4"]);
+  assert.deepEqual(plan.rollups.map(rollup => [rollup.id, rollup.estimated_hours]), [["F1", 28], ["US1", 28]]);
+  assert.equal(plan.critical_path.hours, 24);
+  assert.deepEqual(plan.critical_path.items.map(item => item.id), ["T1", "T2"]);
+
+  const [first, second] = plan.schedule.sprints;
+  assert.deepEqual(first.items.map(item => [item.id, item.member]), [["T1", "alice"], ["T3", "bob"], ["T4", "bob"]]);
+  assert.deepEqual(second.items.map(item => [item.id, item.member]), [["T2", "alice"]]);
+  assert.deepEqual([first.start_date, first.end_date, second.start_date], ["2026-01-05", "2026-01-06", "2026-01-07"]);
+
+  const saved = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const [T1, T2] = saved.features[0].user_stories[0].tasks;
+  assert.deepEqual([T1.sprint, T1.assignee, T2.sprint], ["Sprint 1", "alice", "Sprint 2"]);
+  assert.deepEqual(saved.metadata.plan.critical_path, ["T1", "T2"]);
+});
+
+test("plan_work_items: oversized tasks stay unscheduled and dry runs leave the file alone", async () => {
+  const data = workItems([
+    { id: "T1", title: "Migration", estimated_effort: "3d" },
+    { id: "T2", title: "Cutover", estimated_effort: "1h", dependencies: ["T1"] }
+  ]);
+  const file = writeWorkItems("oversized.json", data);
+
+  const plan = result(await manager.planWorkItems({ work_items_path: file, team_members: ["alice"], capacity_per_sprint: 16, dry_run: true }));
+
+  assert.equal(plan.mode, "DRY RUN");
+  assert.equal(plan.written, false);
+  assert.deepEqual(plan.schedule.unscheduled, [
+    { id: "T1", reason: "estimate of 24h exceeds the sprint capacity of every team member; split the task" },
+    { id: "T2", reason: "depends on unscheduled T1" }
+  ]);
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf-8")), data);
+});
+
+test("plan_work_items: cycles through container dependencies are rejected", async () => {
+  const data = workItems([]);
+  data.features[0].user_stories = [
+    { id: "US1", title: "Export", tasks: [{ id: "T1", title: "Export API", estimated_effort: "1d", dependencies: ["US2"] }] },
+    { id: "US2", title: "Import", tasks: [{ id: "T2", title: "Import API", estimated_effort: "1d", dependencies: ["US1"] }] }
+  ];
+  const file = writeWorkItems("cycle.json", data);
+
+  const plan = result(await manager.planWorkItems({ work_items_path: file, team_members: ["alice"] }));
+
+  assert.equal(plan.error, "Dependencies contain cycles; no critical path or schedule can be built");
+  assert.deepEqual(plan.cycles, ["dependency cycle T1 → T2 → T1 (after expanding dependencies on containers to their tasks)"]);
+
+  data.features[0].user_stories[0].tasks[0].dependencies = ["T2"];
+  data.features[0].user_stories[1].tasks[0].dependencies = ["T1"];
+  fs.writeFileSync(file, JSON.stringify(data));
+  const direct = result(await manager.planWorkItems({ work_items_path: file }));
+  assert.equal(direct.cycles.length, 1);
+  assert.match(direct.cycles[0], /dependency cycle T1 → T2 → T1$/);
+});
+
+test("sync_ado_work_items: both-side edits resolve by revision, local edits push and unmapped states are reported", async () => {
+  fakeApi = createFakeWitApi();
+  const file = writeWorkItems("sync.json", workItems([
+    { id: "T1", title: "Build login form", status: "todo", assignee: "Jane Doe" },
+    { id: "T2", title: "Write tests", status: "todo" }
+  ]));
+  assert.equal(result(await manager.createADOWorkItems({ work_items_path: file })).created, 4);
+  const { id_mapping } = readJson(file).metadata;
+  const t1 = adoItem(fakeApi, id_mapping, "T1");
+  const t2 = adoItem(fakeApi, id_mapping, "T2");
+  t1.fields["System.AssignedTo"] = { displayName: "Jane Doe", uniqueName: "jane@example.com" };
+
+  const first = result(await manager.syncADOWorkItems({ work_items_path: file }));
+  assert.deepEqual([first.pulled, first.pushed, first.conflicts], [[], [], []]);
+
+  // Both sides rename T1 (ADO is newer by revision); T2 is renamed locally and removed in ADO
+  t1.fields["System.Title"] = "Build sign-in form";
+  t1.rev++;
+  t2.fields["System.State"] = "Removed";
+  t2.rev++;
+  const data = readJson(file);
+  data.features[0].user_stories[0].tasks[0].title = "Build login page";
+  data.features[0].user_stories[0].tasks[1].title = "Write unit tests";
+  fs.writeFileSync(file, JSON.stringify(data));
+
+  const second = result(await manager.syncADOWorkItems({ work_items_path: file }));
+  assert.deepEqual(second.conflicts.map(conflict => [conflict.id, conflict.field, conflict.resolved_to]), [["T1", "title", "remote"]]);
+  assert.deepEqual(second.pulled.map(change => [change.id, change.field]), [["T1", "title"]]);
+  assert.deepEqual(second.pushed.map(change => [change.id, change.field]), [["T2", "title"]]);
+  assert.deepEqual(second.unmapped, [{ id: "T2", ado_id: id_mapping.T2, field: "status", remote: "Removed" }]);
+  assert.equal(t2.fields["System.Title"], "Write unit tests");
+
+  const [T1, T2] = readJson(file).features[0].user_stories[0].tasks;
+  assert.deepEqual([T1.title, T1.assignee], ["Build sign-in form", "Jane Doe"]);
+  assert.equal(T2.status, "todo");
+
+  const third = result(await manager.syncADOWorkItems({ work_items_path: file }));
+  assert.deepEqual([third.pulled, third.pushed, third.conflicts], [[], [], []]);
+});
+
+test("sync_ado_work_items: local-wins overrides a newer remote edit and dry runs change nothing", async () => {
+  fakeApi = createFakeWitApi();
+  const file = writeWorkItems("sync-local-wins.json", workItems());
+  await manager.createADOWorkItems({ work_items_path: file });
+  await manager.syncADOWorkItems({ work_items_path: file });
+  const task = adoItem(fakeApi, readJson(file).metadata.id_mapping, "T1");
+
+  task.fields["System.Title"] = "Remote title";
+  task.rev++;
+  const data = readJson(file);
+  data.features[0].user_stories[0].tasks[0].title = "Local title";
+  fs.writeFileSync(file, JSON.stringify(data));
+
+  const preview = result(await manager.syncADOWorkItems({ work_items_path: file, conflict_resolution: "local-wins", dry_run: true }));
+  assert.equal(preview.conflicts[0].resolved_to, "local");
+  assert.equal(task.fields["System.Title"], "Remote title");
+  assert.deepEqual(readJson(file), data);
+
+  const applied = result(await manager.syncADOWorkItems({ work_items_path: file, conflict_resolution: "local-wins" }));
+  assert.deepEqual(applied.pushed.map(change => change.id), ["T1"]);
+  assert.equal(task.fields["System.Title"], "Local title");
+});
+
+const journalEvents = file => fs.readFileSync(file.replace(/\.json$/, ".ado-journal.jsonl"), "utf-8")
+  .trim().split("\n").map(line => JSON.parse(line));
+
+test("create_ado_work_items: a partial batch is journaled and resume creates only the rest", async () => {
+  let interrupted = true;
+  fakeApi = createFakeWitApi({
+    failPost: (post, requests) => {
+      if (!interrupted) return null;
+      // The first create goes through and the second is throttled; the retry then loses the connection
+      if (post === 1) {
+        const feature = fakeApi.create("Feature", requests[0].body);
+        return fakeApi.batchResponse(200, { value: [
+          { code: 200, headers: {}, body: JSON.stringify(feature) },
+          { code: 429, headers: { "retry-after": "0" }, body: JSON.stringify({ message: "Too many requests" }) }
+        ] });
+      }
+      throw Object.assign(new Error("socket hang up"), { code: "ECONNRESET" });
+    }
+  });
+  const file = writeWorkItems("journal.json", {
+    metadata: { source_document: "/docs/journal.docx" },
+    features: [{ id: "F1", title: "Search" }, { id: "F2", title: "Export", user_stories: [{ id: "US1", title: "Export to CSV" }] }]
+  });
+
+  const failed = result(await manager.createADOWorkItems({ work_items_path: file }));
+  assert.equal(failed.error, "Failed to create work items");
+  assert.equal(failed.details, "socket hang up");
+  assert.equal(fakeApi.calls.posts, 2, "creates are not resent after a network error");
+  assert.deepEqual(journalEvents(file).filter(entry => entry.event === "item").map(entry => entry.id), ["F1"]);
+  assert.deepEqual(Object.keys(readJson(file).metadata.id_mapping), ["F1"]);
+
+  interrupted = false;
+  const refused = result(await manager.createADOWorkItems({ work_items_path: file }));
+  assert.equal(refused.error, "An earlier run did not complete; its progress journal would be overwritten");
+
+  const resumed = result(await manager.createADOWorkItems({ work_items_path: file, resume: true, skip_existing: false }));
+  assert.equal(resumed.status, "success");
+  assert.equal(resumed.resumed, 1);
+  assert.equal(resumed.created, 2);
+  assert.equal(fakeApi.items.size, 3);
+  assert.deepEqual(Object.keys(resumed.id_mapping).sort(), ["F1", "F2", "US1"]);
+  assert.equal(journalEvents(file).at(-1).event, "completed");
+
+  const rerun = result(await manager.createADOWorkItems({ work_items_path: file }));
+  assert.deepEqual([rerun.created, rerun.skipped], [0, 3]);
+  assert.equal(fakeApi.items.size, 3);
+});
+
+test("create_ado_work_items: creates whose response was lost are found on resume instead of duplicated", async () => {
+  let loseResponse = true;
+  fakeApi = createFakeWitApi({
+    failPost: (post, requests) => {
+      if (!loseResponse) return null;
+      loseResponse = false;
+      for (const request of requests) fakeApi.create("Feature", request.body);
+      return fakeApi.batchResponse(503, { message: "Service unavailable" }, { "retry-after": "0" });
+    }
+  });
+  const file = writeWorkItems("lost-response.json", {
+    metadata: { source_document: "/docs/lost.docx" },
+    features: [{ id: "F1", title: "Search" }, { id: "F2", title: "Export" }]
+  });
+
+  const failed = result(await manager.createADOWorkItems({ work_items_path: file }));
+  assert.match(failed.details, /HTTP 503/);
+  assert.equal(fakeApi.calls.posts, 1);
+
+  const resumed = result(await manager.createADOWorkItems({ work_items_path: file, resume: true, skip_existing: false }));
+  assert.equal(resumed.status, "success");
+  assert.equal(resumed.created, 0);
+  assert.equal(fakeApi.items.size, 2);
+  assert.deepEqual(Object.keys(resumed.id_mapping).sort(), ["F1", "F2"]);
+});
+
+test("sendWorkItemBatch: updates are retried after transient failures", async () => {
+  fakeApi = createFakeWitApi({
+    failPost: post => post === 1 ? fakeApi.batchResponse(503, { message: "Service unavailable" }, { "retry-after": "0" }) : null
+  });
+  const existing = fakeApi.create("Task", [{ op: "add", path: "/fields/System.Title", value: "Old" }]);
+  const update = {
+    method: "PATCH",
+    uri: `/_apis/wit/workitems/${existing.id}?api-version=7.1`,
+    headers: { "Content-Type": "application/json-patch+json" },
+    body: [{ op: "add", path: "/fields/System.Title", value: "New" }]
+  };
+  const settled = [];
+
+  const results = await manager.sendWorkItemBatch(fakeApi, [update], entries => settled.push(...entries));
+
+  assert.equal(fakeApi.calls.posts, 2);
+  assert.equal(results[0].ok, true);
+  assert.deepEqual(settled.map(entry => entry.index), [0]);
+  assert.equal(existing.fields["System.Title"], "New");
+});
+
+test("create_ado_work_items: skip_existing reuses items carrying only the legacy tags, not another document's", async () => {
+  fakeApi = createFakeWitApi();
+  const tags = value => [{ op: "add", path: "/fields/System.Tags", value }];
+  const legacy = fakeApi.create("Feature", tags("FTEBuddy; Generated; F1"));
+  fakeApi.create("Feature", tags("FTEBuddy; Generated; F2; Source:other.docx"));
+  const file = writeWorkItems("legacy-tags.json", {
+    metadata: { source_document: "/docs/legacy.docx" },
+    features: [{ id: "F1", title: "Search" }, { id: "F2", title: "Export" }]
+  });
+
+  const run = result(await manager.createADOWorkItems({ work_items_path: file }));
+
+  assert.equal(run.status, "success");
+  assert.deepEqual([run.created, run.skipped], [1, 1]);
+  assert.equal(run.id_mapping.F1, legacy.id);
+  assert.equal(fakeApi.items.size, 3);
+  assert.match(adoItem(fakeApi, run.id_mapping, "F2").fields["System.Tags"], /Source:legacy\.docx/);
+});
+
+// ADO_CONFIG and the MSAL configuration are read at import time, so each auth mode gets its own
+// instance of the module; MSAL_CLIENT_SECRET is read per call, so the variables stay set until the test ends
+let managerInstances = 0;
+async function loadManagerWith(t, env) {
+  const saved = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+  t.after(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+  Object.assign(process.env, env);
+  return import(`./content-intelligence-manager-mcp.js?instance=${++managerInstances}`);
+}
+
+const MSAL_ACCOUNT = {
+  homeAccountId: "uid.utid",
+  environment: "login.microsoftonline.com",
+  tenantId: "utid",
+  localAccountId: "uid",
+  username: "dev@example.com"
+};
+// Token cache in the MSAL schema, as MSAL writes it after a sign-in
+const MSAL_CACHE = JSON.stringify({
+  Account: {
+    "uid.utid-login.microsoftonline.com-utid": {
+      home_account_id: MSAL_ACCOUNT.homeAccountId,
+      environment: MSAL_ACCOUNT.environment,
+      realm: MSAL_ACCOUNT.tenantId,
+      local_account_id: MSAL_ACCOUNT.localAccountId,
+      username: MSAL_ACCOUNT.username,
+      authority_type: "MSSTS"
+    }
+  },
+  IdToken: {},
+  AccessToken: {},
+  RefreshToken: {},
+  AppMetadata: {}
+});
+
+function stubMsal(t, methods) {
+  for (const [name, stub] of Object.entries(methods)) {
+    const [className, method] = name.split(".");
+    const prototype = msal[className].prototype;
+    const original = prototype[method];
+    prototype[method] = stub;
+    t.after(() => { prototype[method] = original; });
+  }
+}
+
+test("auth: device-code sign-in returns the prompt, completes on a later call and is cached on disk", async (t) => {
+  fakeApi = createFakeWitApi();
+  const tokenCachePath = path.join(tempDir("auth"), "msal-cache.json");
+  const file = writeWorkItems("auth-device-code.json", workItems());
+  const calls = { deviceCode: 0, silent: 0 };
+  let signIn;
+  const signedIn = new Promise(resolve => { signIn = resolve; });
+  stubMsal(t, {
+    "PublicClientApplication.acquireTokenByDeviceCode": async function (request) {
+      calls.deviceCode++;
+      request.deviceCodeCallback({
+        verificationUri: "https://microsoft.com/devicelogin",
+        userCode: "ABCD-1234",
+        expiresIn: 900,
+        message: "To sign in, enter ABCD-1234"
+      });
+      await signedIn;
+      // MSAL stores the account through the cache plugin once the user has signed in
+      const cache = this.getTokenCache();
+      const context = new msal.TokenCacheContext(cache, true);
+      await cache.persistence.beforeCacheAccess(context);
+      cache.deserialize(MSAL_CACHE);
+      await cache.persistence.afterCacheAccess(context);
+      return { accessToken: "device-token", expiresOn: new Date(Date.now() + 3600 * 1000), account: MSAL_ACCOUNT };
+    },
+    "PublicClientApplication.acquireTokenSilent": async function ({ account }) {
+      calls.silent++;
+      assert.equal(account.username, MSAL_ACCOUNT.username);
+      return { accessToken: "cached-token", expiresOn: new Date(Date.now() + 3600 * 1000), account };
+    }
+  });
+  const env = { ADO_AUTH_MODE: "device-code", MSAL_CLIENT_ID: "client-id", ADO_TOKEN_CACHE_PATH: tokenCachePath };
+  const deviceCodeManager = await loadManagerWith(t, env);
+
+  const prompt = result(await deviceCodeManager.syncADOWorkItems({ work_items_path: file }));
+  assert.equal(prompt.status, "authentication_required");
+  assert.deepEqual([prompt.verification_uri, prompt.user_code], ["https://microsoft.com/devicelogin", "ABCD-1234"]);
+  assert.ok(Date.parse(prompt.expires_at) > Date.now());
+
+  const stillWaiting = result(await deviceCodeManager.syncADOWorkItems({ work_items_path: file }));
+  assert.equal(stillWaiting.user_code, "ABCD-1234");
+  assert.equal(calls.deviceCode, 1, "a pending sign-in is not restarted");
+
+  signIn();
+  await new Promise(resolve => setImmediate(resolve));
+  const synced = result(await deviceCodeManager.syncADOWorkItems({ work_items_path: file }));
+  assert.equal(synced.status, "success");
+  assert.equal(calls.silent, 1, "the signed-in account is read back from the token cache");
+
+  const cached = readJson(tokenCachePath);
+  assert.equal(Object.values(cached.Account)[0].username, MSAL_ACCOUNT.username);
+  assert.equal(fs.statSync(tokenCachePath).mode & 0o777, 0o600);
+
+  // A restarted server signs in silently from the cache file
+  const restarted = await loadManagerWith(t, env);
+  const silent = result(await restarted.syncADOWorkItems({ work_items_path: file }));
+  assert.equal(silent.status, "success");
+  assert.deepEqual([calls.deviceCode, calls.silent], [1, 2]);
+});
+
+test("auth: client credentials use the service principal and report missing settings", async (t) => {
+  fakeApi = createFakeWitApi();
+  const file = writeWorkItems("auth-client-credentials.json", workItems());
+  const requests = [];
+  stubMsal(t, {
+    "ConfidentialClientApplication.acquireTokenByClientCredential": async function (request) {
+      requests.push(request);
+      return { accessToken: "app-token", expiresOn: new Date(Date.now() + 3600 * 1000) };
+    }
+  });
+  const env = { ADO_AUTH_MODE: "client-credentials", MSAL_CLIENT_ID: "client-id", MSAL_CLIENT_SECRET: "", MSAL_TENANT_ID: "tenant" };
+  const clientCredentials = await loadManagerWith(t, env);
+
+  const missing = result(await clientCredentials.syncADOWorkItems({ work_items_path: file }));
+  assert.equal(missing.error, "Authentication failed");
+  assert.match(missing.details, /requires MSAL_CLIENT_SECRET and MSAL_TENANT_ID/);
+  assert.match(missing.hint, /service principal/);
+
+  process.env.MSAL_CLIENT_SECRET = "secret";
+  const synced = result(await clientCredentials.syncADOWorkItems({ work_items_path: file }));
+  assert.equal(synced.status, "success");
+  assert.deepEqual(requests.map(request => request.scopes), [["499b84ac-1321-427f-aa17-267ca6975798/.default"]]);
+});
+
+test("auth: pat mode requires ADO_PAT and unknown modes are rejected", async (t) => {
+  const file = writeWorkItems("auth-pat.json", workItems());
+
+  const withoutPat = await loadManagerWith(t, { ADO_AUTH_MODE: "pat", ADO_PAT: "" });
+  const missing = result(await withoutPat.syncADOWorkItems({ work_items_path: file }));
+  assert.equal(missing.details, "ADO_AUTH_MODE=pat requires ADO_PAT");
+  assert.match(missing.hint, /Work Items \(Read & write\)/);
+
+  const unknownMode = await loadManagerWith(t, { ADO_AUTH_MODE: "kerberos" });
+  const rejected = result(await unknownMode.syncADOWorkItems({ work_items_path: file }));
+  assert.match(rejected.details, /Unknown ADO_AUTH_MODE 'kerberos'/);
+});
+
+test("validate_field_mapping: the default mapping matches the process", async () => {
+  fakeApi = createFakeWitApi();
+
+  const validation = result(await manager.validateFieldMapping({}));
+
+  assert.equal(validation.status, "valid");
+  assert.deepEqual(validation.problems, []);
+  assert.equal(validation.work_item_types.user_stories, "User Story");
+});
+
+test("validate_field_mapping: unknown types, fields and states are reported", async () => {
+  fakeApi = createFakeWitApi();
+  const file = writeWorkItems("mapping-usage.json", workItems([{ id: "T1", title: "Build login form", status: "in-progress" }]));
+  const field_mapping = {
+    states: { "in-progress": "Doing" },
+    custom_fields: { "Custom.Team": "Platform" },
+    types: {
+      user_story: { work_item_type: "Product Backlog Item" },
+      task: { fields: { original_estimate: "Custom.Hours" } }
+    }
+  };
+
+  const validation = result(await manager.validateFieldMapping({ field_mapping, work_items_path: file }));
+
+  assert.equal(validation.status, "invalid");
+  const problems = validation.problems.join("\n");
+  assert.match(problems, /user_stories: work item type 'Product Backlog Item' does not exist in project 'proj'/);
+  assert.match(problems, /tasks: field 'original_estimate' → 'Custom\.Hours' is not defined on 'Task'/);
+  assert.match(problems, /features: custom field 'Custom\.Team' is not defined on 'Feature'/);
+  assert.match(problems, /tasks: state 'Doing' is not a state of 'Task'/);
+});
+
+test("validate_field_mapping: mapped transitions must follow the process workflow", async () => {
+  fakeApi = createFakeWitApi({ transitions: { "": ["New"], New: ["Active"], Active: ["Resolved"], Resolved: ["Closed"] } });
+  const file = writeWorkItems("mapping-transitions.json", workItems([{ id: "T1", title: "Build login form", status: "done" }]));
+
+  const skipping = { states: { done: "Closed" }, transitions: { Closed: ["Resolved", "Closed"] } };
+  const invalid = result(await manager.validateFieldMapping({ field_mapping: skipping, work_items_path: file }));
+  assert.deepEqual(invalid.problems, ["tasks: transition 'New' → 'Resolved' is not allowed for 'Task'"]);
+
+  const direct = result(await manager.validateFieldMapping({ field_mapping: { states: { done: "Closed" } }, work_items_path: file }));
+  assert.match(direct.problems[0], /new 'Task' items cannot start in 'Closed'; add transitions\.Closed/);
+
+  const stepwise = { states: { done: "Closed" }, transitions: { Closed: ["Active", "Resolved", "Closed"] } };
+  const valid = result(await manager.validateFieldMapping({ field_mapping: stepwise, work_items_path: file }));
+  assert.equal(valid.status, "valid");
+});
+
+test("create_ado_work_items: an invalid field mapping stops the run before anything is created", async () => {
+  fakeApi = createFakeWitApi();
+  const file = writeWorkItems("mapping-blocked.json", workItems());
+
+  const blocked = result(await manager.createADOWorkItems({
+    work_items_path: file,
+    field_mapping: { types: { feature: { fields: { description: "Custom.Summary" } } } }
+  }));
+
+  assert.equal(blocked.error, "Field mapping does not match the project's process; nothing was created");
+  assert.deepEqual(blocked.problems, ["features: field 'description' → 'Custom.Summary' is not defined on 'Feature'"]);
+  assert.equal(fakeApi.calls.posts, 0);
+  assert.equal(fakeApi.items.size, 0);
+  assert.equal(readJson(file).metadata.id_mapping, undefined);
+});
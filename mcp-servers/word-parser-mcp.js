@@ -1,80 +1,2779 @@
+import crypto from "crypto";
 import fs from "fs";
 import { stat } from "fs/promises";
+import JSZip from "jszip";
 import mammoth from "mammoth";
+import os from "os";
 import path from "path";
+import { fileURLToPath } from "url";
+import { DOMParser } from "@xmldom/xmldom";
+import { marked } from "marked";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { CallToolRequestSchema, ListToolsRequestSchema } from "@modelcontextprotocol/sdk/types.js";
 
+// Part of the parse cache key: bump whenever the shape or content of parse results changes
+const SERVER_VERSION = "0.6.3";
+// Set WORD_PARSER_CACHE=off to disable caching of parse results
+const CACHE_CONFIG = {
+  enabled: !/^(off|false|0|no)$/i.test(process.env.WORD_PARSER_CACHE || ""),
+  directory: process.env.WORD_PARSER_CACHE_DIR || path.join(os.tmpdir(), "word-parser-mcp-cache")
+};
+
+const VOID_ELEMENTS = new Set(["area", "base", "br", "col", "hr", "img", "input", "link", "meta", "source", "wbr"]);
+const HEADING_TAGS = { h1: 1, h2: 2, h3: 3, h4: 4, h5: 5, h6: 6 };
+const BLOCK_TAGS = new Set(["p", "li", "ul", "ol", "table", "tr", "div", "blockquote", "pre", "h1", "h2", "h3", "h4", "h5", "h6"]);
+const NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity[0] === "#") {
+      const codePoint = entity[1] === "x" || entity[1] === "X"
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// Minimal HTML tree builder for mammoth output: elements are { tag, attrs, children }, text nodes are { text }.
+function parseHtmlFragment(html) {
+  const root = { tag: "#root", attrs: {}, children: [] };
+  const stack = [root];
+  const tokenPattern = /<!--[\s\S]*?-->|<![a-zA-Z\[][^>]*>|<\?[\s\S]*?\?>|<\/?[a-zA-Z](?:"[^"]*"|'[^']*'|[^'">])*>|[^<]+|</g;
+  let token;
+
+  while ((token = tokenPattern.exec(html)) !== null) {
+    const value = token[0];
+    const parent = stack[stack.length - 1];
+
+    if (value.startsWith("<!") || value.startsWith("<?")) continue;
+
+    if (value.startsWith("</")) {
+      const tag = value.slice(2, -1).trim().toLowerCase();
+      const openIndex = stack.map(node => node.tag).lastIndexOf(tag);
+      if (openIndex > 0) stack.length = openIndex;
+      continue;
+    }
+
+    if (value.length > 1 && value[0] === "<") {
+      const tagMatch = value.match(/^<([a-zA-Z][\w-]*)/);
+      const tag = tagMatch[1].toLowerCase();
+      const attrs = {};
+      const attrSource = value.slice(tagMatch[0].length).replace(/\/?>$/, "");
+      const attrPattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+      let attr;
+      while ((attr = attrPattern.exec(attrSource)) !== null) {
+        attrs[attr[1].toLowerCase()] = decodeHtmlEntities(attr[2] ?? attr[3] ?? attr[4] ?? "");
+      }
+
+      const element = { tag, attrs, children: [] };
+      parent.children.push(element);
+      if (!VOID_ELEMENTS.has(tag) && !value.endsWith("/>")) stack.push(element);
+      continue;
+    }
+
+    parent.children.push({ text: decodeHtmlEntities(value) });
+  }
+
+  return root;
+}
+
+function renderHtml(node) {
+  if (node.text !== undefined) return escapeHtml(node.text);
+
+  const inner = node.children.map(renderHtml).join("");
+  if (node.tag === "#root") return inner;
+
+  const attrs = Object.entries(node.attrs).map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join("");
+  return VOID_ELEMENTS.has(node.tag) ? `<${node.tag}${attrs} />` : `<${node.tag}${attrs}>${inner}</${node.tag}>`;
+}
+
+function nodeText(node) {
+  if (node.text !== undefined) return node.text;
+  if (node.tag === "br") return "\n";
+  const inner = node.children.map(nodeText).join("");
+  return BLOCK_TAGS.has(node.tag) ? `\n${inner}\n` : inner;
+}
+
+function blockText(node) {
+  return nodeText(node).split("\n").map(line => line.trim()).filter(Boolean).join("\n");
+}
+
+function normalizeWhitespace(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60)
+    .replace(/-+$/g, "");
+}
+
+function countSections(sections) {
+  return sections.reduce((total, section) => total + 1 + countSections(section.children), 0);
+}
+
+// Splits the document into a heading-based section tree. Each top-level block is kept
+// alongside its owning section so later passes can work on the nodes directly.
+function buildDocumentModel(html) {
+  const root = parseHtmlFragment(html);
+  const sections = [];
+  const blocks = [];
+  const stack = [];
+  const anchorCounts = new Map();
+  let preamble = null;
+
+  const uniqueAnchor = (title) => {
+    const base = slugify(title) || "section";
+    const count = (anchorCounts.get(base) || 0) + 1;
+    anchorCounts.set(base, count);
+    return count === 1 ? base : `${base}-${count}`;
+  };
+
+  for (const node of root.children) {
+    const level = HEADING_TAGS[node.tag];
+
+    if (level) {
+      const title = normalizeWhitespace(nodeText(node));
+      const section = { id: uniqueAnchor(title), level, title, html: "", text: "", children: [] };
+
+      while (stack.length > 0 && stack[stack.length - 1].level >= level) stack.pop();
+      (stack.length > 0 ? stack[stack.length - 1].children : sections).push(section);
+      stack.push(section);
+      blocks.push({ node, section, is_heading: true });
+      continue;
+    }
+
+    if (node.text !== undefined && !node.text.trim()) continue;
+
+    let section = stack[stack.length - 1];
+    if (!section) {
+      if (!preamble) {
+        preamble = { id: uniqueAnchor("preamble"), level: 0, title: "", html: "", text: "", children: [] };
+        sections.push(preamble);
+      }
+      section = preamble;
+    }
+
+    const text = blockText(node);
+    section.html += renderHtml(node);
+    section.text = section.text && text ? `${section.text}\n${text}` : section.text || text;
+    blocks.push({ node, section, is_heading: false });
+  }
+
+  return { root, sections, blocks };
+}
+
+function findElements(node, predicate, { descendIntoMatches = false } = {}) {
+  const found = [];
+  for (const child of node.children || []) {
+    if (child.text !== undefined) continue;
+    if (predicate(child)) {
+      found.push(child);
+      if (!descendIntoMatches) continue;
+    }
+    found.push(...findElements(child, predicate, { descendIntoMatches }));
+  }
+  return found;
+}
+
+function inferCellValue(text) {
+  const value = text.trim();
+  if (!value) return { type: "empty", value: null };
+  if (/^(yes|no|true|false)$/i.test(value)) return { type: "boolean", value: /^(yes|true)$/i.test(value) };
+
+  const numeric = value.replace(/,/g, "");
+  if (/^-?\d+(\.\d+)?$/.test(numeric)) return { type: "number", value: Number(numeric) };
+  if (/^-?\d+(\.\d+)?\s?%$/.test(numeric)) return { type: "percentage", value: Number(numeric.replace(/\s?%$/, "")) };
+  if (/^[$€£¥]\s?-?\d+(\.\d+)?$/.test(numeric)) return { type: "currency", value: Number(numeric.replace(/^[$€£¥]\s?/, "")) };
+  if (/^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/.test(value) || /^\d{1,2}\/\d{1,2}\/\d{2,4}$/.test(value)) return { type: "date", value };
+
+  return { type: "text", value };
+}
+
+// Expands a <table> element into a rectangular grid, repeating the text of merged
+// (rowspan/colspan) cells into every position they cover.
+function expandTableGrid(tableNode) {
+  const rowNodes = findElements(tableNode, node => node.tag === "tr");
+  const grid = [];
+  const mergedCells = [];
+  const headerRowFlags = [];
+
+  rowNodes.forEach((rowNode, rowIndex) => {
+    grid[rowIndex] = grid[rowIndex] || [];
+    const cells = rowNode.children.filter(node => node.tag === "td" || node.tag === "th");
+    headerRowFlags[rowIndex] = cells.length > 0 && cells.every(cell => cell.tag === "th");
+
+    let column = 0;
+    for (const cell of cells) {
+      while (grid[rowIndex][column] !== undefined) column++;
+
+      const text = blockText(cell);
+      const rowSpan = Math.max(1, parseInt(cell.attrs.rowspan || "1", 10) || 1);
+      const colSpan = Math.max(1, parseInt(cell.attrs.colspan || "1", 10) || 1);
+
+      for (let r = 0; r < rowSpan && rowIndex + r < rowNodes.length; r++) {
+        grid[rowIndex + r] = grid[rowIndex + r] || [];
+        for (let c = 0; c < colSpan; c++) grid[rowIndex + r][column + c] = text;
+      }
+
+      if (rowSpan > 1 || colSpan > 1) {
+        mergedCells.push({ row: rowIndex, column, row_span: rowSpan, col_span: colSpan, text });
+      }
+      column += colSpan;
+    }
+  });
+
+  const width = Math.max(0, ...grid.map(row => row.length));
+  return {
+    grid: grid.map(row => Array.from({ length: width }, (_, index) => row[index] ?? "")),
+    mergedCells,
+    headerRowFlags
+  };
+}
+
+const BLOCK_TYPES = { p: "paragraph", li: "list_item", table: "table", img: "image", pre: "code", blockquote: "quote" };
+
+// Lists are indexed per item (nested items included) so a single bullet can be referenced
+function blockUnits(node) {
+  if (node.tag !== "ul" && node.tag !== "ol") return [node];
+  return node.children
+    .filter(child => child.tag === "li")
+    .flatMap(item => {
+      const nested = item.children.filter(child => child.tag === "ul" || child.tag === "ol");
+      const own = { ...item, children: item.children.filter(child => !nested.includes(child)) };
+      return [own, ...nested.flatMap(blockUnits)];
+    });
+}
+
+// Section anchor without the de-duplication suffix, so adding a same-titled heading
+// earlier in the document does not change block ids further down
+function sectionSlug(section) {
+  return section.level === 0 ? "preamble" : slugify(section.title) || "section";
+}
+
+// Block ids combine the section anchor with a hash of the heading path and block text, so
+// they survive edits elsewhere in the document and change only when the block itself does
+function buildBlockIndex(documentModel) {
+  const headingPaths = new Map(flattenSections(documentModel.sections).map(section => [section.id, section.heading_path]));
+  const usedIds = new Map();
+  const positions = new Map();
+  const blocks = [];
+
+  for (const { node: blockNode, section, is_heading } of documentModel.blocks) {
+    for (const node of blockUnits(blockNode)) {
+      const headingPath = headingPaths.get(section.id) || [];
+      const images = node.tag === "img" ? [node] : findElements(node, child => child.tag === "img", { descendIntoMatches: true });
+      const text = normalizeWhitespace(nodeText(node)) || images.map(image => path.basename(image.attrs.src || "")).join(" ");
+      if (!text) continue;
+
+      const hash = crypto.createHash("sha256").update(`${headingPath.join(" > ")}\n${text}`).digest("hex").slice(0, 8);
+      const baseId = `${sectionSlug(section)}.${hash}`;
+      const count = (usedIds.get(baseId) || 0) + 1;
+      usedIds.set(baseId, count);
+      positions.set(section.id, (positions.get(section.id) || 0) + 1);
+
+      blocks.push({
+        id: count === 1 ? baseId : `${baseId}-${count}`,
+        type: is_heading ? "heading" : BLOCK_TYPES[node.tag] || (node.text !== undefined ? "text" : node.tag),
+        section_id: section.id,
+        heading_path: headingPath,
+        index: blocks.length + 1,
+        section_position: positions.get(section.id),
+        text
+      });
+    }
+  }
+
+  return blocks;
+}
+
+function extractTables(documentModel) {
+  const tables = [];
+
+  for (const block of documentModel.blocks) {
+    const tableNodes = block.node.tag === "table" ? [block.node] : findElements(block.node, node => node.tag === "table");
+
+    for (const tableNode of tableNodes) {
+      const { grid, mergedCells, headerRowFlags } = expandTableGrid(tableNode);
+      if (grid.length === 0) continue;
+
+      // Prefer rows Word marks as repeating headers; otherwise treat a first row of
+      // non-numeric labels as the header when there is data underneath it.
+      let headerRowCount = 0;
+      while (headerRowCount < grid.length && headerRowFlags[headerRowCount]) headerRowCount++;
+      let headerSource = headerRowCount > 0 ? "marked" : "none";
+      if (headerRowCount === 0 && grid.length > 1 &&
+        grid[0].every(cell => inferCellValue(cell).type === "text")) {
+        headerRowCount = 1;
+        headerSource = "inferred";
+      }
+
+      const header = headerRowCount > 0 ? grid[headerRowCount - 1] : [];
+      const rows = grid.slice(headerRowCount);
+      const keys = (header.length > 0 ? header : grid[0]).map((label, index) =>
+        headerRowCount > 0 && label ? label : `column_${index + 1}`);
+
+      const columnTypes = keys.map((_, column) => {
+        const counts = {};
+        for (const row of rows) {
+          const { type } = inferCellValue(row[column]);
+          if (type !== "empty") counts[type] = (counts[type] || 0) + 1;
+        }
+        const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        return ranked.length === 1 ? ranked[0][0] : ranked.length === 0 ? "empty" : "text";
+      });
+
+      tables.push({
+        id: `table-${tables.length + 1}`,
+        caption: block.section?.title || null,
+        section_id: block.section?.id || null,
+        header,
+        header_source: headerSource,
+        rows,
+        column_types: columnTypes,
+        records: rows.map(row => Object.fromEntries(keys.map((key, column) => {
+          const typed = inferCellValue(row[column]);
+          return [key, columnTypes[column] === "text" ? row[column] : typed.value];
+        }))),
+        merged_cells: mergedCells,
+        row_count: rows.length,
+        column_count: keys.length
+      });
+    }
+  }
+
+  return tables;
+}
+
+const OUTPUT_FORMATS = ["html", "markdown", "text", "all"];
+const RENDERED_BLOCK_TAGS = new Set([...BLOCK_TAGS, "thead", "tbody", "tfoot"]);
+
+function wrapInline(text, marker) {
+  const [, leading, inner, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return inner ? `${leading}${marker}${inner}${marker}${trailing}` : text;
+}
+
+function renderInline(node, format, { inTable = false } = {}) {
+  if (node.text !== undefined) {
+    const text = node.text.replace(/\s+/g, " ");
+    return format === "markdown" ? text.replace(/([\\`*])/g, "\\$1") : text;
+  }
+
+  const inner = node.children.map(child => renderInline(child, format, { inTable })).join("");
+  if (node.tag === "br") return inTable ? (format === "markdown" ? "<br>" : " ") : (format === "markdown" ? "  \n" : "\n");
+  if (node.tag === "img") {
+    const alt = node.attrs.alt || "image";
+    return format === "markdown" ? `![${alt}](${node.attrs.src || ""})` : `[Image: ${alt}]`;
+  }
+  if (format !== "markdown") return inner;
+
+  switch (node.tag) {
+    case "strong":
+    case "b":
+      return wrapInline(inner, "**");
+    case "em":
+    case "i":
+      return wrapInline(inner, "*");
+    case "s":
+    case "del":
+    case "strike":
+      return wrapInline(inner, "~~");
+    case "code":
+      return wrapInline(inner, "`");
+    case "sup":
+    case "sub":
+      return inner ? `<${node.tag}>${inner}</${node.tag}>` : "";
+    case "a":
+      return node.attrs.href && inner.trim() ? `[${inner.trim()}](${node.attrs.href})` : inner;
+    default:
+      return inner;
+  }
+}
+
+// Trims each line but keeps Markdown hard breaks ("  ") where another line follows
+function trimRenderedLines(text) {
+  const lines = text.split("\n").map(line => line.replace(/^[ \t]+/, ""));
+  return lines.map((line, index) => {
+    const hardBreak = line.endsWith("  ") && lines[index + 1]?.trim();
+    return line.replace(/[ \t]+$/, "") + (hardBreak ? "  " : "");
+  }).join("\n").trim();
+}
+
+function renderList(node, format) {
+  const items = node.children.filter(child => child.tag === "li");
+  return items.map((item, index) => {
+    const marker = node.tag === "ol" ? `${index + 1}.` : "-";
+    const body = renderBlocks(item.children, format, { tight: true }) || "";
+    const [first, ...rest] = body.split("\n");
+    const indent = " ".repeat(marker.length + 1);
+    return [`${marker} ${first}`, ...rest.map(line => (line ? indent + line : line))].join("\n");
+  }).join("\n");
+}
+
+function renderTable(node, format) {
+  const { grid, headerRowFlags } = expandTableGrid(node);
+  if (grid.length === 0) return "";
+
+  const cell = (text) => (format === "markdown"
+    ? text.replace(/\|/g, "\\|").replace(/\n/g, "<br>")
+    : text.replace(/\n/g, " "));
+  const line = (row) => (format === "markdown" ? `| ${row.map(cell).join(" | ")} |` : row.map(cell).join(" | "));
+
+  if (format !== "markdown") return grid.map(line).join("\n");
+
+  // GFM tables need a header; Word tables without a marked header use their first row
+  const headerCount = Math.max(1, headerRowFlags.filter(Boolean).length);
+  const header = grid[headerCount - 1];
+  return [
+    line(header),
+    `| ${header.map(() => "---").join(" | ")} |`,
+    ...grid.slice(headerCount).map(line)
+  ].join("\n");
+}
+
+function renderBlock(node, format) {
+  const level = HEADING_TAGS[node.tag];
+  if (level) {
+    const title = trimRenderedLines(node.children.map(child => renderInline(child, format)).join("")).replace(/\s*\n\s*/g, " ");
+    return format === "markdown" ? `${"#".repeat(level)} ${title}` : title;
+  }
+
+  switch (node.tag) {
+    case "p":
+      return trimRenderedLines(node.children.map(child => renderInline(child, format)).join(""));
+    case "ul":
+    case "ol":
+      return renderList(node, format);
+    case "table":
+      return renderTable(node, format);
+    case "blockquote": {
+      const body = renderBlocks(node.children, format);
+      return format === "markdown" ? body.split("\n").map(line => `> ${line}`.trimEnd()).join("\n") : body;
+    }
+    case "pre":
+      return format === "markdown" ? `\`\`\`\n${nodeText(node).replace(/^\n+|\n+$/g, "")}\n\`\`\`` : nodeText(node).trim();
+    default:
+      return renderBlocks(node.children, format);
+  }
+}
+
+// Renders a node list as Markdown or plain text. Inline runs between block elements are
+// grouped into paragraphs; list items render "tight" so nested lists stay attached.
+function renderBlocks(nodes, format, { tight = false } = {}) {
+  const output = [];
+  let inline = [];
+
+  const flush = () => {
+    const text = trimRenderedLines(inline.map(child => renderInline(child, format)).join(""));
+    if (text) output.push(text);
+    inline = [];
+  };
+
+  for (const child of nodes) {
+    if (child.text !== undefined || !RENDERED_BLOCK_TAGS.has(child.tag)) {
+      inline.push(child);
+      continue;
+    }
+    flush();
+    const rendered = renderBlock(child, format);
+    if (rendered) output.push(rendered);
+  }
+  flush();
+
+  return output.join(tight ? "\n" : "\n\n");
+}
+
+// Trims the section tree down to the representations the caller asked for
+function shapeSections(sections, format) {
+  return sections.map(({ html, text, markdown, children, ...section }) => ({
+    ...section,
+    ...(format === "html" || format === "all" ? { html } : {}),
+    ...(format === "markdown" || format === "all" ? { markdown } : {}),
+    ...(format !== "markdown" ? { text } : {}),
+    children: shapeSections(children, format)
+  }));
+}
+
+const FIGMA_URL_PATTERN = /https?:\/\/(?:www\.)?figma\.com\/(?:file|design|proto|board)\/([A-Za-z0-9]+)[^\s"'<>)\]]*/g;
+const FIGMA_NODE_TEXT_PATTERN = /\bnode[\s_-]?ids?\b\s*[:=]?\s*((?:\d+[:-]\d+)(?:\s*(?:,|and|&)\s*\d+[:-]\d+)*)/gi;
+
+// Node ids arrive already decoded; only the "12-34" URL form is rewritten
+function normalizeFigmaNodeId(nodeId) {
+  return nodeId.replace(/^(\d+)-(\d+)$/, "$1:$2");
+}
+
+function decodeUriComponentSafe(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function parseFigmaUrl(url) {
+  FIGMA_URL_PATTERN.lastIndex = 0;
+  const match = FIGMA_URL_PATTERN.exec(url);
+  if (!match) return null;
+
+  let nodeId = null;
+  try {
+    nodeId = new URL(match[0]).searchParams.get("node-id");
+  } catch {
+    const rawNodeId = match[0].match(/[?&]node-id=([^&#]+)/)?.[1];
+    nodeId = rawNodeId ? decodeUriComponentSafe(rawNodeId) : null;
+  }
+
+  return { url: match[0], file_key: match[1], node_id: nodeId ? normalizeFigmaNodeId(nodeId) : null };
+}
+
+// Finds Figma links in anchors and body text, plus bare "node-id 12:34" mentions. Bare
+// mentions borrow the file key of the nearest preceding Figma URL in the document.
+function extractFigmaReferences(documentModel) {
+  const references = [];
+  const seen = new Set();
+  let lastFileKey = null;
+
+  const addReference = (reference, section) => {
+    const key = `${reference.file_key}|${reference.node_id}|${section?.id}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    references.push({
+      ...reference,
+      section_id: section?.id || null,
+      section_title: section?.title || null
+    });
+  };
+
+  for (const { node, section } of documentModel.blocks) {
+    const anchors = node.tag === "a" ? [node] : findElements(node, child => child.tag === "a");
+    for (const anchor of anchors) {
+      const parsed = parseFigmaUrl(anchor.attrs.href || "");
+      if (!parsed) continue;
+      lastFileKey = parsed.file_key;
+      addReference({ ...parsed, link_text: normalizeWhitespace(nodeText(anchor)), source: "link", file_key_inferred: false }, section);
+    }
+
+    const text = nodeText(node);
+    for (const match of text.matchAll(FIGMA_URL_PATTERN)) {
+      const parsed = parseFigmaUrl(match[0]);
+      lastFileKey = parsed.file_key;
+      addReference({ ...parsed, link_text: null, source: "text", file_key_inferred: false }, section);
+    }
+
+    const textWithoutUrls = text.replace(FIGMA_URL_PATTERN, " ");
+    for (const match of textWithoutUrls.matchAll(FIGMA_NODE_TEXT_PATTERN)) {
+      for (const nodeId of match[1].match(/\d+[:-]\d+/g)) {
+        addReference({
+          url: null,
+          file_key: lastFileKey,
+          node_id: normalizeFigmaNodeId(nodeId),
+          link_text: normalizeWhitespace(match[0]),
+          source: "node_id_text",
+          file_key_inferred: lastFileKey !== null
+        }, section);
+      }
+    }
+  }
+
+  return references;
+}
+
+const REQUIREMENT_CATEGORIES = [
+  "open_question",
+  "out_of_scope",
+  "assumption",
+  "acceptance_criterion",
+  "non_functional_requirement",
+  "functional_requirement"
+];
+
+// Heading context applies to every statement underneath the heading. Generic
+// "Requirements"/"Features" headings only nudge, specific ones decide.
+const CATEGORY_HEADING_WEIGHTS = { functional_requirement: 1 };
+const CATEGORY_HEADING_PATTERNS = {
+  open_question: /\b(open (questions?|issues?|points?)|questions|tbd)\b/i,
+  out_of_scope: /\b(out of scope|non[- ]goals?|exclusions?)\b/i,
+  assumption: /\b(assumptions?|constraints and assumptions)\b/i,
+  acceptance_criterion: /\b(acceptance criteria|acceptance tests?|definition of done)\b/i,
+  non_functional_requirement: /\b(non[- ]functional|nfrs?|performance|security|accessibility|quality attributes?)\b/i,
+  functional_requirement: /\b(functional requirements?|requirements|features?|user stor(y|ies)|capabilities)\b/i
+};
+
+const CLASSIFICATION_RULES = [
+  { id: "tbd-placeholder", category: "open_question", weight: 3, pattern: /\b(TBD|TBC|TBA|to be (decided|determined|confirmed|defined))\b/i },
+  { id: "question-mark", category: "open_question", weight: 4, pattern: /\?\s*$/ },
+  { id: "clarification-needed", category: "open_question", weight: 2, pattern: /\b(open question|unclear|clarify|clarification|needs? confirmation|pending decision)\b/i },
+  { id: "out-of-scope-phrase", category: "out_of_scope", weight: 3, pattern: /\b(out of scope|not in scope|won't|will not be (supported|included|implemented|delivered)|excluded|not (be )?included|future (phase|release)|later phase)\b/i },
+  { id: "assumption-phrase", category: "assumption", weight: 3, pattern: /\b(assum(e|es|ed|ing|ption|ptions)|presum(e|ed|ably)|it is expected that)\b/i },
+  { id: "dependency-condition", category: "assumption", weight: 1, pattern: /\b(given that|provided that|relies on|depends on)\b/i },
+  { id: "gherkin", category: "acceptance_criterion", weight: 4, pattern: /\b(given|when)\b.+\bthen\b/i },
+  { id: "verification-phrase", category: "acceptance_criterion", weight: 2, pattern: /\b(verify|verified|is displayed when|ensure that|acceptance)\b/i },
+  { id: "quality-attribute", category: "non_functional_requirement", weight: 3, pattern: /\b(performance (budgets?|targets?|requirements?)|load time|latency|response time|throughput|scalab\w*|availability|uptime|secur\w*|encrypt\w*|authenticat\w*|authoriz\w*|accessib\w*|screen readers?|wcag|aria|keyboard|locali[sz]\w*|rtl|responsive|audit\w*|complian\w*|gdpr|reliab\w*|maintainab\w*)\b/i },
+  { id: "measurable-limit", category: "non_functional_requirement", weight: 3, pattern: /\b(within|under|less than|at most|no more than)\s+\d+(\.\d+)?\s*(ms|milliseconds?|s|seconds?|minutes?|%)/i },
+  { id: "modal-verb", category: "functional_requirement", weight: 2, pattern: /\b(must|shall|should|will|needs? to|has to|can)\b/i },
+  { id: "action-verb", category: "functional_requirement", weight: 1, pattern: /\b(allow\w*|display\w*|show\w*|select\w*|filter\w*|calculat\w*|comput\w*|updat\w*|creat\w*|edit\w*|delet\w*|export\w*|import\w*|send\w*|notif\w*|track\w*|view\w*|format\w*|sav\w*|search\w*)\b/i }
+];
+
+const MIN_CLASSIFICATION_SCORE = 2;
+const LIST_MARKER_PATTERN = /^(?:[-*•▪◦]|\d+[.)]|[a-z][.)])\s+/i;
+
+function collectStatements(documentModel) {
+  const statements = [];
+
+  const addLines = (text, section, defaultType) => {
+    for (const line of text.split("\n").map(part => part.trim()).filter(Boolean)) {
+      const isBullet = LIST_MARKER_PATTERN.test(line);
+      statements.push({ text: line.replace(LIST_MARKER_PATTERN, ""), source_type: isBullet ? "bullet" : defaultType, section });
+    }
+  };
+
+  const addListItems = (listNode, section) => {
+    for (const item of listNode.children.filter(child => child.tag === "li")) {
+      const ownText = blockText({ ...item, children: item.children.filter(child => child.tag !== "ul" && child.tag !== "ol") });
+      if (ownText) statements.push({ text: ownText.replace(/\n/g, " "), source_type: "bullet", section });
+      item.children.filter(child => child.tag === "ul" || child.tag === "ol").forEach(nested => addListItems(nested, section));
+    }
+  };
+
+  for (const { node, section, is_heading } of documentModel.blocks) {
+    if (is_heading || node.tag === "table") continue;
+    if (node.tag === "ul" || node.tag === "ol") {
+      addListItems(node, section);
+    } else {
+      addLines(blockText(node), section, "paragraph");
+    }
+  }
+
+  return statements;
+}
+
+function sectionAncestry(sections, targetId, trail = []) {
+  for (const section of sections) {
+    const path = [...trail, section];
+    if (section.id === targetId) return path;
+    const found = sectionAncestry(section.children, targetId, path);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Scores every paragraph line and bullet against keyword/modal-verb rules plus the
+// headings above it. Statements below MIN_CLASSIFICATION_SCORE stay unclassified.
+function classifyContent(documentModel) {
+  const classified = [];
+  let unclassified = 0;
+
+  for (const statement of collectStatements(documentModel)) {
+    const scores = Object.fromEntries(REQUIREMENT_CATEGORIES.map(category => [category, 0]));
+    const signals = [];
+
+    for (const rule of CLASSIFICATION_RULES) {
+      if (rule.pattern.test(statement.text)) {
+        scores[rule.category] += rule.weight;
+        signals.push(rule.id);
+      }
+    }
+
+    const ancestry = sectionAncestry(documentModel.sections, statement.section.id) || [statement.section];
+    for (const [category, pattern] of Object.entries(CATEGORY_HEADING_PATTERNS)) {
+      const heading = ancestry.map(section => section.title).reverse().find(title => title && pattern.test(title));
+      if (heading) {
+        scores[category] += CATEGORY_HEADING_WEIGHTS[category] ?? 3;
+        signals.push(`heading:${heading}`);
+      }
+    }
+
+    // Earlier categories in REQUIREMENT_CATEGORIES win ties: a "must ... TBD" line is a question
+    const [category, score] = REQUIREMENT_CATEGORIES
+      .map(name => [name, scores[name]])
+      .reduce((best, current) => (current[1] > best[1] ? current : best));
+
+    if (score < MIN_CLASSIFICATION_SCORE) {
+      unclassified++;
+      continue;
+    }
+
+    classified.push({
+      text: statement.text,
+      category,
+      confidence: Math.min(1, Math.round((score / 6) * 100) / 100),
+      signals,
+      source_type: statement.source_type,
+      section_id: statement.section.id,
+      section_title: statement.section.title || null
+    });
+  }
+
+  const summary = Object.fromEntries(REQUIREMENT_CATEGORIES.map(category => [category, classified.filter(item => item.category === category).length]));
+  return { items: classified, summary: { ...summary, unclassified } };
+}
+
+const OOXML_NAMESPACES = {
+  w: "http://schemas.openxmlformats.org/wordprocessingml/2006/main",
+  w14: "http://schemas.microsoft.com/office/word/2010/wordml",
+  w15: "http://schemas.microsoft.com/office/word/2012/wordml",
+  cp: "http://schemas.openxmlformats.org/package/2006/metadata/core-properties",
+  dc: "http://purl.org/dc/elements/1.1/",
+  dcterms: "http://purl.org/dc/terms/"
+};
+const TRACKED_CHANGE_TYPES = { ins: "insertion", del: "deletion", moveFrom: "move_from", moveTo: "move_to" };
+
+async function readXmlPart(zip, partName) {
+  const file = zip.file(partName);
+  if (!file) return null;
+  return new DOMParser().parseFromString(await file.async("string"), "text/xml");
+}
+
+function xmlElements(parent, namespace, localName) {
+  return parent ? Array.from(parent.getElementsByTagNameNS(OOXML_NAMESPACES[namespace], localName)) : [];
+}
+
+function wordAttribute(element, name, namespace = "w") {
+  return element.getAttributeNS(OOXML_NAMESPACES[namespace], name) || null;
+}
+
+function paragraphText(paragraph) {
+  return xmlElements(paragraph, "w", "t").map(node => node.textContent).join("");
+}
+
+function readCoreProperties(coreXml) {
+  const value = (namespace, name) => xmlElements(coreXml, namespace, name)[0]?.textContent?.trim() || null;
+  const revision = value("cp", "revision");
+  return {
+    title: value("dc", "title"),
+    subject: value("dc", "subject"),
+    author: value("dc", "creator"),
+    description: value("dc", "description"),
+    keywords: value("cp", "keywords"),
+    category: value("cp", "category"),
+    last_modified_by: value("cp", "lastModifiedBy"),
+    revision: revision !== null && /^\d+$/.test(revision) ? Number(revision) : revision,
+    created: value("dcterms", "created"),
+    modified: value("dcterms", "modified")
+  };
+}
+
+// Reads reviewer comments, tracked changes and core properties straight from the docx
+// package, since mammoth drops all three. Heading paragraphs are matched, in order, to
+// the sections mammoth produced so every item carries a section anchor.
+async function extractReviewData(documentPath, sections) {
+  const zip = await JSZip.loadAsync(fs.readFileSync(documentPath));
+  const [documentXml, commentsXml, commentsExtendedXml, stylesXml, coreXml] = await Promise.all([
+    readXmlPart(zip, "word/document.xml"),
+    readXmlPart(zip, "word/comments.xml"),
+    readXmlPart(zip, "word/commentsExtended.xml"),
+    readXmlPart(zip, "word/styles.xml"),
+    readXmlPart(zip, "docProps/core.xml")
+  ]);
+
+  const headingStyleIds = new Set(xmlElements(stylesXml, "w", "style")
+    .filter(style => {
+      const name = xmlElements(style, "w", "name")[0];
+      return name && /^heading\s*[1-6]$/i.test(wordAttribute(name, "val") || "");
+    })
+    .map(style => wordAttribute(style, "styleId")));
+  const headingSections = flattenSections(sections).filter(section => section.level > 0);
+
+  const commentState = new Map();
+  const trackedChanges = [];
+  const openComments = new Set();
+  let currentSection = sections.find(section => section.level === 0) || null;
+  let headingIndex = 0;
+
+  const visit = (node, activeChange) => {
+    if (node.nodeType !== 1) return;
+    const localName = node.localName;
+
+    if (localName === "p" && node.namespaceURI === OOXML_NAMESPACES.w) {
+      const paragraphStyle = xmlElements(node, "w", "pStyle")[0];
+      const styleId = paragraphStyle ? wordAttribute(paragraphStyle, "val") : null;
+      if (styleId && headingStyleIds.has(styleId) && paragraphText(node).trim()) {
+        currentSection = headingSections[headingIndex++] || currentSection;
+      }
+    }
+
+    if (localName === "commentRangeStart" || localName === "commentReference") {
+      const id = wordAttribute(node, "id");
+      if (!commentState.has(id)) commentState.set(id, { anchored_text: "", section: currentSection });
+      if (localName === "commentRangeStart") openComments.add(id);
+    } else if (localName === "commentRangeEnd") {
+      openComments.delete(wordAttribute(node, "id"));
+    } else if (localName === "t" || localName === "delText") {
+      for (const id of openComments) commentState.get(id).anchored_text += node.textContent;
+      if (activeChange) activeChange.text += node.textContent;
+    } else if (TRACKED_CHANGE_TYPES[localName] && node.parentNode?.localName !== "rPr") {
+      // Paragraph-mark insertions (<w:ins> inside <w:rPr>) carry no text and are skipped
+      const change = {
+        id: wordAttribute(node, "id"),
+        type: TRACKED_CHANGE_TYPES[localName],
+        author: wordAttribute(node, "author"),
+        date: wordAttribute(node, "date"),
+        text: "",
+        section_id: currentSection?.id || null,
+        section_title: currentSection?.title || null
+      };
+      trackedChanges.push(change);
+      Array.from(node.childNodes).forEach(child => visit(child, change));
+      return;
+    } else if (localName === "rPrChange" || localName === "pPrChange") {
+      trackedChanges.push({
+        id: wordAttribute(node, "id"),
+        type: "formatting",
+        author: wordAttribute(node, "author"),
+        date: wordAttribute(node, "date"),
+        text: null,
+        section_id: currentSection?.id || null,
+        section_title: currentSection?.title || null
+      });
+      return;
+    }
+
+    Array.from(node.childNodes).forEach(child => visit(child, activeChange));
+  };
+  xmlElements(documentXml, "w", "body").forEach(body => visit(body, null));
+
+  // Word 2013+ keeps resolution state and reply threading in commentsExtended.xml, keyed by
+  // the paraId of the comment's last paragraph
+  const commentExtensions = new Map(xmlElements(commentsExtendedXml, "w15", "commentEx").map(extension => [
+    wordAttribute(extension, "paraId", "w15"),
+    { done: wordAttribute(extension, "done", "w15") === "1", parent: wordAttribute(extension, "paraIdParent", "w15") }
+  ]));
+  const commentIdByParaId = new Map();
+
+  const comments = xmlElements(commentsXml, "w", "comment").map(comment => {
+    const id = wordAttribute(comment, "id");
+    const paragraphs = xmlElements(comment, "w", "p");
+    const paraId = paragraphs.length > 0 ? wordAttribute(paragraphs[paragraphs.length - 1], "paraId", "w14") : null;
+    if (paraId) commentIdByParaId.set(paraId, id);
+    const state = commentState.get(id);
+    const extension = commentExtensions.get(paraId);
+
+    return {
+      id,
+      author: wordAttribute(comment, "author"),
+      initials: wordAttribute(comment, "initials"),
+      date: wordAttribute(comment, "date"),
+      text: paragraphs.map(paragraphText).join("\n").trim(),
+      anchored_text: state?.anchored_text.trim() || null,
+      section_id: state?.section?.id || null,
+      section_title: state?.section?.title || null,
+      resolved: extension?.done || false,
+      reply_to: extension?.parent || null
+    };
+  });
+
+  // Replies inherit the thread's anchor and resolution state
+  const commentsById = new Map(comments.map(comment => [comment.id, comment]));
+  for (const comment of comments) {
+    if (!comment.reply_to) continue;
+    const parent = commentsById.get(commentIdByParaId.get(comment.reply_to));
+    comment.reply_to = parent?.id || null;
+    if (parent) {
+      comment.anchored_text = comment.anchored_text || parent.anchored_text;
+      comment.section_id = comment.section_id || parent.section_id;
+      comment.section_title = comment.section_title || parent.section_title;
+      comment.resolved = comment.resolved || parent.resolved;
+    }
+  }
+
+  const countChanges = (type) => trackedChanges.filter(change => change.type === type).length;
+  return {
+    comments,
+    tracked_changes: trackedChanges,
+    document_properties: coreXml ? readCoreProperties(coreXml) : null,
+    summary: {
+      comments: comments.length,
+      open_comments: comments.filter(comment => !comment.resolved).length,
+      resolved_comments: comments.filter(comment => comment.resolved).length,
+      insertions: countChanges("insertion"),
+      deletions: countChanges("deletion"),
+      moves: countChanges("move_from") + countChanges("move_to"),
+      formatting_changes: countChanges("formatting")
+    }
+  };
+}
+
+const IMAGE_EXTENSIONS = { jpeg: "jpg", "svg+xml": "svg", "x-emf": "emf", "x-wmf": "wmf", "tiff": "tif" };
+const IMAGE_FILE_PATTERN = /\.(png|jpe?g|gif|bmp|tiff?|svg|emf|wmf|webp)$/i;
+// Names produced by earlier versions: <doc>_image_<Date.now()>_<9 random chars>.<ext>
+const LEGACY_IMAGE_PATTERN = /_image_\d{13}_[a-z0-9]{9}\.[a-z0-9+]+$/i;
+
+function resolveImageOutputDir(documentPath, imageOutputDir) {
+  return imageOutputDir || path.join(path.dirname(documentPath), "extracted_images");
+}
+
+// Keyed by the document's full path as well, so revisions with the same file name that share an
+// image folder keep separate manifests
+function imageManifestPath(imageDir, documentPath) {
+  const documentName = path.basename(documentPath, path.extname(documentPath));
+  const pathHash = crypto.createHash("sha256").update(path.resolve(documentPath)).digest("hex").slice(0, 8);
+  return path.join(imageDir, `${documentName}.${pathHash}.images.json`);
+}
+
+const OCR_IMAGE_PATTERN = /\.(png|jpe?g|gif|bmp|tiff?|webp)$/i;
+const CAPTION_PATTERN = /^(figure|fig\.|image|screenshot|diagram|mockup|wireframe|exhibit)\s*[\d.:\-–]/i;
+const PLACEHOLDER_ALT_PATTERN = /^Extracted image: /;
+// Checked in order; the first kind with a keyword in the caption, context or OCR text wins
+const IMAGE_KIND_KEYWORDS = [
+  ["ui_mockup", /\b(mock-?ups?|wireframes?|screens?(hot)?s?|ui|ux|user interface|dashboard|layout|page design|form design|prototype|kpi cards?)\b/i],
+  ["architecture_diagram", /\b(architecture|components? diagram|deployment|topology|integration|system context|data ?flow|infrastructure)\b/i],
+  ["flow_diagram", /\b(flow ?chart|process flow|workflow|sequence diagram|swim ?lanes?|state diagram|user journey)\b/i],
+  ["data_model", /\b(erd|entity relationship|data model|schema|relationships?)\b/i],
+  ["chart", /\b(chart|graph|plot|trend line|histogram)\b/i],
+  ["table", /\b(table|matrix|grid)\b/i],
+  ["logo", /\b(logo|icon|branding)\b/i]
+];
+// Words typical of on-screen controls, used when only OCR text is available
+const UI_TEXT_PATTERN = /\b(search|filter|cancel|save|submit|sign in|log ?in|settings|home|menu|next|back|ok|apply|export|select|dropdown)\b/gi;
+
+// Locates every image in the section model with its caption and neighbouring paragraphs
+function collectImageContexts(documentModel) {
+  const contexts = new Map();
+  const contentBlocks = documentModel.blocks.filter(block => !block.is_heading);
+
+  contentBlocks.forEach((block, index) => {
+    const images = block.node.tag === "img" ? [block.node] : findElements(block.node, node => node.tag === "img", { descendIntoMatches: true });
+    if (images.length === 0) return;
+
+    const neighbourText = (step) => {
+      for (let i = index + step; i >= 0 && i < contentBlocks.length && contentBlocks[i].section === block.section; i += step) {
+        const text = normalizeWhitespace(blockText(contentBlocks[i].node));
+        if (text) return text;
+      }
+      return null;
+    };
+    const ownText = normalizeWhitespace(blockText(block.node)) || null;
+    const precedingText = neighbourText(-1);
+    const followingText = neighbourText(1);
+    const caption = ownText
+      || (followingText && CAPTION_PATTERN.test(followingText) ? followingText : null)
+      || (precedingText && CAPTION_PATTERN.test(precedingText) ? precedingText : null);
+
+    for (const image of images) {
+      if (contexts.has(image.attrs.src)) continue;
+      contexts.set(image.attrs.src, {
+        section_id: block.section.id,
+        section_title: block.section.title,
+        caption,
+        preceding_text: precedingText ? precedingText.slice(0, 300) : null,
+        following_text: followingText ? followingText.slice(0, 300) : null
+      });
+    }
+  });
+
+  return contexts;
+}
+
+function guessImageKind(image) {
+  const described = [image.alt_text, image.context?.caption, image.context?.section_title, image.context?.preceding_text, image.context?.following_text]
+    .filter(text => text && !PLACEHOLDER_ALT_PATTERN.test(text))
+    .join("\n");
+  for (const [kind, pattern] of IMAGE_KIND_KEYWORDS) {
+    if (pattern.test(described)) return { kind, basis: "context" };
+  }
+
+  const ocrText = image.ocr?.text || "";
+  for (const [kind, pattern] of IMAGE_KIND_KEYWORDS) {
+    if (pattern.test(ocrText)) return { kind, basis: "ocr" };
+  }
+  if ((ocrText.match(UI_TEXT_PATTERN) || []).length >= 2) return { kind: "ui_mockup", basis: "ocr" };
+  if (ocrText.trim().length > 0) return { kind: "text_image", basis: "ocr" };
+  return { kind: "unknown", basis: null };
+}
+
+function inferAltText(image) {
+  if (image.alt_text && !PLACEHOLDER_ALT_PATTERN.test(image.alt_text)) return image.alt_text;
+  if (image.context?.caption) return image.context.caption;
+  const ocrLines = (image.ocr?.text || "").split("\n").map(line => line.trim()).filter(line => line.length > 2);
+  if (ocrLines.length > 0) return `Image showing: ${ocrLines.slice(0, 3).join(" / ")}`.slice(0, 200);
+  if (image.context?.section_title) return `Image in section "${image.context.section_title}"`;
+  return image.alt_text;
+}
+
+// Offline OCR with the bundled English model; the engine is only loaded when requested
+async function recognizeImageText(images, messages) {
+  const candidates = images.filter(image => OCR_IMAGE_PATTERN.test(image.filename));
+  for (const image of images) {
+    if (!candidates.includes(image)) image.ocr = { text: null, confidence: null, skipped: "unsupported image format" };
+  }
+  if (candidates.length === 0) return 0;
+
+  let worker;
+  try {
+    const [{ createWorker }, { default: english }] = await Promise.all([import("tesseract.js"), import("@tesseract.js-data/eng")]);
+    worker = await createWorker("eng", 1, {
+      langPath: path.join(path.dirname(english.langPath), "4.0.0_best_int"),
+      gzip: english.gzip,
+      cacheMethod: "none"
+    });
+  } catch (error) {
+    messages.push({ type: "warning", message: `OCR engine unavailable: ${error.message}` });
+    candidates.forEach(image => { image.ocr = { text: null, confidence: null, skipped: "OCR engine unavailable" }; });
+    return 0;
+  }
+
+  let processed = 0;
+  try {
+    for (const image of candidates) {
+      try {
+        const { data } = await worker.recognize(image.path);
+        image.ocr = { text: data.text.trim(), confidence: Math.round(data.confidence) / 100 };
+        processed++;
+      } catch (error) {
+        image.ocr = { text: null, confidence: null, skipped: error.message };
+        messages.push({ type: "warning", message: `OCR failed for ${image.filename}: ${error.message}` });
+      }
+    }
+  } finally {
+    await worker.terminate();
+  }
+  return processed;
+}
+
+const SOURCE_FORMAT_EXTENSIONS = {
+  ".docx": "docx",
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".html": "html",
+  ".htm": "html",
+  ".pdf": "pdf"
+};
+const SUPPORTED_DOCUMENT_PATTERN = "*.{docx,md,markdown,html,htm,pdf}";
+const IMAGE_CONTENT_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".bmp": "image/bmp",
+  ".svg": "image/svg+xml",
+  ".webp": "image/webp",
+  ".tif": "image/tiff",
+  ".tiff": "image/tiff"
+};
+// Wrappers that wiki exports nest content in; their children are lifted to the top level
+const CONTAINER_TAGS = new Set(["html", "body", "main", "article", "section", "div", "header", "footer", "aside", "figure", "center", "form"]);
+const DROPPED_TAGS = new Set(["head", "nav", "script", "style", "noscript", "template", "iframe", "object", "button", "input", "select", "textarea"]);
+
+function detectSourceFormat(documentPath) {
+  const byExtension = SOURCE_FORMAT_EXTENSIONS[path.extname(documentPath).toLowerCase()];
+  if (byExtension) return byExtension;
+
+  const header = Buffer.alloc(512);
+  const fd = fs.openSync(documentPath, "r");
+  const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+  fs.closeSync(fd);
+  const head = header.subarray(0, bytesRead);
+
+  if (head.subarray(0, 4).toString("latin1") === "%PDF") return "pdf";
+  if (head[0] === 0x50 && head[1] === 0x4b) return "docx";
+  if (/^\s*(<!doctype html|<html|<body|<h[1-6][\s>]|<p[\s>])/i.test(head.toString("utf-8"))) return "html";
+  return null;
+}
+
+// Images are named by content hash so re-parsing the same document reuses the same files
+function createImageStore(documentName, imageDir) {
+  const imagesByHash = new Map();
+
+  return {
+    imagesByHash,
+    // Local files a Markdown/HTML source points at (found or not); part of the parse cache key
+    referencedFiles: new Set(),
+    save(imageBuffer, contentType) {
+      const hash = crypto.createHash("sha256").update(imageBuffer).digest("hex");
+      const subtype = contentType.split("/")[1] || "bin";
+      const imageName = `${documentName}_${hash.slice(0, 16)}.${IMAGE_EXTENSIONS[subtype] || subtype}`;
+      const imagePath = path.join(imageDir, imageName);
+
+      if (!imagesByHash.has(hash)) {
+        fs.mkdirSync(imageDir, { recursive: true });
+        if (!fs.existsSync(imagePath)) fs.writeFileSync(imagePath, imageBuffer);
+        imagesByHash.set(hash, { filename: imageName, sha256: hash, content_type: contentType, size_bytes: imageBuffer.length, occurrences: 0 });
+      }
+      imagesByHash.get(hash).occurrences++;
+      return { path: imagePath, filename: imageName };
+    }
+  };
+}
+
+// Lifts content out of layout wrappers so headings end up as top-level blocks, and turns
+// wrappers holding only inline content into paragraphs.
+function flattenContainers(nodes) {
+  const flattened = [];
+  for (const node of nodes) {
+    if (node.text !== undefined) {
+      flattened.push(node);
+    } else if (DROPPED_TAGS.has(node.tag)) {
+      continue;
+    } else if (CONTAINER_TAGS.has(node.tag)) {
+      const children = flattenContainers(node.children);
+      let inline = [];
+      const flushInline = () => {
+        if (inline.some(child => child.text === undefined || child.text.trim())) flattened.push({ tag: "p", attrs: {}, children: inline });
+        inline = [];
+      };
+      for (const child of children) {
+        if (child.tag && RENDERED_BLOCK_TAGS.has(child.tag)) {
+          flushInline();
+          flattened.push(child);
+        } else {
+          inline.push(child);
+        }
+      }
+      flushInline();
+    } else {
+      flattened.push({ ...node, children: node.tag === "table" || node.tag === "ul" || node.tag === "ol" ? node.children : flattenContainers(node.children) });
+    }
+  }
+  return flattened;
+}
+
+// Local image references are only followed to image files inside the document's folder tree,
+// so a spec cannot pull arbitrary files (../../.env) into the image folder
+function resolveLocalImage(documentPath, src) {
+  const documentDir = fs.realpathSync(path.dirname(path.resolve(documentPath)));
+  const localPath = path.resolve(documentDir, decodeUriComponentSafe(src.split(/[?#]/)[0]));
+  if (!IMAGE_CONTENT_TYPES[path.extname(localPath).toLowerCase()]) {
+    return { error: `Not an image file: ${src}` };
+  }
+
+  const realPath = fs.existsSync(localPath) ? fs.realpathSync(localPath) : localPath;
+  const relative = path.relative(documentDir, realPath);
+  if (relative.startsWith("..") || path.isAbsolute(relative)) {
+    return { error: `Image outside the document folder: ${src}` };
+  }
+  if (!fs.existsSync(localPath)) return { error: `Image not found: ${src}`, missing_path: localPath };
+  return { path: realPath, content_type: IMAGE_CONTENT_TYPES[path.extname(localPath).toLowerCase()] };
+}
+
+// Copies local and data-URI images referenced by Markdown/HTML sources into the image store
+function localizeImages(root, documentPath, imageStore, messages) {
+  for (const image of findElements(root, node => node.tag === "img", { descendIntoMatches: true })) {
+    const src = image.attrs.src || "";
+    try {
+      let buffer = null;
+      let contentType = null;
+      const dataUri = src.match(/^data:(image\/[\w.+-]+);base64,(.+)$/i);
+
+      if (dataUri) {
+        contentType = dataUri[1].toLowerCase();
+        buffer = Buffer.from(dataUri[2], "base64");
+      } else if (src && !/^[a-z][a-z0-9+.-]*:\/\//i.test(src)) {
+        const localImage = resolveLocalImage(documentPath, src);
+        if (localImage.path || localImage.missing_path) imageStore.referencedFiles.add(localImage.path || localImage.missing_path);
+        if (localImage.path) {
+          contentType = localImage.content_type;
+          buffer = fs.readFileSync(localImage.path);
+        } else {
+          messages.push({ type: "warning", message: localImage.error });
+        }
+      }
+
+      if (buffer) {
+        const saved = imageStore.save(buffer, contentType);
+        image.attrs.src = saved.path;
+        image.attrs.alt = image.attrs.alt || `Extracted image: ${saved.filename}`;
+      }
+    } catch (error) {
+      messages.push({ type: "warning", message: `Could not extract image ${src.slice(0, 80)}: ${error.message}` });
+    }
+  }
+}
+
+async function convertDocxToHtml(documentPath, imageStore) {
+  const options = {
+    convertImage: mammoth.images.imgElement(async function (image) {
+      const saved = imageStore.save(await image.read(), image.contentType);
+      return {
+        src: saved.path,
+        alt: image.altText || `Extracted image: ${saved.filename}`
+      };
+    })
+  };
+
+  const result = await mammoth.convertToHtml({ path: documentPath }, options);
+  return { html: result.value, messages: result.messages };
+}
+
+function convertMarkupToHtml(html, documentPath, imageStore, messages) {
+  const root = parseHtmlFragment(html.replace(/<(script|style|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, ""));
+  root.children = flattenContainers(root.children);
+  localizeImages(root, documentPath, imageStore, messages);
+  return renderHtml(root);
+}
+
+async function convertMarkdownToHtml(documentPath, imageStore) {
+  const messages = [];
+  // Front matter is metadata, not content
+  const markdown = fs.readFileSync(documentPath, "utf-8").replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, "");
+  const html = convertMarkupToHtml(marked.parse(markdown, { gfm: true }), documentPath, imageStore, messages);
+  return { html, messages };
+}
+
+async function convertHtmlFile(documentPath, imageStore) {
+  const messages = [];
+  const source = fs.readFileSync(documentPath, "utf-8");
+  const title = source.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+  const html = convertMarkupToHtml(source, documentPath, imageStore, messages);
+  return { html, messages, properties: title ? { title: normalizeWhitespace(decodeHtmlEntities(title)) } : null };
+}
+
+function pdfDateToIso(value) {
+  const match = typeof value === "string" && value.match(/^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?/);
+  if (!match) return value || null;
+  const [, year, month = "01", day = "01", hour = "00", minute = "00", second = "00"] = match;
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}Z`;
+}
+
+// Rebuilds structure from positioned PDF text: lines are grouped by baseline, font sizes
+// clearly above the body size become headings, and bullet/number prefixes become lists.
+async function convertPdfToHtml(documentPath) {
+  const pdfjs = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(fs.readFileSync(documentPath)),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const lines = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      let current = null;
+
+      for (const item of content.items) {
+        if (typeof item.str !== "string") continue;
+        const y = item.transform[5];
+        const size = Math.round((Math.hypot(item.transform[2], item.transform[3]) || item.height || 0) * 10) / 10;
+
+        if (current && Math.abs(current.y - y) <= Math.max(current.size, size) * 0.5) {
+          const joiner = current.text && item.str && !/\s$/.test(current.text) && !/^\s/.test(item.str) && item.transform[4] - current.endX > size * 0.15 ? " " : "";
+          current.text += joiner + item.str;
+          current.size = Math.max(current.size, size);
+        } else if (item.str.trim()) {
+          current = { page: pageNumber, y, size, text: item.str };
+          lines.push(current);
+        }
+        if (current) current.endX = item.transform[4] + (item.width || 0);
+        if (item.hasEOL) current = null;
+      }
+      page.cleanup();
+    }
+
+    const messages = [];
+    if (lines.length === 0) {
+      messages.push({ type: "warning", message: "No extractable text found; the PDF may be scanned. Only text-based PDFs are supported." });
+    }
+    messages.push({ type: "info", message: "Images embedded in PDF inputs are not extracted." });
+
+    const sizeWeights = new Map();
+    lines.forEach(line => sizeWeights.set(line.size, (sizeWeights.get(line.size) || 0) + line.text.length));
+    const bodySize = [...sizeWeights.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+    const headingSizes = [...sizeWeights.keys()].filter(size => size >= bodySize * 1.15).sort((a, b) => b - a).slice(0, 6);
+
+    const html = [];
+    let paragraph = null;
+    let list = null;
+    let previous = null;
+
+    const closeParagraph = () => {
+      if (paragraph) html.push(`<p>${escapeHtml(paragraph)}</p>`);
+      paragraph = null;
+    };
+    const closeList = () => {
+      if (list) html.push(`<${list.tag}>${list.items.map(item => `<li>${escapeHtml(item)}</li>`).join("")}</${list.tag}>`);
+      list = null;
+    };
+
+    for (const line of lines) {
+      const text = line.text.trim();
+      const headingLevel = headingSizes.indexOf(line.size) + 1;
+      const closeToPrevious = previous && previous.page === line.page && previous.y - line.y <= line.size * 1.8;
+
+      if (headingLevel > 0 && text.length <= 150) {
+        closeParagraph();
+        closeList();
+        html.push(`<h${headingLevel}>${escapeHtml(text)}</h${headingLevel}>`);
+      } else {
+        const bullet = text.match(/^(?:[•●▪◦‣*–-])\s+(.*)$/);
+        const numbered = text.match(/^\d+[.)]\s+(.*)$/);
+        if (bullet || numbered) {
+          closeParagraph();
+          const tag = bullet ? "ul" : "ol";
+          if (list && list.tag !== tag) closeList();
+          list = list || { tag, items: [] };
+          list.items.push((bullet || numbered)[1]);
+        } else if (list && closeToPrevious) {
+          list.items[list.items.length - 1] += ` ${text}`;
+        } else {
+          closeList();
+          if (paragraph && closeToPrevious) {
+            paragraph = paragraph.endsWith("-") ? paragraph.slice(0, -1) + text : `${paragraph} ${text}`;
+          } else {
+            closeParagraph();
+            paragraph = text;
+          }
+        }
+      }
+      previous = line;
+    }
+    closeParagraph();
+    closeList();
+
+    const { info } = await pdf.getMetadata().catch(() => ({ info: {} }));
+    return {
+      html: html.join(""),
+      messages,
+      properties: {
+        title: info?.Title || null,
+        subject: info?.Subject || null,
+        author: info?.Author || null,
+        keywords: info?.Keywords || null,
+        created: pdfDateToIso(info?.CreationDate),
+        modified: pdfDateToIso(info?.ModDate),
+        page_count: pdf.numPages
+      }
+    };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+const SOURCE_CONVERTERS = {
+  docx: convertDocxToHtml,
+  markdown: convertMarkdownToHtml,
+  html: convertHtmlFile,
+  pdf: convertPdfToHtml
+};
+
+async function parseDocumentFile(document_path, { image_output_dir, output_format = "html", ocr_images = false } = {}) {
+  const stats = await stat(document_path);
+  const documentDir = path.dirname(document_path);
+  const documentName = path.basename(document_path, path.extname(document_path));
+  const imageDir = resolveImageOutputDir(document_path, image_output_dir);
+  const sourceFormat = detectSourceFormat(document_path);
+
+  if (!sourceFormat) {
+    throw new Error(`Unsupported document format: ${path.extname(document_path) || "unknown"}. Supported: ${Object.keys(SOURCE_FORMAT_EXTENSIONS).join(", ")}`);
+  }
+
+  // Every source format is converted to HTML first, so the rest of the pipeline is shared
+  const imageStore = createImageStore(documentName, imageDir);
+  const imagesByHash = imageStore.imagesByHash;
+  const result = await SOURCE_CONVERTERS[sourceFormat](document_path, imageStore);
+  const documentModel = buildDocumentModel(result.html);
+  const rawText = renderBlocks(documentModel.root.children, "text");
+  const markdownContent = output_format === "markdown" || output_format === "all"
+    ? renderBlocks(documentModel.root.children, "markdown")
+    : null;
+  if (markdownContent !== null) {
+    for (const { node, section, is_heading } of documentModel.blocks) {
+      if (is_heading) continue;
+      const rendered = renderBlock(node, "markdown");
+      if (rendered) section.markdown = section.markdown ? `${section.markdown}\n\n${rendered}` : rendered;
+    }
+  }
+  const blocks = buildBlockIndex(documentModel);
+  const tables = extractTables(documentModel);
+  const figmaReferences = extractFigmaReferences(documentModel);
+  const classification = classifyContent(documentModel);
+  const blocksBySection = new Map();
+  const blockIdsByText = new Map();
+  for (const block of blocks) {
+    blocksBySection.set(block.section_id, [...(blocksBySection.get(block.section_id) || []), block]);
+    const key = `${block.section_id}\n${block.text}`;
+    if (!blockIdsByText.has(key)) blockIdsByText.set(key, block.id);
+  }
+  for (const item of classification.items) {
+    item.block_id = blockIdsByText.get(`${item.section_id}\n${item.text}`)
+      || (blocksBySection.get(item.section_id) || []).find(block => block.text.includes(item.text))?.id
+      || null;
+  }
+  const review = sourceFormat === "docx"
+    ? await extractReviewData(document_path, documentModel.sections)
+    : {
+      comments: [],
+      tracked_changes: [],
+      document_properties: result.properties || null,
+      summary: { comments: 0, open_comments: 0, resolved_comments: 0, insertions: 0, deletions: 0, moves: 0, formatting_changes: 0 }
+    };
+
+  // Identify extracted images, listing each file once even when the document repeats it
+  const extractedImages = [];
+  const listedPaths = new Set();
+  const imageMatches = result.html.match(/<img[^>]*src="([^"]*)"[^>]*>/g);
+
+  if (imageMatches) {
+    imageMatches.forEach((imgTag) => {
+      const srcMatch = imgTag.match(/src="([^"]*)"/);
+      if (srcMatch) {
+        const imagePath = srcMatch[1];
+        if (!listedPaths.has(imagePath) && fs.existsSync(imagePath)) {
+          listedPaths.add(imagePath);
+          const entry = [...imagesByHash.values()].find(image => image.filename === path.basename(imagePath));
+          extractedImages.push({
+            index: extractedImages.length + 1,
+            path: imagePath,
+            filename: path.basename(imagePath),
+            size_bytes: fs.statSync(imagePath).size,
+            sha256: entry?.sha256 || null,
+            content_type: entry?.content_type || null,
+            occurrences: entry?.occurrences || 1,
+            alt_text: decodeHtmlEntities(imgTag.match(/alt="([^"]*)"/)?.[1] || "") || `Image ${extractedImages.length + 1}`
+          });
+        }
+      }
+    });
+  }
+
+  const imageContexts = collectImageContexts(documentModel);
+  extractedImages.forEach(image => { image.context = imageContexts.get(image.path) || null; });
+  const imagesOcrProcessed = ocr_images ? await recognizeImageText(extractedImages, result.messages) : 0;
+  for (const image of extractedImages) {
+    const { kind, basis } = guessImageKind(image);
+    image.image_kind = kind;
+    image.image_kind_basis = basis;
+    image.inferred_alt_text = inferAltText(image);
+  }
+
+  let manifestPath = imageManifestPath(imageDir, document_path);
+  // Manifests named only after the document, written before the path was part of the name
+  const unkeyedManifestPath = path.join(imageDir, `${documentName}.images.json`);
+  try {
+    if (fs.existsSync(unkeyedManifestPath) &&
+      JSON.parse(fs.readFileSync(unkeyedManifestPath, "utf-8")).document_path === path.resolve(document_path)) {
+      fs.unlinkSync(unkeyedManifestPath);
+    }
+  } catch {
+    // An unreadable old manifest is left for clean_extracted_images to report
+  }
+  if (imagesByHash.size === 0) {
+    // A revision without images must not keep protecting the previous revision's files
+    if (fs.existsSync(manifestPath)) fs.unlinkSync(manifestPath);
+    manifestPath = null;
+  } else {
+    fs.writeFileSync(manifestPath, JSON.stringify({
+      document_path: path.resolve(document_path),
+      generated_at: new Date().toISOString(),
+      images: [...imagesByHash.values()]
+    }, null, 2), "utf-8");
+  }
+
+  return {
+    document_path,
+    source_format: sourceFormat,
+    output_format,
+    ...(output_format === "html" || output_format === "all" ? { html_content: result.html } : {}),
+    ...(markdownContent !== null ? { markdown_content: markdownContent } : {}),
+    ...(output_format !== "markdown" ? { raw_text: rawText } : {}),
+    sections: shapeSections(documentModel.sections, output_format),
+    blocks,
+    tables,
+    figma_references: figmaReferences,
+    classified_content: classification.items,
+    review_comments: review.comments,
+    tracked_changes: review.tracked_changes,
+    document_properties: review.document_properties,
+    extracted_images: extractedImages,
+    processing_messages: result.messages,
+    metadata: {
+      parsed_at: new Date().toISOString(),
+      source_format: sourceFormat,
+      file_size_bytes: stats.size,
+      images_extracted: extractedImages.length,
+      images_ocr_processed: imagesOcrProcessed,
+      sections_found: countSections(documentModel.sections),
+      blocks_found: blocks.length,
+      tables_found: tables.length,
+      figma_nodes_found: new Set(figmaReferences.filter(ref => ref.node_id).map(ref => `${ref.file_key}|${ref.node_id}`)).size,
+      classification_summary: classification.summary,
+      review_summary: review.summary,
+      document_directory: documentDir,
+      image_output_dir: imageDir,
+      image_manifest: manifestPath,
+      referenced_files: [...imageStore.referencedFiles]
+    }
+  };
+}
+
+// Content hashes of the local files a parse read besides the document itself (null when missing)
+function hashReferencedFiles(filePaths) {
+  return (filePaths || []).map(filePath => ({
+    path: filePath,
+    sha256: fs.existsSync(filePath) ? crypto.createHash("sha256").update(fs.readFileSync(filePath)).digest("hex") : null
+  }));
+}
+
+// One cache entry per document path and options; the stored content hash (plus those of any
+// referenced local images) and parser version decide whether it is still valid, so an edited
+// document simply overwrites its entry.
+function parseCacheEntryPath(document_path, { image_output_dir, output_format = "html", ocr_images = false } = {}) {
+  const key = crypto.createHash("sha256")
+    .update(JSON.stringify([path.resolve(document_path), resolveImageOutputDir(document_path, image_output_dir), output_format, ocr_images]))
+    .digest("hex");
+  return path.join(CACHE_CONFIG.directory, `${key.slice(0, 32)}.json`);
+}
+
+function readCachedParse(entryPath, contentHash) {
+  if (!fs.existsSync(entryPath)) return null;
+  try {
+    const entry = JSON.parse(fs.readFileSync(entryPath, "utf-8"));
+    if (entry.parser_version !== SERVER_VERSION || entry.content_sha256 !== contentHash) return null;
+    // Markdown/HTML results also depend on the local images they reference
+    const referenced = entry.referenced_files || [];
+    const current = hashReferencedFiles(referenced.map(file => file.path));
+    if (referenced.some((file, i) => file.sha256 !== current[i].sha256)) return null;
+    // Extracted images may have been cleaned up since; re-parse to restore them
+    if (entry.result.extracted_images.some(image => !fs.existsSync(image.path))) return null;
+    return entry.result;
+  } catch {
+    return null;
+  }
+}
+
+async function parseDocumentCached(document_path, { force = false, ...options } = {}) {
+  if (!CACHE_CONFIG.enabled) {
+    const parsed = await parseDocumentFile(document_path, options);
+    parsed.metadata.cache_status = "disabled";
+    return parsed;
+  }
+
+  const contentHash = crypto.createHash("sha256").update(fs.readFileSync(document_path)).digest("hex");
+  const entryPath = parseCacheEntryPath(document_path, options);
+
+  if (!force) {
+    const cached = readCachedParse(entryPath, contentHash);
+    if (cached) {
+      cached.metadata.cache_status = "hit";
+      return cached;
+    }
+  }
+
+  const parsed = await parseDocumentFile(document_path, options);
+  parsed.metadata.content_sha256 = contentHash;
+  try {
+    fs.mkdirSync(CACHE_CONFIG.directory, { recursive: true });
+    fs.writeFileSync(entryPath, JSON.stringify({
+      parser_version: SERVER_VERSION,
+      content_sha256: contentHash,
+      referenced_files: hashReferencedFiles(parsed.metadata.referenced_files),
+      cached_at: new Date().toISOString(),
+      result: parsed
+    }), "utf-8");
+  } catch (error) {
+    parsed.processing_messages.push({ type: "warning", message: `Could not write parse cache: ${error.message}` });
+  }
+  parsed.metadata.cache_status = force ? "bypassed" : "miss";
+  return parsed;
+}
+
+const DEFAULT_MAX_CHUNK_CHARS = 16000;
+const MIN_CHUNK_CHARS = 500;
+// Rough estimate for English prose; good enough to stay under a context budget
+const CHARS_PER_TOKEN = 4;
+const SECTION_SCOPED_FIELDS = ["blocks", "tables", "figma_references", "classified_content", "review_comments", "tracked_changes"];
+
+function resolveChunkBudget({ max_chunk_chars, max_chunk_tokens }) {
+  const budgets = [];
+  if (max_chunk_chars !== undefined) budgets.push(Number(max_chunk_chars));
+  if (max_chunk_tokens !== undefined) budgets.push(Number(max_chunk_tokens) * CHARS_PER_TOKEN);
+  if (budgets.length === 0) return null;
+  if (budgets.some(budget => !Number.isFinite(budget) || budget < MIN_CHUNK_CHARS)) {
+    throw new Error(`Chunk budget must be at least ${MIN_CHUNK_CHARS} characters (${MIN_CHUNK_CHARS / CHARS_PER_TOKEN} tokens)`);
+  }
+  return Math.floor(Math.min(...budgets));
+}
+
+function sectionChunkPieces(section, format) {
+  const level = Math.max(section.level, 1);
+  const heading = !section.title ? null
+    : format === "html" ? `<h${level}>${escapeHtml(section.title)}</h${level}>`
+      : format === "markdown" ? `${"#".repeat(level)} ${section.title}`
+        : section.title;
+  const body = section[format] || "";
+  const pieces = format === "html"
+    ? parseHtmlFragment(body).children.map(node => renderHtml(node))
+    : body.split(format === "markdown" ? /\n{2,}/ : /\n/);
+  return [heading, ...pieces].filter(piece => piece && piece.trim());
+}
+
+// Splits text that alone exceeds the budget, preferring whitespace boundaries
+function splitOversizedPiece(piece, maxChars) {
+  const parts = [];
+  let rest = piece;
+  while (rest.length > maxChars) {
+    const cut = rest.lastIndexOf(" ", maxChars);
+    const at = cut > maxChars / 2 ? cut : maxChars;
+    parts.push(rest.slice(0, at));
+    rest = rest.slice(at).trimStart();
+  }
+  if (rest) parts.push(rest);
+  return parts;
+}
+
+// Packs whole sections into chunks in document order; a section larger than the budget
+// continues over several chunks, split between blocks.
+function chunkParseResult(parsed, maxChars) {
+  const format = parsed.output_format === "all" ? "markdown" : parsed.output_format;
+  const separator = format === "html" ? "\n" : format === "markdown" ? "\n\n" : "\n";
+  const chunks = [];
+  let current = null;
+
+  const startChunk = (section, continued) => {
+    current = { chunk_id: `chunk-${chunks.length + 1}`, heading_path: section.heading_path, section_ids: [section.id], continued, pieces: [], chars: 0 };
+    chunks.push(current);
+  };
+
+  for (const section of flattenSections(parsed.sections)) {
+    const pieces = sectionChunkPieces(section, format).flatMap(piece => splitOversizedPiece(piece, maxChars));
+    if (pieces.length === 0) continue;
+    const sectionChars = pieces.reduce((total, piece) => total + piece.length + separator.length, 0);
+
+    if (!current || current.chars + sectionChars > maxChars) startChunk(section, false);
+    else current.section_ids.push(section.id);
+
+    pieces.forEach((piece, index) => {
+      if (current.chars > 0 && current.chars + piece.length + separator.length > maxChars) {
+        startChunk(section, index > 0);
+      }
+      current.pieces.push(piece);
+      current.chars += piece.length + separator.length;
+    });
+  }
+
+  return chunks.map(({ pieces, chars, ...chunk }) => {
+    const content = pieces.join(separator);
+    const startsSections = new Set(chunk.continued ? chunk.section_ids.slice(1) : chunk.section_ids);
+    return {
+      ...chunk,
+      format,
+      content,
+      chars: content.length,
+      estimated_tokens: Math.ceil(content.length / CHARS_PER_TOKEN),
+      // Section-scoped items travel with the chunk where their section starts
+      ...Object.fromEntries(SECTION_SCOPED_FIELDS.map(field => [field, (parsed[field] || []).filter(item => startsSections.has(item.section_id))]))
+    };
+  });
+}
+
+function summarizeChunkedResult(parsed, chunks, maxChars) {
+  const chunkIdsBySection = new Map();
+  for (const chunk of chunks) {
+    for (const sectionId of chunk.section_ids) {
+      chunkIdsBySection.set(sectionId, [...(chunkIdsBySection.get(sectionId) || []), chunk.chunk_id]);
+    }
+  }
+
+  return {
+    document_path: parsed.document_path,
+    source_format: parsed.source_format,
+    output_format: parsed.output_format,
+    chunking: { max_chunk_chars: maxChars, total_chunks: chunks.length },
+    outline: flattenSections(parsed.sections).map(section => ({
+      id: section.id,
+      level: section.level,
+      title: section.title,
+      heading_path: section.heading_path,
+      chunk_ids: chunkIdsBySection.get(section.id) || []
+    })),
+    chunks: chunks.map(({ content, ...chunk }) => ({
+      chunk_id: chunk.chunk_id,
+      heading_path: chunk.heading_path,
+      section_ids: chunk.section_ids,
+      continued: chunk.continued,
+      chars: chunk.chars,
+      estimated_tokens: chunk.estimated_tokens
+    })),
+    document_properties: parsed.document_properties,
+    extracted_images: parsed.extracted_images,
+    processing_messages: parsed.processing_messages,
+    metadata: parsed.metadata
+  };
+}
+
 async function parseDocument(args) {
-  const { document_path } = args;
+  const { document_path, image_output_dir, output_format = "html", snapshot_path, force = false, max_chunk_chars, max_chunk_tokens, ocr_images = false } = args;
+
+  if (!fs.existsSync(document_path)) {
+    return { content: [{ type: "text", text: JSON.stringify({ error: "File not found", path: document_path }) }] };
+  }
+
+  if (!OUTPUT_FORMATS.includes(output_format)) {
+    return { content: [{ type: "text", text: JSON.stringify({ error: "Unsupported output_format", supported: OUTPUT_FORMATS, provided: output_format }) }] };
+  }
+
+  try {
+    const maxChunkChars = resolveChunkBudget({ max_chunk_chars, max_chunk_tokens });
+    const parsed = await parseDocumentCached(document_path, { image_output_dir, output_format, force, ocr_images });
+
+    if (snapshot_path) {
+      // Snapshots are always stored as text so diff_documents compares like with like
+      const snapshot = output_format === "text"
+        ? parsed
+        : await parseDocumentCached(document_path, { image_output_dir, output_format: "text", ocr_images });
+      fs.writeFileSync(snapshot_path, JSON.stringify(snapshot, null, 2), "utf-8");
+      parsed.metadata.snapshot_path = snapshot_path;
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify(maxChunkChars ? summarizeChunkedResult(parsed, chunkParseResult(parsed, maxChunkChars), maxChunkChars) : parsed)
+      }]
+    };
+
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Failed to parse document",
+          details: error.message,
+          document_path
+        })
+      }]
+    };
+  }
+}
+
+async function getDocumentChunk(args) {
+  const { document_path, chunk_id, image_output_dir, output_format = "html", max_chunk_chars, max_chunk_tokens, ocr_images = false } = args;
+
+  if (!fs.existsSync(document_path)) {
+    return { content: [{ type: "text", text: JSON.stringify({ error: "File not found", path: document_path }) }] };
+  }
+
+  if (!OUTPUT_FORMATS.includes(output_format)) {
+    return { content: [{ type: "text", text: JSON.stringify({ error: "Unsupported output_format", supported: OUTPUT_FORMATS, provided: output_format }) }] };
+  }
+
+  try {
+    const maxChunkChars = resolveChunkBudget({ max_chunk_chars, max_chunk_tokens }) || DEFAULT_MAX_CHUNK_CHARS;
+    // Re-chunking is deterministic, so paging only needs the cached parse result
+    const parsed = await parseDocumentCached(document_path, { image_output_dir, output_format, ocr_images });
+    const chunks = chunkParseResult(parsed, maxChunkChars);
+    const requestedId = /^\d+$/.test(String(chunk_id).trim()) ? `chunk-${String(chunk_id).trim()}` : String(chunk_id).trim();
+    const index = chunks.findIndex(chunk => chunk.chunk_id === requestedId);
+
+    if (index === -1) {
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({ error: "Chunk not found", chunk_id, total_chunks: chunks.length, first_chunk_id: chunks[0]?.chunk_id || null })
+        }]
+      };
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          document_path,
+          chunk_index: index + 1,
+          total_chunks: chunks.length,
+          previous_chunk_id: chunks[index - 1]?.chunk_id || null,
+          next_chunk_id: chunks[index + 1]?.chunk_id || null,
+          max_chunk_chars: maxChunkChars,
+          cache_status: parsed.metadata.cache_status,
+          chunk: chunks[index]
+        })
+      }]
+    };
+
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Failed to read document chunk",
+          details: error.message,
+          document_path
+        })
+      }]
+    };
+  }
+}
+
+const DOCUMENT_TYPE_PATTERNS = {
+  pm_spec: {
+    filename: /(^|[^a-z])(pm|prd|brd|product|requirements?|business|functional)([^a-z]|$)/i,
+    headings: /\b(objective|goals?|overview|background|personas?|user stor(y|ies)|expected outcomes?|success (metrics|criteria)|business|scope|kpis? defined|acceptance criteria|dashboard features|requirements?)\b/i
+  },
+  dev_spec: {
+    filename: /(^|[^a-z])(dev|developer|technical|tech|tdd|design|implementation|architecture|engineering)([^a-z]|$)/i,
+    headings: /\b(implementation|components?|architecture|api|props|fetchxml|quer(y|ies)|data model|schema|technical|deployment|plugins?|pcf|configuration|integration|metrics to implement)\b/i
+  }
+};
+
+// Filename matches weigh double; headings add one point each. Ties are reported as unknown.
+function classifyDocument(documentPath, sections) {
+  const filename = path.basename(documentPath, path.extname(documentPath)).replace(/[_\-.]+/g, " ");
+  const headings = [];
+  const collect = (list) => list.forEach(section => {
+    if (section.title) headings.push(section.title);
+    collect(section.children);
+  });
+  collect(sections);
+
+  const scores = {};
+  const signals = [];
+  for (const [type, patterns] of Object.entries(DOCUMENT_TYPE_PATTERNS)) {
+    scores[type] = 0;
+    if (patterns.filename.test(filename)) {
+      scores[type] += 2;
+      signals.push({ type, source: "filename", value: path.basename(documentPath) });
+    }
+    for (const heading of headings) {
+      if (patterns.headings.test(heading)) {
+        scores[type] += 1;
+        signals.push({ type, source: "heading", value: heading });
+      }
+    }
+  }
+
+  const total = scores.pm_spec + scores.dev_spec;
+  const type = scores.pm_spec === scores.dev_spec ? "unknown" : scores.pm_spec > scores.dev_spec ? "pm_spec" : "dev_spec";
+  return {
+    type,
+    confidence: total === 0 || type === "unknown" ? 0 : Math.round((Math.max(scores.pm_spec, scores.dev_spec) / total) * 100) / 100,
+    scores,
+    signals
+  };
+}
+
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      source += pattern[i + 2] === "/" ? "(?:.*/)?" : ".*";
+      i += pattern[i + 2] === "/" ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      const close = pattern.indexOf("}", i);
+      if (close === -1) {
+        source += "\\{";
+        continue;
+      }
+      source += `(?:${pattern.slice(i + 1, close).split(",").map(part => part.replace(/[.+^$()|[\]\\]/g, "\\$&")).join("|")})`;
+      i = close;
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, "i");
+}
+
+function listDirectoryFiles(directory, recursive) {
+  const files = [];
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (recursive && !entry.name.startsWith(".") && entry.name !== "node_modules") files.push(...listDirectoryFiles(entryPath, recursive));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+async function parseDirectory(args) {
+  const { directory_path, pattern = SUPPORTED_DOCUMENT_PATTERN, recursive = false, include_content = true, image_output_dir, output_format = "html", force = false, ocr_images = false } = args;
+
+  if (!directory_path || !fs.existsSync(directory_path) || !fs.statSync(directory_path).isDirectory()) {
+    return { content: [{ type: "text", text: JSON.stringify({ error: "Directory not found", path: directory_path }) }] };
+  }
+
+  if (!OUTPUT_FORMATS.includes(output_format)) {
+    return { content: [{ type: "text", text: JSON.stringify({ error: "Unsupported output_format", supported: OUTPUT_FORMATS, provided: output_format }) }] };
+  }
+
+  // Patterns without a slash match file names at any depth; others match the relative path.
+  const matcher = globToRegExp(pattern);
+  const matchesPath = pattern.includes("/")
+    ? (relativePath) => matcher.test(relativePath)
+    : (relativePath) => matcher.test(path.posix.basename(relativePath));
+
+  const candidates = listDirectoryFiles(directory_path, recursive)
+    .map(filePath => ({ filePath, relativePath: path.relative(directory_path, filePath).split(path.sep).join("/") }))
+    // Word keeps "~$name.docx" lock files next to open documents
+    .filter(({ relativePath }) => matchesPath(relativePath) && !path.posix.basename(relativePath).startsWith("~$"))
+    .sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+
+  const documents = [];
+  const errors = [];
+  const totals = { sections: 0, tables: 0, figma_nodes: 0, images: 0 };
+
+  for (const { filePath, relativePath } of candidates) {
+    try {
+      const parsed = await parseDocumentCached(filePath, { image_output_dir, output_format, force, ocr_images });
+      const classification = classifyDocument(filePath, parsed.sections);
+
+      totals.sections += parsed.metadata.sections_found;
+      totals.tables += parsed.metadata.tables_found;
+      totals.figma_nodes += parsed.metadata.figma_nodes_found;
+      totals.images += parsed.metadata.images_extracted;
+
+      documents.push({
+        document_path: filePath,
+        relative_path: relativePath,
+        classification,
+        ...(include_content ? { result: parsed } : { metadata: parsed.metadata })
+      });
+    } catch (error) {
+      errors.push({ document_path: filePath, relative_path: relativePath, error: "Failed to parse document", details: error.message });
+    }
+  }
+
+  const byClassification = { pm_spec: [], dev_spec: [], unknown: [] };
+  documents.forEach(doc => byClassification[doc.classification.type].push(doc.relative_path));
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({
+        directory_path,
+        pattern,
+        recursive,
+        documents,
+        errors,
+        summary: {
+          documents_found: candidates.length,
+          documents_parsed: documents.length,
+          documents_failed: errors.length,
+          pm_specs: byClassification.pm_spec,
+          dev_specs: byClassification.dev_spec,
+          unclassified: byClassification.unknown,
+          totals,
+          parsed_at: new Date().toISOString()
+        }
+      })
+    }]
+  };
+}
+
+function flattenSections(sections, parentPath = [], parentId = null) {
+  return sections.flatMap(section => {
+    const headingPath = section.title ? [...parentPath, section.title] : parentPath;
+    return [
+      { ...section, heading_path: headingPath, parent_id: parentId },
+      ...flattenSections(section.children || [], headingPath, section.id)
+    ];
+  });
+}
+
+// Sections are compared as text. Snapshots saved before they were always stored as text may
+// only carry markdown or html, which is converted the same way parse results derive their text.
+function sectionBody(section) {
+  if (typeof section.text === "string") return section.text.trim();
+  const html = section.html ?? (section.markdown ? marked.parse(section.markdown, { gfm: true }) : "");
+  return parseHtmlFragment(html).children.map(blockText).filter(Boolean).join("\n").trim();
+}
+
+function diffLines(before, after) {
+  const a = before ? before.split("\n") : [];
+  const b = after ? after.split("\n") : [];
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const added = [];
+  const removed = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      added.push(b[j++]);
+    } else {
+      removed.push(a[i++]);
+    }
+  }
+
+  const total = a.length + b.length;
+  return { added_lines: added, removed_lines: removed, similarity: total === 0 ? 1 : Math.round((2 * lcs[0][0] / total) * 100) / 100 };
+}
+
+function tablesBySectionPosition(tables) {
+  const counters = {};
+  return new Map((tables || []).map(table => {
+    const sectionKey = table.section_id || "(none)";
+    counters[sectionKey] = (counters[sectionKey] || 0) + 1;
+    return [`${sectionKey}#${counters[sectionKey]}`, table];
+  }));
+}
+
+// Compares two parse results section by section. Sections are matched by anchor id;
+// leftovers with near-identical bodies are reported as renamed instead of removed + added.
+function diffParseResults(base, target) {
+  const baseSections = new Map(flattenSections(base.sections || []).map(section => [section.id, section]));
+  const targetSections = new Map(flattenSections(target.sections || []).map(section => [section.id, section]));
+  const sections = { added: [], removed: [], modified: [], renamed: [], moved: [] };
+  const summarize = (section) => ({ id: section.id, title: section.title, level: section.level, heading_path: section.heading_path });
+
+  for (const [id, after] of targetSections) {
+    const before = baseSections.get(id);
+    if (!before) continue;
+
+    const bodyDiff = diffLines(sectionBody(before), sectionBody(after));
+    if (bodyDiff.added_lines.length > 0 || bodyDiff.removed_lines.length > 0) {
+      sections.modified.push({ ...summarize(after), ...bodyDiff });
+    }
+    if (before.level !== after.level || before.parent_id !== after.parent_id) {
+      sections.moved.push({ ...summarize(after), from: { level: before.level, parent_id: before.parent_id }, to: { level: after.level, parent_id: after.parent_id } });
+    }
+  }
+
+  const unmatchedBase = [...baseSections.values()].filter(section => !targetSections.has(section.id));
+  const unmatchedTarget = [...targetSections.values()].filter(section => !baseSections.has(section.id));
+
+  for (const after of unmatchedTarget) {
+    const body = sectionBody(after);
+    const renamedFrom = body && unmatchedBase.find(before => diffLines(sectionBody(before), body).similarity >= 0.8);
+    if (renamedFrom) {
+      unmatchedBase.splice(unmatchedBase.indexOf(renamedFrom), 1);
+      sections.renamed.push({ ...summarize(after), previous_id: renamedFrom.id, previous_title: renamedFrom.title });
+    } else {
+      sections.added.push({ ...summarize(after), text: body });
+    }
+  }
+  sections.removed = unmatchedBase.map(section => ({ ...summarize(section), text: sectionBody(section) }));
+
+  const tables = { added: [], removed: [], modified: [] };
+  const baseTables = tablesBySectionPosition(base.tables);
+  const targetTables = tablesBySectionPosition(target.tables);
+  const rowKey = (row) => JSON.stringify(row);
+
+  for (const [key, after] of targetTables) {
+    const before = baseTables.get(key);
+    if (!before) {
+      tables.added.push({ id: after.id, caption: after.caption, section_id: after.section_id, header: after.header, row_count: after.row_count });
+      continue;
+    }
+
+    const beforeRows = new Set(before.rows.map(rowKey));
+    const afterRows = new Set(after.rows.map(rowKey));
+    const addedRows = after.rows.filter(row => !beforeRows.has(rowKey(row)));
+    const removedRows = before.rows.filter(row => !afterRows.has(rowKey(row)));
+    const headerChanged = rowKey(before.header) !== rowKey(after.header);
+
+    if (headerChanged || addedRows.length > 0 || removedRows.length > 0) {
+      tables.modified.push({
+        id: after.id,
+        previous_id: before.id,
+        caption: after.caption,
+        section_id: after.section_id,
+        header_changed: headerChanged,
+        ...(headerChanged ? { previous_header: before.header, header: after.header } : {}),
+        added_rows: addedRows,
+        removed_rows: removedRows
+      });
+    }
+  }
+  for (const [key, before] of baseTables) {
+    if (!targetTables.has(key)) tables.removed.push({ id: before.id, caption: before.caption, section_id: before.section_id, header: before.header, row_count: before.row_count });
+  }
+
+  const imageKey = (image) => image.sha256 || image.filename;
+  const baseImages = new Map((base.extracted_images || []).map(image => [imageKey(image), image]));
+  const targetImages = new Map((target.extracted_images || []).map(image => [imageKey(image), image]));
+  const images = {
+    added: [...targetImages.entries()].filter(([key]) => !baseImages.has(key)).map(([, image]) => ({ filename: image.filename, path: image.path, sha256: image.sha256 || null })),
+    removed: [...baseImages.entries()].filter(([key]) => !targetImages.has(key)).map(([, image]) => ({ filename: image.filename, path: image.path, sha256: image.sha256 || null }))
+  };
+
+  const figmaKey = (ref) => `${ref.file_key}|${ref.node_id}`;
+  const baseFigma = new Set((base.figma_references || []).map(figmaKey));
+  const targetFigma = new Set((target.figma_references || []).map(figmaKey));
+  const figmaReferences = {
+    added: (target.figma_references || []).filter(ref => !baseFigma.has(figmaKey(ref))),
+    removed: (base.figma_references || []).filter(ref => !targetFigma.has(figmaKey(ref)))
+  };
+
+  const affectedSections = new Set([
+    ...sections.added, ...sections.modified, ...sections.renamed, ...sections.moved
+  ].map(section => section.id));
+  sections.removed.forEach(section => affectedSections.add(section.id));
+  [...tables.added, ...tables.removed, ...tables.modified].forEach(table => table.section_id && affectedSections.add(table.section_id));
+  [...figmaReferences.added, ...figmaReferences.removed].forEach(ref => ref.section_id && affectedSections.add(ref.section_id));
+
+  return {
+    sections,
+    tables,
+    images,
+    figma_references: figmaReferences,
+    affected_sections: [...affectedSections],
+    summary: {
+      has_changes: affectedSections.size > 0 || images.added.length > 0 || images.removed.length > 0,
+      sections_added: sections.added.length,
+      sections_removed: sections.removed.length,
+      sections_modified: sections.modified.length,
+      sections_renamed: sections.renamed.length,
+      sections_moved: sections.moved.length,
+      tables_added: tables.added.length,
+      tables_removed: tables.removed.length,
+      tables_modified: tables.modified.length,
+      images_added: images.added.length,
+      images_removed: images.removed.length,
+      figma_references_added: figmaReferences.added.length,
+      figma_references_removed: figmaReferences.removed.length
+    }
+  };
+}
+
+// A .json base is treated as a snapshot previously written by parse_document (snapshot_path)
+async function loadDiffSide(documentPath, options) {
+  if (path.extname(documentPath).toLowerCase() === ".json") {
+    const snapshot = JSON.parse(fs.readFileSync(documentPath, "utf-8"));
+    if (!Array.isArray(snapshot.sections)) {
+      throw new Error(`Snapshot ${documentPath} has no sections array; re-create it with parse_document snapshot_path`);
+    }
+    return { kind: "snapshot", result: snapshot };
+  }
+  return { kind: "document", result: await parseDocumentCached(documentPath, options) };
+}
+
+async function diffDocuments(args) {
+  const { base_path, target_path, image_output_dir, save_snapshot_path } = args;
+
+  for (const documentPath of [base_path, target_path]) {
+    if (!documentPath || !fs.existsSync(documentPath)) {
+      return { content: [{ type: "text", text: JSON.stringify({ error: "File not found", path: documentPath }) }] };
+    }
+  }
+
+  try {
+    const base = await loadDiffSide(base_path, { image_output_dir, output_format: "text" });
+    const target = await loadDiffSide(target_path, { image_output_dir, output_format: "text" });
+    const diff = diffParseResults(base.result, target.result);
+
+    if (save_snapshot_path) {
+      fs.writeFileSync(save_snapshot_path, JSON.stringify(target.result, null, 2), "utf-8");
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          base: { path: base_path, kind: base.kind, parsed_at: base.result.metadata?.parsed_at || null },
+          target: { path: target_path, kind: target.kind, parsed_at: target.result.metadata?.parsed_at || null },
+          ...diff,
+          snapshot_saved_to: save_snapshot_path || null
+        })
+      }]
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Failed to diff documents",
+          details: error.message,
+          base_path,
+          target_path
+        })
+      }]
+    };
+  }
+}
+
+async function cleanExtractedImages(args) {
+  const { document_path, image_output_dir, include_legacy = false, dry_run = false } = args;
+
+  if (!document_path && !image_output_dir) {
+    return { content: [{ type: "text", text: JSON.stringify({ error: "Provide document_path or image_output_dir" }) }] };
+  }
+
+  const imageDir = document_path ? resolveImageOutputDir(document_path, image_output_dir) : image_output_dir;
+  const legacyDir = document_path ? path.dirname(document_path) : path.dirname(imageDir);
+  const referenced = new Set();
+  const staleManifests = [];
+  const removed = [];
+  const errors = [];
+
+  const removeFile = (filePath, reason) => {
+    try {
+      if (!dry_run) fs.unlinkSync(filePath);
+      removed.push({ path: filePath, reason });
+    } catch (error) {
+      errors.push({ path: filePath, error: error.message });
+    }
+  };
+
+  const manifestEntries = fs.existsSync(imageDir)
+    ? fs.readdirSync(imageDir).filter(name => name.endsWith(".images.json"))
+    : [];
+
+  // Without a manifest there is no record of which images belong to parsed documents, so
+  // nothing in the directory is known to be unused
+  if (fs.existsSync(imageDir) && manifestEntries.length === 0) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "No image manifest (*.images.json) found in image_output_dir; refusing to delete images",
+          image_output_dir: imageDir,
+          hint: "Parse the documents that write to this directory first, or point image_output_dir at a directory written by parse_document."
+        })
+      }]
+    };
+  }
+
+  if (fs.existsSync(imageDir)) {
+    // Manifests of documents that no longer exist stop protecting their images
+    for (const entry of manifestEntries) {
+      const manifestPath = path.join(imageDir, entry);
+      try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+        if (manifest.document_path && !fs.existsSync(manifest.document_path)) {
+          staleManifests.push(manifestPath);
+          continue;
+        }
+        (manifest.images || []).forEach(image => referenced.add(image.filename));
+      } catch (error) {
+        errors.push({ path: manifestPath, error: `Unreadable manifest: ${error.message}` });
+      }
+    }
+
+    for (const entry of fs.readdirSync(imageDir)) {
+      const filePath = path.join(imageDir, entry);
+      if (IMAGE_FILE_PATTERN.test(entry) && fs.statSync(filePath).isFile() && !referenced.has(entry)) {
+        removeFile(filePath, "not listed in any image manifest");
+      }
+    }
+    staleManifests.forEach(manifestPath => removeFile(manifestPath, "source document no longer exists"));
+  }
+
+  if (include_legacy && fs.existsSync(legacyDir)) {
+    for (const entry of fs.readdirSync(legacyDir)) {
+      if (LEGACY_IMAGE_PATTERN.test(entry)) removeFile(path.join(legacyDir, entry), "legacy timestamp-named image");
+    }
+  }
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({
+        image_output_dir: imageDir,
+        legacy_directory: include_legacy ? legacyDir : null,
+        dry_run,
+        removed,
+        files_removed: removed.length,
+        errors
+      })
+    }]
+  };
+}
+
+const ROLE_NOUNS = [
+  "user", "admin", "administrator", "manager", "management", "leadership", "owner", "analyst", "agent", "representative",
+  "rep", "salesperson", "seller", "approver", "reviewer", "customer", "executive", "supervisor", "stakeholder",
+  "developer", "maker", "tester", "member"
+];
+// A role noun counts when plural or followed by a verb ("Sales leadership can track ..."),
+// which keeps document titles like "Developer Document" out
+const ROLE_PATTERN = new RegExp(
+  `\\b((?:[A-Z][a-z]+\\s+){0,2})(${ROLE_NOUNS.map(noun => `[${noun[0].toUpperCase()}${noun[0]}]${noun.slice(1)}`).join("|")})(s?)\\b(?=(\\s+(?:can|could|should|must|shall|will|may|need|needs|want|wants|are|is|have|has|who|to)\\b)?)`,
+  "g"
+);
+const USER_STORY_ROLE_PATTERN = /\bas an?\s+([a-z][\w -]{1,40}?),?\s+(?:i|we)\s+(?:want|need|can|should|would)\b/gi;
+const ROLE_HEADING_PATTERN = /\b(roles?|personas?|actors?|audiences?|stakeholders?)\b/i;
+const KPI_HEADING_PATTERN = /\b(kpis?|metrics?|measures?|indicators?)\b/i;
+const KPI_INTRO_PATTERN = /\b(kpis?|metrics?|measures?|indicators?)\b[^:]*:$/i;
+const KPI_AGGREGATE_PATTERN = /^(count|sum|total|average|avg|mean|percentage|ratio|number|min|max)\b/i;
+const ACRONYM_PATTERN = /\b([A-Z][A-Z0-9&]{1,7})(s?)\b/g;
+const ACRONYM_STOP_WORDS = new Set(["of", "and", "the", "for", "to", "in", "on", "a", "an", "&", "by", "with"]);
+const PREFIXED_NAME_PATTERN = /\b([a-z][a-z0-9]{1,7})_([a-z0-9]+(?:_[a-z0-9]+)*)\b/g;
+const FETCH_NAME_PATTERN = /\b(name|attribute|alias|value)\s*=\s*(["'])([^"']*)\2/gi;
+
+function singularRoleKey(role) {
+  return role.toLowerCase().replace(/\s+/g, " ").replace(/([^s])s$/, "$1");
+}
+
+// Walks back from the "(" of "Full Name (ACR)" matching acronym letters to word initials
+// (including camel-case parts, as in DevOps), skipping connecting words and at most one
+// unmatched word such as a brand name
+function acronymExpansion(words, acronym) {
+  const letters = acronym.toLowerCase().replace(/[^a-z0-9]/g, "").split("");
+  let unmatched = 0;
+  let index = words.length - 1;
+  while (letters.length > 0 && index >= 0) {
+    const word = words[index].replace(/[^A-Za-z0-9&-]/g, "");
+    let consumed = 0;
+    for (const part of word.split(/-|(?<=[a-z])(?=[A-Z])/).reverse()) {
+      if (part && part[0].toLowerCase() === letters[letters.length - 1]) {
+        letters.pop();
+        consumed++;
+      }
+    }
+    if (consumed === 0 && !ACRONYM_STOP_WORDS.has(word.toLowerCase()) && ++unmatched > 1) return null;
+    index--;
+  }
+  return letters.length === 0 ? words.slice(index + 1).join(" ") : null;
+}
 
-  if (!fs.existsSync(document_path)) {
-    return { content: [{ type: "text", text: JSON.stringify({ error: "File not found", path: document_path }) }] };
+// Section body as lines, with list items prefixed by "- " so list structure survives
+function glossaryLines(sectionHtml) {
+  const lines = [];
+  const visit = (nodes) => {
+    for (const node of nodes) {
+      if (node.tag === "ul" || node.tag === "ol") {
+        for (const item of node.children.filter(child => child.tag === "li")) {
+          const own = item.children.filter(child => child.tag !== "ul" && child.tag !== "ol");
+          const text = normalizeWhitespace(own.map(child => nodeText(child)).join(" "));
+          if (text) lines.push(`- ${text}`);
+          visit(item.children.filter(child => child.tag === "ul" || child.tag === "ol"));
+        }
+      } else if (node.text !== undefined || node.tag) {
+        lines.push(...blockText(node).split("\n").filter(Boolean));
+      }
+    }
+  };
+  visit(parseHtmlFragment(sectionHtml || "").children);
+  return lines;
+}
+
+function dataverseNameKey(entry) {
+  return [entry.kind, entry.table, entry.logical_name].join("|");
+}
+
+function createGlossaryCollection() {
+  const entries = new Map();
+  return {
+    add(key, create, occurrence) {
+      if (!entries.has(key)) entries.set(key, { ...create(), occurrences: [] });
+      const entry = entries.get(key);
+      const seen = entry.occurrences.some(existing =>
+        existing.document_path === occurrence.document_path && existing.section_id === occurrence.section_id && existing.text === occurrence.text);
+      if (!seen) entry.occurrences.push(occurrence);
+      return entry;
+    },
+    get: (key) => entries.get(key),
+    has: (key) => entries.has(key),
+    values: () => [...entries.values()]
+  };
+}
+
+function extractGlossaryEntries(documents) {
+  const dataverseNames = createGlossaryCollection();
+  const optionSets = createGlossaryCollection();
+  const kpis = createGlossaryCollection();
+  const acronyms = createGlossaryCollection();
+  const roles = createGlossaryCollection();
+  const aliases = new Set();
+  const proseLines = [];
+
+  for (const { document_path, sections } of documents) {
+    for (const section of flattenSections(sections)) {
+      const lines = glossaryLines(section.html).map(line => line.trim()).filter(Boolean);
+      const where = (text) => ({ document_path, section_id: section.id, section_title: section.title, text: text.slice(0, 200) });
+      const inKpiSection = section.heading_path.some(title => KPI_HEADING_PATTERN.test(title));
+      const inRoleSection = section.heading_path.some(title => ROLE_HEADING_PATTERN.test(title));
+      const entityStack = [];
+      let currentKpi = null;
+      let kpiListActive = false;
+
+      for (const line of lines) {
+        // FetchXML: entity, link-entity, attribute and condition elements
+        if (/^<\/?(fetch|entity|link-entity|attribute|filter|condition|order)\b/i.test(line)) {
+          const tag = line.match(/^<\/?([\w-]+)/)[1].toLowerCase();
+          const attrs = {};
+          for (const [, attrName, , attrValue] of line.matchAll(FETCH_NAME_PATTERN)) attrs[attrName.toLowerCase()] = attrValue;
+          if (attrs.alias) aliases.add(attrs.alias);
+
+          if (line.startsWith("</")) {
+            if (tag === "entity" || tag === "link-entity") entityStack.pop();
+          } else if ((tag === "entity" || tag === "link-entity") && attrs.name) {
+            const entry = { logical_name: attrs.name, kind: "table", table: null };
+            dataverseNames.add(dataverseNameKey(entry), () => entry, where(line));
+            if (!line.endsWith("/>")) entityStack.push(attrs.name);
+          } else if (tag === "attribute" || tag === "condition" || tag === "order") {
+            const column = tag === "attribute" ? attrs.name : line.match(/\battribute\s*=\s*["']([^"']+)["']/i)?.[1];
+            const table = entityStack[entityStack.length - 1] || null;
+            if (column) {
+              const entry = { logical_name: column, kind: "column", table };
+              dataverseNames.add(dataverseNameKey(entry), () => entry, where(line));
+            }
+            if (tag === "condition" && column && /code$/i.test(column) && attrs.value !== undefined && !attrs.value.startsWith("@")) {
+              const label = line.match(/<!--\s*(.*?)\s*-->/)?.[1] || null;
+              const numeric = /^-?\d+$/.test(attrs.value);
+              const optionSet = optionSets.add(`${table}|${column}`, () => ({ table, column, values: [] }), where(line));
+              const value = numeric ? Number(attrs.value) : null;
+              const valueLabel = numeric ? label : attrs.value;
+              if (!optionSet.values.some(existing => existing.value === value && existing.label === valueLabel)) {
+                optionSet.values.push({ value, label: valueLabel });
+              }
+            }
+          }
+          continue;
+        }
+        if (line.startsWith("<")) continue;
+        proseLines.push({ line, where: where(line) });
+
+        // KPIs: named items under KPI/metric headings or after an "... metrics:" line
+        const isListItem = LIST_MARKER_PATTERN.test(line);
+        const item = line.replace(LIST_MARKER_PATTERN, "").trim();
+        if (KPI_INTRO_PATTERN.test(line)) {
+          kpiListActive = true;
+        } else if (inKpiSection || (kpiListActive && isListItem)) {
+          const definition = item.match(/^([A-Z][^:=]{2,80}?)\s*[:=]\s*(.+)$/);
+          const part = definition && /^(numerator|denominator|formula|calculation|definition)$/i.test(definition[1].trim())
+            ? definition[1].trim().toLowerCase()
+            : null;
+
+          if (currentKpi && isListItem && KPI_AGGREGATE_PATTERN.test(item)) {
+            const kpi = kpis.add(currentKpi, () => null, where(line));
+            kpi.formula = kpi.formula || item.replace(/\.$/, "");
+          } else if (part && currentKpi) {
+            const kpi = kpis.get(currentKpi);
+            if (part === "definition") kpi.definition = kpi.definition || definition[2];
+            else kpi[part === "calculation" ? "formula" : part] = definition[2].replace(/\.$/, "");
+            if (kpi.numerator && kpi.denominator) kpi.formula = kpi.formula || `(${kpi.numerator}) / (${kpi.denominator})`;
+          } else if (definition && !part && definition[1].split(/\s+/).length <= 10) {
+            const name = definition[1].trim();
+            currentKpi = name.toLowerCase();
+            const kpi = kpis.add(currentKpi, () => ({ name, definition: null, formula: null, numerator: null, denominator: null }), where(line));
+            kpi.definition = kpi.definition || definition[2];
+            if (line.includes("=") || /^(count|sum|average|avg|min|max)\s+of\b/i.test(definition[2])) {
+              kpi.formula = kpi.formula || definition[2].replace(/\.$/, "");
+            }
+          } else if (/^\d+[.)]\s/.test(line) || (!isListItem && !line.endsWith(":") && item.split(/\s+/).length <= 10 && /^[A-Z]/.test(item) && !/[.!?]$/.test(item))) {
+            currentKpi = item.toLowerCase();
+            kpis.add(currentKpi, () => ({ name: item, definition: null, formula: null, numerator: null, denominator: null }), where(line));
+          }
+        } else {
+          kpiListActive = false;
+        }
+
+        for (const match of line.matchAll(ACRONYM_PATTERN)) {
+          const acronym = match[1];
+          if (!/[A-Z].*[A-Z]/.test(acronym) || line === line.toUpperCase()) continue;
+          const entry = acronyms.add(acronym, () => ({ acronym, expansion: null }), where(line));
+          const before = line.slice(0, match.index);
+          const after = line.slice(match.index + match[0].length);
+          if (!entry.expansion && before.endsWith("(") && after.startsWith(")")) {
+            entry.expansion = acronymExpansion(before.slice(0, -1).trim().split(/\s+/), acronym);
+          } else if (!entry.expansion) {
+            const trailing = after.match(/^\s*\(([^)]+)\)/);
+            if (trailing) entry.expansion = acronymExpansion(trailing[1].trim().split(/\s+/), acronym);
+          }
+        }
+
+        const addRole = (role) => {
+          const key = singularRoleKey(role.trim());
+          if (key) roles.add(key, () => ({ role: key.charAt(0).toUpperCase() + key.slice(1) }), where(line));
+        };
+        for (const match of line.matchAll(USER_STORY_ROLE_PATTERN)) addRole(match[1]);
+        for (const match of line.matchAll(ROLE_PATTERN)) {
+          if (match[3] || match[4]) addRole(`${match[1]}${match[2]}`);
+        }
+        if (inRoleSection && isListItem) {
+          const name = item.split(/[:–-]\s/)[0].trim();
+          if (name.split(/\s+/).length <= 4) addRole(name);
+        }
+      }
+    }
+  }
+
+  // Publisher-prefixed names (e.g. contoso_budgetamount), skipping FetchXML aliases
+  for (const { line, where } of proseLines) {
+    for (const match of line.matchAll(PREFIXED_NAME_PATTERN)) {
+      if (aliases.has(match[0])) continue;
+      const entry = dataverseNames.values().find(existing => existing.logical_name === match[0])
+        || { logical_name: match[0], kind: "custom_name", table: null, prefix: match[1] };
+      dataverseNames.add(dataverseNameKey(entry), () => entry, where);
+    }
+    // Prose mentions of columns already seen in FetchXML
+    for (const entry of dataverseNames.values()) {
+      if (entry.kind === "column" && new RegExp(`\\b${entry.logical_name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`).test(line)) {
+        dataverseNames.add(dataverseNameKey(entry), () => entry, where);
+      }
+    }
+  }
+
+  const prefixCounts = new Map();
+  for (const entry of dataverseNames.values()) {
+    if (entry.kind === "custom_name") prefixCounts.set(entry.prefix, (prefixCounts.get(entry.prefix) || 0) + 1);
+  }
+  const byName = (key) => (a, b) => a[key].localeCompare(b[key]);
+
+  return {
+    dataverse_names: dataverseNames.values()
+      .map(entry => entry.kind === "custom_name" ? { ...entry, prefix_shared_by: prefixCounts.get(entry.prefix) } : entry)
+      .sort((a, b) => a.kind.localeCompare(b.kind) || a.logical_name.localeCompare(b.logical_name)),
+    option_sets: optionSets.values(),
+    kpis: kpis.values(),
+    acronyms: acronyms.values().sort(byName("acronym")),
+    roles: roles.values().sort(byName("role"))
+  };
+}
+
+async function extractGlossary(args) {
+  const { document_path, document_paths, image_output_dir, force = false } = args;
+  const paths = document_paths || (document_path ? [document_path] : []);
+
+  if (paths.length === 0) {
+    return { content: [{ type: "text", text: JSON.stringify({ error: "document_path or document_paths is required" }) }] };
+  }
+
+  const missing = paths.filter(documentPath => !fs.existsSync(documentPath));
+  if (missing.length > 0) {
+    return { content: [{ type: "text", text: JSON.stringify({ error: "File not found", paths: missing }) }] };
   }
 
   try {
-    const stats = await stat(document_path);
-    const documentDir = path.dirname(document_path);
-    const documentName = path.basename(document_path, path.extname(document_path));
-
-    // Configure mammoth to extract images
-    const options = {
-      convertImage: mammoth.images.imgElement(function (image) {
-        const imageName = `${documentName}_image_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.${image.contentType.split('/')[1]}`;
-        const imagePath = path.join(documentDir, imageName);
-
-        return image.read().then(function (imageBuffer) {
-          fs.writeFileSync(imagePath, imageBuffer);
-          return {
-            src: imagePath,
-            alt: `Extracted image: ${imageName}`
-          };
-        });
-      })
-    };
+    const documents = [];
+    for (const documentPath of paths) {
+      const parsed = await parseDocumentCached(documentPath, { image_output_dir, output_format: "html", force });
+      documents.push({ document_path: documentPath, sections: parsed.sections });
+    }
+    const glossary = extractGlossaryEntries(documents);
 
-    // Extract HTML content with images
-    const result = await mammoth.convertToHtml({ path: document_path }, options);
-    const rawText = result.value.replace(/<[^>]*>/g, "");
-
-    // Identify extracted images
-    const extractedImages = [];
-    const imageMatches = result.value.match(/<img[^>]*src="([^"]*)"[^>]*>/g);
-
-    if (imageMatches) {
-      imageMatches.forEach((imgTag, index) => {
-        const srcMatch = imgTag.match(/src="([^"]*)"/);
-        if (srcMatch) {
-          const imagePath = srcMatch[1];
-          if (fs.existsSync(imagePath)) {
-            extractedImages.push({
-              index: index + 1,
-              path: imagePath,
-              filename: path.basename(imagePath),
-              size_bytes: fs.statSync(imagePath).size,
-              alt_text: imgTag.match(/alt="([^"]*)"/)?.[1] || `Image ${index + 1}`
-            });
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          documents: paths,
+          ...glossary,
+          summary: {
+            tables: glossary.dataverse_names.filter(entry => entry.kind === "table").length,
+            columns: glossary.dataverse_names.filter(entry => entry.kind === "column").length,
+            custom_names: glossary.dataverse_names.filter(entry => entry.kind === "custom_name").length,
+            option_sets: glossary.option_sets.length,
+            kpis: glossary.kpis.length,
+            acronyms: glossary.acronyms.length,
+            roles: glossary.roles.length
           }
+        })
+      }]
+    };
+
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Failed to extract glossary",
+          details: error.message,
+          documents: paths
+        })
+      }]
+    };
+  }
+}
+
+const LINT_SEVERITIES = ["info", "warning", "error"];
+const PLACEHOLDER_PATTERN = /\b(TBD|TBC|TBA|TODO|FIXME|XXX|lorem ipsum|to be (decided|determined|confirmed|defined|added))\b|\?\?\?|\[(insert|add|placeholder)[^\]]*\]|<(placeholder|insert)[^>]*>/i;
+const VAGUE_CRITERION_PATTERN = /\b(user[- ]friendly|intuitive|easy|easily|simple|fast|quick(ly)?|responsive|seamless(ly)?|appropriate(ly)?|properly|correctly|as expected|works? (well|fine)|efficient(ly)?|robust|flexible|good|nice|clean|modern|etc\.?|and so on|reasonable|adequate|optimal)\b/i;
+const MEASURABLE_PATTERN = /\d|\b(given|when|then)\b/i;
+
+// Rule checks receive the parse result, its flattened sections and the rule's options
+const LINT_RULES = [
+  {
+    id: "empty-section",
+    severity: "warning",
+    description: "Heading with no content and no sub-sections with content; images and tables count as content",
+    options: { min_chars: 1 },
+    check({ sections }, { min_chars }) {
+      const hasContent = (section) => (section.text || "").trim().length >= min_chars
+        || /<(img|table)\b/i.test(section.html || "")
+        || section.children.some(hasContent);
+      return sections
+        .filter(section => section.level > 0 && !hasContent(section))
+        .map(section => ({ section, message: `Section "${section.title}" has no content` }));
+    }
+  },
+  {
+    id: "duplicate-heading",
+    severity: "off",
+    description: "Two headings with the same title, which makes section anchors ambiguous (opt-in: repeated sub-headings such as \"Acceptance criteria\" are common)",
+    options: { same_parent_only: false },
+    check({ sections }, { same_parent_only }) {
+      const firstByTitle = new Map();
+      const findings = [];
+      for (const section of sections.filter(section => section.level > 0)) {
+        const key = `${same_parent_only ? section.parent_id : ""}|${normalizeWhitespace(section.title).toLowerCase()}`;
+        const first = firstByTitle.get(key);
+        if (first) findings.push({ section, message: `Heading "${section.title}" duplicates the heading of section ${first.id}` });
+        else firstByTitle.set(key, section);
+      }
+      return findings;
+    }
+  },
+  {
+    id: "placeholder",
+    severity: "warning",
+    description: "TBD/TODO markers and template placeholders left in the text",
+    options: { extra_patterns: [] },
+    check({ sections }, { extra_patterns }) {
+      const patterns = [PLACEHOLDER_PATTERN, ...extra_patterns.map(pattern => new RegExp(pattern, "i"))];
+      const findings = [];
+      for (const section of sections) {
+        for (const line of [section.title, ...(section.text || "").split("\n")].filter(Boolean)) {
+          const match = patterns.map(pattern => line.match(pattern)).find(Boolean);
+          if (match) findings.push({ section, message: `Placeholder "${match[0]}" left in the text`, text: line.slice(0, 200) });
         }
+      }
+      return findings;
+    }
+  },
+  {
+    id: "untestable-acceptance-criterion",
+    severity: "error",
+    description: "Acceptance criterion using vague terms without a measurable value or Given/When/Then outcome",
+    options: { extra_vague_terms: [] },
+    check({ parsed, sectionsById }, { extra_vague_terms }) {
+      const extraPattern = extra_vague_terms.length > 0 ? new RegExp(`\\b(${extra_vague_terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")})\\b`, "i") : null;
+      return parsed.classified_content
+        .filter(item => item.category === "acceptance_criterion")
+        .flatMap(item => {
+          const match = item.text.match(VAGUE_CRITERION_PATTERN) || (extraPattern && item.text.match(extraPattern));
+          if (!match || MEASURABLE_PATTERN.test(item.text)) return [];
+          return [{ section: sectionsById.get(item.section_id), message: `Acceptance criterion is not testable: "${match[0]}" has no measurable target`, text: item.text.slice(0, 200) }];
+        });
+    }
+  },
+  {
+    id: "missing-acceptance-criteria",
+    severity: "info",
+    description: "Document states requirements but no acceptance criteria",
+    options: {},
+    check({ parsed }) {
+      const categories = new Set(parsed.classified_content.map(item => item.category));
+      const hasRequirements = categories.has("functional_requirement") || categories.has("non_functional_requirement");
+      return hasRequirements && !categories.has("acceptance_criterion")
+        ? [{ section: null, message: "Requirements are stated but no acceptance criteria were found" }]
+        : [];
+    }
+  },
+  {
+    id: "heading-level-skip",
+    severity: "warning",
+    description: "Heading nested more than one level below its parent (e.g. Heading 1 followed by Heading 3)",
+    options: {},
+    check({ sections, sectionsById }) {
+      return sections
+        .filter(section => section.level > 1)
+        .flatMap(section => {
+          const parentLevel = section.parent_id ? sectionsById.get(section.parent_id).level : 0;
+          return section.level - parentLevel > 1
+            ? [{ section, message: `Heading level jumps from ${parentLevel || "document start"} to ${section.level}` }]
+            : [];
+        });
+    }
+  },
+  {
+    id: "unresolved-comment",
+    severity: "info",
+    description: "Open reviewer comment in the document",
+    options: {},
+    check({ parsed, sectionsById }) {
+      return parsed.review_comments
+        .filter(comment => !comment.resolved && !comment.reply_to)
+        .map(comment => ({
+          section: sectionsById.get(comment.section_id) || null,
+          message: `Unresolved comment by ${comment.author || "unknown author"}: ${comment.text.slice(0, 120)}`,
+          text: comment.anchored_text ? comment.anchored_text.slice(0, 200) : null
+        }));
+    }
+  }
+];
+
+// Rule settings follow ESLint: "off" or a severity, or { severity, ...options }
+function resolveLintRules(overrides = {}) {
+  const unknown = Object.keys(overrides).filter(id => !LINT_RULES.some(rule => rule.id === id));
+  if (unknown.length > 0) throw new Error(`Unknown lint rules: ${unknown.join(", ")}`);
+
+  return LINT_RULES.map(rule => {
+    const override = overrides[rule.id];
+    const { severity = rule.severity, ...options } = typeof override === "string" ? { severity: override } : override || {};
+    if (severity !== "off" && !LINT_SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity "${severity}" for rule ${rule.id}; use off, ${LINT_SEVERITIES.join(", ")}`);
+    }
+    return { rule, severity, options: { ...rule.options, ...options } };
+  });
+}
+
+function lintParseResult(parsed, overrides) {
+  const sections = flattenSections(parsed.sections);
+  const sectionsById = new Map(sections.map(section => [section.id, section]));
+  const findings = [];
+
+  for (const { rule, severity, options } of resolveLintRules(overrides)) {
+    if (severity === "off") continue;
+    for (const finding of rule.check({ parsed, sections, sectionsById }, options)) {
+      findings.push({
+        rule: rule.id,
+        severity,
+        message: finding.message,
+        section_id: finding.section?.id || null,
+        section_title: finding.section?.title || null,
+        heading_path: finding.section?.heading_path || [],
+        ...(finding.text ? { text: finding.text } : {})
       });
     }
+  }
+
+  return findings.sort((a, b) => LINT_SEVERITIES.indexOf(b.severity) - LINT_SEVERITIES.indexOf(a.severity));
+}
+
+async function lintDocument(args) {
+  const { document_path, rules, config_path, fail_on = "error", image_output_dir, force = false } = args;
+
+  if (!fs.existsSync(document_path)) {
+    return { content: [{ type: "text", text: JSON.stringify({ error: "File not found", path: document_path }) }] };
+  }
+
+  if (!LINT_SEVERITIES.includes(fail_on)) {
+    return { content: [{ type: "text", text: JSON.stringify({ error: "Unsupported fail_on", supported: LINT_SEVERITIES, provided: fail_on }) }] };
+  }
+
+  try {
+    const configRules = config_path ? JSON.parse(fs.readFileSync(config_path, "utf-8")).rules || {} : {};
+    const overrides = { ...configRules, ...rules };
+    const parsed = await parseDocumentCached(document_path, { image_output_dir, force });
+    const findings = lintParseResult(parsed, overrides);
+    const countBySeverity = (severity) => findings.filter(finding => finding.severity === severity).length;
+    const byRule = {};
+    findings.forEach(finding => { byRule[finding.rule] = (byRule[finding.rule] || 0) + 1; });
 
     return {
       content: [{
         type: "text",
         text: JSON.stringify({
           document_path,
-          html_content: result.value,
-          raw_text: rawText,
-          extracted_images: extractedImages,
-          processing_messages: result.messages,
-          metadata: {
-            parsed_at: new Date().toISOString(),
-            file_size_bytes: stats.size,
-            images_extracted: extractedImages.length,
-            document_directory: documentDir
-          }
+          passed: !findings.some(finding => LINT_SEVERITIES.indexOf(finding.severity) >= LINT_SEVERITIES.indexOf(fail_on)),
+          fail_on,
+          findings,
+          summary: {
+            errors: countBySeverity("error"),
+            warnings: countBySeverity("warning"),
+            info: countBySeverity("info"),
+            by_rule: byRule
+          },
+          rules: Object.fromEntries(resolveLintRules(overrides).map(({ rule, severity, options }) => [rule.id, { severity, ...options }])),
+          linted_at: new Date().toISOString()
         })
       }]
     };
@@ -84,7 +2783,104 @@ async function parseDocument(args) {
       content: [{
         type: "text",
         text: JSON.stringify({
-          error: "Failed to parse document",
+          error: "Failed to lint document",
+          details: error.message,
+          document_path
+        })
+      }]
+    };
+  }
+}
+
+function resolveAnchorInResult(parsed, anchor) {
+  const sections = flattenSections(parsed.sections);
+  const sectionOf = (sectionId) => sections.find(section => section.id === sectionId);
+  const describeSection = (section) => ({ id: section.id, level: section.level, title: section.title, heading_path: section.heading_path });
+  const blockIndex = parsed.blocks.findIndex(block => block.id === anchor);
+
+  if (blockIndex !== -1) {
+    const block = parsed.blocks[blockIndex];
+    const neighbour = (offset) => {
+      const other = parsed.blocks[blockIndex + offset];
+      return other && other.section_id === block.section_id ? { id: other.id, text: other.text } : null;
+    };
+    return {
+      anchor,
+      status: "exact",
+      kind: "block",
+      block,
+      section: describeSection(sectionOf(block.section_id)),
+      previous_block: neighbour(-1),
+      next_block: neighbour(1)
+    };
+  }
+
+  const section = sectionOf(anchor);
+  if (section) {
+    return {
+      anchor,
+      status: "exact",
+      kind: "section",
+      section: describeSection(section),
+      text: section.text ?? null,
+      blocks: parsed.blocks.filter(block => block.section_id === section.id).map(({ id, type, text }) => ({ id, type, text }))
+    };
+  }
+
+  // The block changed since the anchor was recorded; offer the current blocks of the
+  // sections it can belong to (several when headings share a title)
+  const slug = anchor.includes(".") ? anchor.slice(0, anchor.lastIndexOf(".")) : null;
+  const formerSections = slug ? sections.filter(candidate => sectionSlug(candidate) === slug) : [];
+  if (formerSections.length > 0) {
+    const formerIds = new Set(formerSections.map(candidate => candidate.id));
+    return {
+      anchor,
+      status: "changed",
+      kind: "block",
+      message: "The block no longer matches its recorded content; its section still exists",
+      section: describeSection(formerSections[0]),
+      candidates: parsed.blocks.filter(block => formerIds.has(block.section_id)).map(({ id, type, section_id, text }) => ({ id, type, section_id, text }))
+    };
+  }
+
+  return { anchor, status: "not_found", message: "No block or section with this anchor in the current document" };
+}
+
+async function resolveAnchor(args) {
+  const { document_path, anchor, anchors, image_output_dir } = args;
+  const requested = anchors || (anchor ? [anchor] : []);
+
+  if (requested.length === 0) {
+    return { content: [{ type: "text", text: JSON.stringify({ error: "anchor or anchors is required" }) }] };
+  }
+
+  if (!fs.existsSync(document_path)) {
+    return { content: [{ type: "text", text: JSON.stringify({ error: "File not found", path: document_path }) }] };
+  }
+
+  try {
+    const parsed = await parseDocumentCached(document_path, { image_output_dir, output_format: "text" });
+    const results = requested.map(item => resolveAnchorInResult(parsed, item));
+
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          document_path,
+          source_format: parsed.source_format,
+          document_revision: parsed.document_properties?.revision || null,
+          content_sha256: parsed.metadata.content_sha256 || null,
+          ...(anchors ? { results } : results[0])
+        })
+      }]
+    };
+
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          error: "Failed to resolve anchor",
           details: error.message,
           document_path
         })
@@ -98,29 +2894,114 @@ async function getInstructions(args) {
 
   const instructions = {
     parsing: {
-      overview: "Extract HTML content and images from Word documents for downstream processing",
+      overview: "Extract HTML content and images from Word, Markdown, HTML and PDF specs for downstream processing",
       capabilities: [
         "Convert DOCX to clean HTML using mammoth.js",
+        "Accept Markdown, HTML (e.g. wiki exports) and text-based PDF specs with the same output shape",
+        "Render Markdown or structured plain text for LLM-friendly consumption",
         "Extract embedded images to separate files",
         "Preserve document structure and formatting",
+        "Build a heading-based section tree with stable anchor ids",
+        "Extract Word tables to JSON rows with header detection and merged-cell expansion",
+        "Detect Figma file URLs and node-id references in links and text",
+        "Classify paragraphs and bullets as requirements, acceptance criteria, assumptions, open questions or out-of-scope items",
+        "Read reviewer comments, tracked changes and core document properties from the docx package",
+        "Batch parse a folder and classify each document as a PM spec or dev spec",
+        "Build a glossary of Dataverse names, option sets, KPIs, acronyms and roles",
+        "Lint specs for empty sections, duplicate headings, placeholders and untestable acceptance criteria",
+        "Give every block a stable id and resolve ids back to the source text for traceability",
         "Generate metadata about extracted content"
       ],
       output_format: {
-        html_content: "Clean HTML representation of document content",
-        raw_text: "Plain text with HTML tags removed",
-        extracted_images: "Array of image files with metadata",
-        processing_messages: "Mammoth conversion messages and warnings",
-        metadata: "File statistics and processing information"
+        source_format: "Detected input format: docx, markdown, html or pdf (by extension, falling back to content sniffing)",
+        output_format: "Requested representation: html (default), markdown, text or all",
+        html_content: "Clean HTML representation of document content (html, all)",
+        markdown_content: "Markdown with headings, nested lists, GFM tables, bold/italic and image links to the extracted files (markdown, all)",
+        raw_text: "Plain text keeping heading lines, list markers and table rows (html, text, all)",
+        sections: "Heading tree (h1-h6): { id, level, title, html | markdown | text, children }; body fields follow output_format. Content before the first heading is returned as a level 0 'preamble' section",
+        blocks: "Every heading, paragraph, list item, table and image in document order: { id, type, section_id, heading_path, index, section_position, text }. id is '<section slug>.<hash of heading path and text>' (the section slug has no -2 suffix for repeated titles) and stays stable until the block's text or position in the heading tree changes",
+        tables: "Array of { id, caption, section_id, header, header_source, rows, column_types, records, merged_cells }. Caption is the nearest preceding heading; merged cells are repeated into every grid position they span (merged_cells row indexes include header rows)",
+        figma_references: "Array of { file_key, node_id, url, link_text, source, file_key_inferred, section_id, section_title }. source is 'link', 'text' or 'node_id_text'; bare node ids borrow the file key of the nearest preceding Figma URL",
+        classified_content: "Array of { text, category, confidence, signals, source_type, section_id, section_title, block_id }. category is functional_requirement, non_functional_requirement, acceptance_criterion, assumption, open_question or out_of_scope",
+        review_comments: "Array of { id, author, initials, date, text, anchored_text, section_id, section_title, resolved, reply_to }. Unresolved comments are candidates for clarification tasks. Empty for non-docx inputs",
+        tracked_changes: "Array of { id, type (insertion | deletion | move_from | move_to | formatting), author, date, text, section_id, section_title }",
+        document_properties: "Core properties: title, subject, author, description, keywords, category, last_modified_by, revision, created, modified. PDF inputs report the PDF info dictionary plus page_count; HTML inputs report the <title>",
+        extracted_images: "Array of { path, filename, sha256, content_type, occurrences, alt_text, inferred_alt_text, context: { section_id, section_title, caption, preceding_text, following_text }, image_kind, image_kind_basis, ocr? }",
+        processing_messages: "Conversion messages and warnings (mammoth for docx; missing images, scanned PDFs)",
+        metadata: "File statistics and processing information, including content_sha256 and cache_status (hit, miss, bypassed or disabled)"
       },
+      chunking: [
+        "Pass max_chunk_chars or max_chunk_tokens to parse_document for large specs; the response then carries an outline and a chunk list instead of the full content",
+        "Chunks follow section boundaries: small sections are packed together, a section larger than the budget continues over several chunks (continued: true)",
+        "Each chunk has a heading_path, its section_ids, content in the requested format and the tables, Figma references, classified statements, comments and tracked changes of the sections it starts",
+        "Page through chunks with get_document_chunk using the same document_path, output_format, ocr_images and budget; next_chunk_id is null on the last chunk"
+      ],
+      glossary: [
+        "extract_glossary reads FetchXML in the spec: entity/link-entity names become tables, attribute and condition columns are tied to their table, and *code conditions become option set values (labels from value text or trailing <!-- comments -->)",
+        "Publisher-prefixed names in prose (prefix_name) are listed as custom_name candidates; prefix_shared_by counts names with the same prefix. FetchXML aliases are ignored",
+        "KPIs come from KPI/metric headings and lists introduced by '... metrics:'; Name: definition, Name = formula and Numerator/Denominator lines are combined per KPI",
+        "Acronyms are upper-case tokens; expansions come from 'Full Name (ACR)' or 'ACR (Full Name)'",
+        "Roles come from 'As a <role>, I want', role nouns followed by a verb (e.g. 'Sales leadership can') and list items under Roles/Personas headings",
+        "Every entry carries occurrences with document_path, section_id, section_title and the source line; use the logical names when generating plugins and PCF controls"
+      ],
+      linting: [
+        "lint_document runs configurable rules over the parse result and returns findings with rule, severity, message, section_id, section_title and heading_path",
+        ...LINT_RULES.map(rule => `${rule.id} (default ${rule.severity}${Object.keys(rule.options).length > 0 ? `; options: ${Object.keys(rule.options).join(", ")}` : ""}): ${rule.description}`),
+        "Configure rules ESLint-style: { \"placeholder\": \"error\", \"empty-section\": { \"severity\": \"warning\", \"min_chars\": 40 }, \"unresolved-comment\": \"off\" }",
+        "passed is false when any finding is at or above fail_on (default error); fix those before generating work items"
+      ],
+      traceability: [
+        "Record block ids from blocks (or section ids) as source_anchors on work items and generated artefacts",
+        "resolve_anchor returns the block's current text, section, heading path and neighbouring blocks",
+        "status 'changed' means the block was edited after the anchor was taken; candidates lists the section's current blocks. 'not_found' means the section is gone too"
+      ],
+      caching: [
+        "Parse results are cached on disk (WORD_PARSER_CACHE_DIR, default: word-parser-mcp-cache in the OS temp folder)",
+        "An entry is reused only while the file content hash, parser version, image_output_dir and output_format all match, so edited documents are re-parsed automatically",
+        "A cached result is also discarded when any of its extracted images is missing",
+        "Pass force: true to re-parse and refresh the entry; set WORD_PARSER_CACHE=off to disable caching"
+      ],
+      classification: [
+        "Each paragraph line and bullet is scored by keyword and modal-verb rules (must/shall/should, TBD, 'out of scope', 'assume', given/when/then, quality attributes)",
+        "Headings such as 'Acceptance Criteria', 'Assumptions' or 'Non-functional Requirements' add weight to every statement beneath them",
+        "Statements scoring below the threshold are left out and counted in metadata.classification_summary.unclassified",
+        "signals lists the rule ids and headings that produced the category, so results can be audited"
+      ],
+      revision_diffing: [
+        "Save a baseline with parse_document snapshot_path (or diff_documents save_snapshot_path)",
+        "diff_documents matches sections by anchor id and reports added, removed, modified (line diff + similarity), renamed and moved sections",
+        "Tables are matched by section and position; row and header changes are listed",
+        "Images are compared by content hash; Figma references by file key and node id",
+        "affected_sections lists the section ids whose work items should be regenerated"
+      ],
+      source_formats: [
+        "docx: full fidelity, including review comments, tracked changes and core properties",
+        "markdown: rendered with GFM tables; front matter is skipped; data-URI images and local image files inside the document folder are copied to image_output_dir",
+        "html: body content only; scripts, styles and navigation are dropped and layout wrappers flattened so headings become sections",
+        "pdf: text-based PDFs only; headings are inferred from font size, bullet and numbered lines become lists, images are not extracted"
+      ],
+      directory_parsing: [
+        "parse_directory walks a folder (optionally recursively) and parses files matching the glob pattern (default *.{docx,md,markdown,html,htm,pdf})",
+        "Each document is classified as pm_spec, dev_spec or unknown from filename and heading patterns",
+        "Failed documents are listed under errors without stopping the batch",
+        "summary lists PM and dev specs and totals sections, tables, Figma nodes and images"
+      ],
       downstream_usage: [
         "ContentIntelligenceManager: Analyzes HTML and images to extract requirements",
+        "ContentIntelligenceManager: Maps section headings (e.g. 'Feature' headings) to features via the sections tree",
+        "ContentIntelligenceManager: Creates one task per Figma node listed in figma_references",
         "GitHub Copilot Agent: Uses parsed content for intelligent analysis"
       ],
       image_handling: [
-        "Images are extracted to the same directory as source document",
-        "Unique filenames generated to prevent conflicts",
-        "Image metadata includes path, size, and alt text",
-        "Supports common image formats (PNG, JPG, GIF, etc.)"
+        "Images are extracted to image_output_dir (default: extracted_images next to the source document)",
+        "Markdown/HTML images with remote (http/https) URLs are left as links and not downloaded",
+        "Filenames are derived from the image content hash, so re-parsing is idempotent",
+        "Each document writes <name>.<path hash>.images.json listing its images; clean_extracted_images removes files no manifest lists",
+        "Image metadata includes path, size, sha256, content type and alt text",
+        "Supports common image formats (PNG, JPG, GIF, etc.)",
+        "Each image records its caption and neighbouring paragraphs as context; image_kind guesses ui_mockup, architecture_diagram, flow_diagram, data_model, chart, table, logo or text_image from that context (or OCR text)",
+        "Alt text written in Word is kept; inferred_alt_text falls back to the caption, OCR text or section title",
+        "ocr_images: true runs offline OCR (tesseract.js with the bundled English model) over PNG, JPEG, GIF, BMP, TIFF and WebP images; ocr holds text and confidence (0-1). EMF/WMF/SVG are skipped"
       ]
     }
   };
@@ -147,7 +3028,7 @@ async function getInstructions(args) {
         instructions: instructionSet,
         context: {
           server: "WordParser MCP Server",
-          version: "0.3.0",
+          version: SERVER_VERSION,
           purpose: "Simple Word document HTML extraction with image handling",
           downstream_servers: ["ContentIntelligenceManager", "ADOWorkItemManager"]
         }
@@ -156,24 +3037,297 @@ async function getInstructions(args) {
   };
 }
 
-const server = new Server({ name: "word-parser-mcp", version: "0.3.0" }, { capabilities: { tools: {} } });
+const server = new Server({ name: "word-parser-mcp", version: SERVER_VERSION }, { capabilities: { tools: {} } });
 
 server.setRequestHandler(ListToolsRequestSchema, async () => ({
   tools: [
     {
       name: "parse_document",
-      description: "Parse Word (.docx) document and extract HTML content with embedded images",
+      description: "Parse a Word (.docx), Markdown, HTML or text-based PDF spec and extract HTML content with embedded images",
+      inputSchema: {
+        type: "object",
+        properties: {
+          document_path: {
+            type: "string",
+            description: "Path to the document to parse (.docx, .md, .markdown, .html, .htm or .pdf)"
+          },
+          image_output_dir: {
+            type: "string",
+            description: "Folder for extracted images and their manifest. Defaults to an extracted_images folder next to the document"
+          },
+          output_format: {
+            type: "string",
+            enum: OUTPUT_FORMATS,
+            description: "html: html_content + raw_text; markdown: markdown_content; text: raw_text; all: every representation",
+            default: "html"
+          },
+          snapshot_path: {
+            type: "string",
+            description: "Optional .json path to save the parse result to, for later comparison with diff_documents"
+          },
+          force: {
+            type: "boolean",
+            description: "Re-parse even when a cached result for the same file content exists",
+            default: false
+          },
+          max_chunk_chars: {
+            type: "number",
+            description: `Split content into section-aligned chunks of at most this many characters (minimum ${MIN_CHUNK_CHARS}). The response then lists chunks instead of the full content; fetch each with get_document_chunk`
+          },
+          max_chunk_tokens: {
+            type: "number",
+            description: `Same as max_chunk_chars, expressed in estimated tokens (${CHARS_PER_TOKEN} characters per token)`
+          },
+          ocr_images: {
+            type: "boolean",
+            description: "Run offline OCR (English) over extracted raster images and return the recognized text per image. Slower; results are cached",
+            default: false
+          }
+        },
+        required: ["document_path"]
+      }
+    },
+    {
+      name: "get_document_chunk",
+      description: "Return one chunk of a parsed document, with its heading path and the tables, Figma references, classified statements and review comments of the sections it starts. Uses the parse cache, so paging does not re-run the parser",
+      inputSchema: {
+        type: "object",
+        properties: {
+          document_path: {
+            type: "string",
+            description: "Path to the document"
+          },
+          chunk_id: {
+            type: ["string", "number"],
+            description: "Chunk id from the parse_document chunk list (e.g. 'chunk-2') or its 1-based number (2 or '2')"
+          },
+          max_chunk_chars: {
+            type: "number",
+            description: `Chunk budget in characters. Use the same budget as the parse_document call (default: ${DEFAULT_MAX_CHUNK_CHARS})`
+          },
+          max_chunk_tokens: {
+            type: "number",
+            description: "Chunk budget in estimated tokens, as an alternative to max_chunk_chars"
+          },
+          output_format: {
+            type: "string",
+            enum: OUTPUT_FORMATS,
+            description: "Format of the chunk content (all returns markdown). Use the same value as the parse_document call",
+            default: "html"
+          },
+          image_output_dir: {
+            type: "string",
+            description: "Folder for extracted images, as passed to parse_document"
+          },
+          ocr_images: {
+            type: "boolean",
+            description: "Include OCR text of extracted images. Use the same value as the parse_document call",
+            default: false
+          }
+        },
+        required: ["document_path", "chunk_id"]
+      }
+    },
+    {
+      name: "parse_directory",
+      description: "Parse every matching document in a folder, classify each as a PM or dev spec, and return per-document results with a combined summary",
+      inputSchema: {
+        type: "object",
+        properties: {
+          directory_path: {
+            type: "string",
+            description: "Folder containing the documents to parse"
+          },
+          pattern: {
+            type: "string",
+            description: "Glob for files to include. Patterns without '/' match file names; '**' spans folders",
+            default: SUPPORTED_DOCUMENT_PATTERN
+          },
+          recursive: {
+            type: "boolean",
+            description: "Walk sub-folders",
+            default: false
+          },
+          include_content: {
+            type: "boolean",
+            description: "Include the full parse result per document. When false only metadata and classification are returned",
+            default: true
+          },
+          image_output_dir: {
+            type: "string",
+            description: "Shared folder for extracted images. Defaults to an extracted_images folder next to each document"
+          },
+          output_format: {
+            type: "string",
+            enum: OUTPUT_FORMATS,
+            description: "html: html_content + raw_text; markdown: markdown_content; text: raw_text; all: every representation",
+            default: "html"
+          },
+          force: {
+            type: "boolean",
+            description: "Re-parse every document instead of using cached results",
+            default: false
+          },
+          ocr_images: {
+            type: "boolean",
+            description: "Run offline OCR over extracted raster images",
+            default: false
+          }
+        },
+        required: ["directory_path"]
+      }
+    },
+    {
+      name: "diff_documents",
+      description: "Compare two revisions of a spec and report section, table, image and Figma reference changes",
+      inputSchema: {
+        type: "object",
+        properties: {
+          base_path: {
+            type: "string",
+            description: "Earlier revision: a document or a .json snapshot saved by parse_document (snapshot_path)"
+          },
+          target_path: {
+            type: "string",
+            description: "Current revision (document or .json snapshot)"
+          },
+          image_output_dir: {
+            type: "string",
+            description: "Folder for images extracted while parsing document inputs"
+          },
+          save_snapshot_path: {
+            type: "string",
+            description: "Optional .json path to store the target parse result as the baseline for the next comparison"
+          }
+        },
+        required: ["base_path", "target_path"]
+      }
+    },
+    {
+      name: "extract_glossary",
+      description: "Collect Dataverse table/column names, option set values, KPI definitions and formulas, acronyms and user roles from one or more specs, with the sections they appear in",
+      inputSchema: {
+        type: "object",
+        properties: {
+          document_path: {
+            type: "string",
+            description: "Document to scan"
+          },
+          document_paths: {
+            type: "array",
+            items: { type: "string" },
+            description: "Several documents (e.g. the PM and dev spec of a feature) merged into one glossary. Overrides document_path"
+          },
+          image_output_dir: {
+            type: "string",
+            description: "Folder for images extracted while parsing"
+          },
+          force: {
+            type: "boolean",
+            description: "Re-parse instead of using cached results",
+            default: false
+          }
+        }
+      }
+    },
+    {
+      name: "lint_document",
+      description: "Check a spec for quality problems (empty or duplicate sections, TBD placeholders, untestable acceptance criteria, heading level skips, unresolved comments) before it is turned into work items",
+      inputSchema: {
+        type: "object",
+        properties: {
+          document_path: {
+            type: "string",
+            description: "Document to lint"
+          },
+          rules: {
+            type: "object",
+            description: `Per-rule settings keyed by rule id (${LINT_RULES.map(rule => rule.id).join(", ")}): "off", a severity, or { severity, ...options }`,
+            additionalProperties: {
+              oneOf: [
+                { type: "string", enum: ["off", ...LINT_SEVERITIES] },
+                { type: "object" }
+              ]
+            }
+          },
+          config_path: {
+            type: "string",
+            description: "Optional JSON file with a { rules } object, e.g. a shared team config. Settings in rules take precedence"
+          },
+          fail_on: {
+            type: "string",
+            enum: LINT_SEVERITIES,
+            description: "Lowest severity that makes passed false",
+            default: "error"
+          },
+          image_output_dir: {
+            type: "string",
+            description: "Folder for images extracted while parsing"
+          },
+          force: {
+            type: "boolean",
+            description: "Re-parse instead of using a cached result",
+            default: false
+          }
+        },
+        required: ["document_path"]
+      }
+    },
+    {
+      name: "resolve_anchor",
+      description: "Look up a block or section anchor (from parse_document blocks or a work item's source_anchors) and return its current text and location in the spec",
       inputSchema: {
         type: "object",
         properties: {
           document_path: {
             type: "string",
-            description: "Path to the Word document to parse"
+            description: "Spec the anchor was taken from"
+          },
+          anchor: {
+            type: "string",
+            description: "Block id (e.g. 'metrics-to-implement.3f2a9c1b') or section id"
+          },
+          anchors: {
+            type: "array",
+            items: { type: "string" },
+            description: "Several anchors at once; the response then has a results array"
+          },
+          image_output_dir: {
+            type: "string",
+            description: "Folder for images extracted while parsing"
           }
         },
         required: ["document_path"]
       }
     },
+    {
+      name: "clean_extracted_images",
+      description: "Remove extracted images that no image manifest in the folder references (folders without a manifest are left alone), optionally plus timestamp-named images left by earlier parser versions",
+      inputSchema: {
+        type: "object",
+        properties: {
+          document_path: {
+            type: "string",
+            description: "Source document. Its image folder is cleaned, and its own folder too with include_legacy"
+          },
+          image_output_dir: {
+            type: "string",
+            description: "Image folder to clean. Required when document_path is not given"
+          },
+          include_legacy: {
+            type: "boolean",
+            description: "Also delete <doc>_image_<timestamp>_<random> files written by earlier versions from the document's folder",
+            default: false
+          },
+          dry_run: {
+            type: "boolean",
+            description: "List what would be removed without deleting",
+            default: false
+          }
+        },
+        required: []
+      }
+    },
     {
       name: "get_instructions",
       description: "Get Word document parsing instructions and capabilities",
@@ -197,6 +3351,20 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   switch (request.params.name) {
     case "parse_document":
       return await parseDocument(request.params.arguments || {});
+    case "get_document_chunk":
+      return await getDocumentChunk(request.params.arguments || {});
+    case "parse_directory":
+      return await parseDirectory(request.params.arguments || {});
+    case "diff_documents":
+      return await diffDocuments(request.params.arguments || {});
+    case "extract_glossary":
+      return await extractGlossary(request.params.arguments || {});
+    case "lint_document":
+      return await lintDocument(request.params.arguments || {});
+    case "resolve_anchor":
+      return await resolveAnchor(request.params.arguments || {});
+    case "clean_extracted_images":
+      return await cleanExtractedImages(request.params.arguments || {});
     case "get_instructions":
       return await getInstructions(request.params.arguments || {});
     default:
@@ -204,6 +3372,20 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   }
 });
 
-const transport = new StdioServerTransport();
-await server.connect(transport);
-console.error("WordParser MCP server running - v0.3.0 (Simple HTML + Image Extraction)");
\ No newline at end of file
+// Serve over stdio when started directly; the tests import the tool functions instead
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+  console.error(`WordParser MCP server running - v${SERVER_VERSION} (Simple HTML + Image Extraction)`);
+}
+
+export {
+  parseDocument,
+  getDocumentChunk,
+  parseDirectory,
+  diffDocuments,
+  extractGlossary,
+  lintDocument,
+  resolveAnchor,
+  cleanExtractedImages
+};
\ No newline at end of file
@@ -0,0 +1,817 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import JSZip from "jszip";
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "word-parser-test-"));
+process.env.WORD_PARSER_CACHE_DIR = path.join(workDir, "cache");
+
+let parser;
+
+before(async () => {
+  parser = await import("./word-parser-mcp.js");
+});
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+const result = response => JSON.parse(response.content[0].text);
+
+function fixture(name, content) {
+  const file = path.join(workDir, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+async function parse(file, extra = {}) {
+  return result(await parser.parseDocument({ document_path: file, output_format: "text", force: true, ...extra }));
+}
+
+const SPEC_MD = `# Login
+
+The system shall let users sign in with email.
+
+See [Login screen](https://www.figma.com/design/AbC123/App?node-id=12-34) for the layout.
+
+| Field | Max length | Required |
+|---|---|---|
+| Email | 120 | yes |
+| Password | 64 | yes |
+
+## Acceptance criteria
+
+- Given a valid account, when the user signs in, then the dashboard opens.
+`;
+
+async function buildDocx(bodyXml, extraParts = {}) {
+  const w = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+  const zip = new JSZip();
+  zip.file("[Content_Types].xml", `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+</Types>`);
+  zip.file("_rels/.rels", `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`);
+  zip.file("word/_rels/document.xml.rels", `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`);
+  zip.file("word/styles.xml", `<?xml version="1.0" encoding="UTF-8"?>
+<w:styles ${w}>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/></w:style>
+</w:styles>`);
+  zip.file("word/document.xml", `<?xml version="1.0" encoding="UTF-8"?>
+<w:document ${w}><w:body>${bodyXml}</w:body></w:document>`);
+  for (const [name, xml] of Object.entries(extraParts)) zip.file(name, xml);
+  return zip.generateAsync({ type: "nodebuffer" });
+}
+
+const paragraph = (text, style) =>
+  `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ""}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+const tableXml = rows =>
+  `<w:tbl>${rows.map(cells => `<w:tr>${cells.map(cell => `<w:tc>${paragraph(cell)}</w:tc>`).join("")}</w:tr>`).join("")}</w:tbl>`;
+
+// Minimal single-page PDF with one Helvetica text line per entry; xref offsets are computed
+function buildPdf(lines) {
+  const content = lines.map(({ size, y, text }) => `BT /F1 ${size} Tf 72 ${y} Td (${text}) Tj ET`).join("\n");
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+    `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`
+  ];
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
+
+test("markdown: sections, typed tables, figma links and classification", async () => {
+  const parsed = await parse(fixture("md/spec.md", SPEC_MD));
+
+  assert.equal(parsed.source_format, "markdown");
+  assert.equal(parsed.sections.length, 1);
+  const [login] = parsed.sections;
+  assert.equal(login.title, "Login");
+  assert.equal(login.children[0].title, "Acceptance criteria");
+
+  assert.equal(parsed.tables.length, 1);
+  const [table] = parsed.tables;
+  assert.deepEqual(table.header, ["Field", "Max length", "Required"]);
+  assert.deepEqual(table.column_types, ["text", "number", "boolean"]);
+  assert.deepEqual(table.records[0], { Field: "Email", "Max length": 120, Required: true });
+  assert.equal(table.section_id, "login");
+
+  assert.equal(parsed.figma_references.length, 1);
+  assert.equal(parsed.figma_references[0].file_key, "AbC123");
+  assert.equal(parsed.figma_references[0].node_id, "12:34");
+  assert.equal(parsed.figma_references[0].link_text, "Login screen");
+
+  const requirement = parsed.classified_content.find(entry => entry.text.startsWith("The system shall"));
+  assert.equal(requirement.category, "functional_requirement");
+  assert.match(requirement.block_id, /^login\.[0-9a-f]{8}$/);
+  assert.ok(parsed.classified_content.some(entry => entry.category === "acceptance_criterion"));
+});
+
+test("docx: heading styles become sections and tables are extracted", async () => {
+  const file = fixture("docx/spec.docx", await buildDocx([
+    paragraph("Reporting", "Heading1"),
+    paragraph("The system shall export monthly reports."),
+    tableXml([["Report", "Rows"], ["Sales", "10"], ["Stock", "25"]]),
+    paragraph("Export", "Heading2"),
+    paragraph("Exports are written as CSV.")
+  ].join("")));
+
+  const parsed = await parse(file);
+
+  assert.equal(parsed.source_format, "docx");
+  assert.equal(parsed.sections[0].title, "Reporting");
+  assert.equal(parsed.sections[0].children[0].title, "Export");
+  assert.match(parsed.sections[0].children[0].text, /written as CSV/);
+  assert.deepEqual(parsed.tables[0].header, ["Report", "Rows"]);
+  assert.deepEqual(parsed.tables[0].column_types, ["text", "number"]);
+  assert.equal(parsed.tables[0].records[1].Rows, 25);
+});
+
+test("html: scripts are dropped and headings nest", async () => {
+  const file = fixture("html/spec.html", `<html><head><script>window.secret = 1;</script></head><body>
+<h1>Catalog</h1><p>The system shall list products.</p>
+<h2>Filters</h2><p>Filter by category.</p>
+</body></html>`);
+
+  const parsed = await parse(file);
+
+  assert.equal(parsed.source_format, "html");
+  assert.doesNotMatch(parsed.raw_text, /secret/);
+  assert.equal(parsed.sections[0].title, "Catalog");
+  assert.equal(parsed.sections[0].children[0].title, "Filters");
+});
+
+test("pdf: larger lines become headings and bullets become lists", async () => {
+  const file = fixture("pdf/spec.pdf", buildPdf([
+    { size: 20, y: 720, text: "Payments" },
+    { size: 11, y: 690, text: "The system shall accept card payments." },
+    { size: 11, y: 670, text: "- Visa" },
+    { size: 11, y: 655, text: "- Mastercard" },
+    { size: 11, y: 635, text: "Refunds are processed within five days." }
+  ]));
+
+  const parsed = await parse(file, { output_format: "html" });
+
+  assert.equal(parsed.source_format, "pdf");
+  assert.equal(parsed.sections[0].title, "Payments");
+  assert.match(parsed.sections[0].html, /<li>\s*Visa\s*<\/li>/);
+  assert.match(parsed.raw_text, /Refunds are processed/);
+});
+
+test("figma: node ids are normalised, bare node-id mentions borrow the last file key and malformed links do not fail the parse", async () => {
+  const file = fixture("figma/spec.md", `# Screens
+
+[Encoded](https://www.figma.com/file/Key1/App?node-id=1%3A2) and
+[Broken](https://www.figma.com/design/Key2/App?node-id=%E0%A4%A) and
+[Dashed](https://www.figma.com/proto/Key3/App?node-id=7-8).
+
+## Details
+
+Build node-ids 9:10 and 11-12 from the same file.
+`);
+
+  const parsed = await parse(file);
+  const byKey = Object.fromEntries(parsed.figma_references.filter(ref => ref.source === "link").map(ref => [ref.file_key, ref]));
+
+  assert.equal(byKey.Key1.node_id, "1:2");
+  assert.equal(byKey.Key3.node_id, "7:8");
+  assert.deepEqual([byKey.Key3.link_text, byKey.Key3.section_id], ["Dashed", "screens"]);
+  assert.ok(byKey.Key2, "malformed escape still yields a reference");
+
+  const mentions = parsed.figma_references.filter(ref => ref.source === "node_id_text");
+  assert.deepEqual(mentions.map(ref => [ref.file_key, ref.node_id, ref.section_id, ref.file_key_inferred]), [
+    ["Key3", "9:10", "details", true],
+    ["Key3", "11:12", "details", true]
+  ]);
+  assert.equal(parsed.metadata.figma_nodes_found, 5);
+});
+
+test("unsupported and missing documents return errors", async () => {
+  assert.ok((await parse(path.join(workDir, "missing.md"))).error);
+  assert.ok((await parse(fixture("other/notes.xyz", "plain"))).error);
+});
+
+const PNG_1X1 = "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==";
+
+test("cache: hit on an unchanged document, miss once it or a referenced image changes", async () => {
+  const image = fixture("cache/mockup.png", Buffer.from(PNG_1X1, "base64"));
+  const file = fixture("cache/spec.md", "# Home\n\nThe system shall show a dashboard.\n\n![Mockup](mockup.png)\n");
+  const status = async () => (await parse(file, { force: false })).metadata.cache_status;
+
+  assert.equal(await status(), "miss");
+  assert.equal(await status(), "hit");
+  assert.equal((await parse(file)).metadata.cache_status, "bypassed");
+
+  const parsed = await parse(file, { force: false });
+  assert.deepEqual(parsed.metadata.referenced_files, [image]);
+
+  fs.writeFileSync(image, Buffer.concat([Buffer.from(PNG_1X1, "base64"), Buffer.from([0])]));
+  assert.equal(await status(), "miss");
+  assert.equal(await status(), "hit");
+
+  fs.appendFileSync(file, "\nThe dashboard shall refresh every minute.\n");
+  assert.equal(await status(), "miss");
+});
+
+test("diff: added, removed, renamed and modified sections and tables, against a saved snapshot", async () => {
+  const base = fixture("diff/v1.md", `# Intro
+
+Welcome text.
+
+# Login
+
+Users sign in with email.
+
+| Field | Max |
+|---|---|
+| Email | 120 |
+
+# Profile
+
+Users edit their profile.
+
+# Legacy
+
+Old stuff.
+`);
+  const target = fixture("diff/v2.md", `# Intro
+
+Welcome text.
+
+# Login
+
+Users sign in with email or phone.
+
+| Field | Max |
+|---|---|
+| Email | 200 |
+
+# User profile
+
+Users edit their profile.
+
+# Reports
+
+The system shall export reports.
+`);
+  const snapshot = path.join(workDir, "diff/v1.snapshot.json");
+
+  const first = result(await parser.diffDocuments({ base_path: base, target_path: target, save_snapshot_path: snapshot }));
+  assert.deepEqual(first.sections.added.map(section => section.id), ["reports"]);
+  assert.deepEqual(first.sections.removed.map(section => section.id), ["legacy"]);
+  assert.deepEqual(first.sections.renamed.map(section => [section.previous_id, section.id]), [["profile", "user-profile"]]);
+  assert.deepEqual(first.sections.modified.map(section => section.id), ["login"]);
+  assert.equal(first.tables.modified.length, 1);
+  assert.equal(first.summary.has_changes, true);
+  assert.ok(fs.existsSync(snapshot));
+
+  const unchanged = result(await parser.diffDocuments({ base_path: snapshot, target_path: target }));
+  assert.equal(unchanged.base.kind, "snapshot");
+  assert.equal(unchanged.summary.has_changes, false);
+});
+
+test("chunking: section-aligned chunks within budget, paged by id or number", async () => {
+  const paragraphText = index => `The system shall handle case ${index} ${"with a long explanation ".repeat(8)}`.trim();
+  const file = fixture("chunks/spec.md", [
+    "# Small\n\nShort intro.",
+    `# Large\n\n${Array.from({ length: 6 }, (_, index) => paragraphText(index)).join("\n\n")}`,
+    "# Tail\n\nClosing words."
+  ].join("\n\n"));
+  const budget = 600;
+
+  const summary = await parse(file, { output_format: "markdown", max_chunk_chars: budget });
+  assert.equal(summary.chunking.max_chunk_chars, budget);
+  assert.ok(summary.chunks.length > 2);
+  assert.ok(summary.chunks.every(chunk => chunk.chars <= budget));
+  assert.ok(summary.chunks.some(chunk => chunk.continued));
+  assert.deepEqual(summary.outline.find(section => section.id === "small").chunk_ids, ["chunk-1"]);
+  assert.ok(summary.outline.find(section => section.id === "large").chunk_ids.length > 1);
+
+  const page = async chunk_id =>
+    result(await parser.getDocumentChunk({ document_path: file, chunk_id, output_format: "markdown", max_chunk_chars: budget }));
+  const seen = [];
+  for (let chunkId = "chunk-1"; chunkId; ) {
+    const chunk = await page(chunkId);
+    seen.push(chunk.chunk.content);
+    chunkId = chunk.next_chunk_id;
+  }
+  assert.equal(seen.length, summary.chunks.length);
+  assert.match(seen.join("\n\n"), /case 5/);
+  assert.match(seen.at(-1), /Closing words/);
+
+  assert.equal((await page("2")).chunk.chunk_id, "chunk-2");
+  assert.equal((await page(2)).chunk.chunk_id, "chunk-2");
+  assert.equal((await page("chunk-99")).error, "Chunk not found");
+  assert.match((await parse(file, { max_chunk_chars: 10 })).details, /at least 500/);
+});
+
+test("chunking: paging with ocr_images reuses the parse_document cache entry", async () => {
+  const file = fixture("chunks/ocr.md", `# Scan\n\n${"The system shall archive scanned forms. ".repeat(30)}\n\n# Review\n\nReviewers approve forms.\n`);
+  const options = { document_path: file, output_format: "markdown", max_chunk_chars: 600, ocr_images: true };
+
+  const summary = result(await parser.parseDocument(options));
+  assert.equal(summary.metadata.cache_status, "miss");
+
+  const chunk = result(await parser.getDocumentChunk({ ...options, chunk_id: summary.chunks[1].chunk_id }));
+  assert.equal(chunk.cache_status, "hit");
+  assert.equal(chunk.total_chunks, summary.chunks.length);
+});
+
+const ANCHOR_MD = `# Setup
+
+Install the agent.
+
+Configure the proxy.
+
+# Usage
+
+Run the sync job.
+
+- Retry failed items.
+`;
+
+const blockIds = parsed => new Map(parsed.blocks.map(block => [block.text, block.id]));
+
+test("anchors: editing a paragraph changes only its own block id and resolve_anchor reports it as changed", async () => {
+  const file = fixture("anchors/edit.md", ANCHOR_MD);
+  const before = await parse(file);
+  const proxyId = blockIds(before).get("Configure the proxy.");
+  assert.match(proxyId, /^setup\.[0-9a-f]{8}$/);
+
+  fs.writeFileSync(file, ANCHOR_MD.replace("Configure the proxy.", "Configure the HTTP proxy."));
+  const after = await parse(file);
+  const afterIds = blockIds(after);
+  for (const [text, id] of blockIds(before)) {
+    if (text !== "Configure the proxy.") assert.equal(afterIds.get(text), id, text);
+  }
+  assert.notEqual(afterIds.get("Configure the HTTP proxy."), proxyId);
+
+  const resolved = result(await parser.resolveAnchor({
+    document_path: file,
+    anchors: [afterIds.get("Run the sync job."), "usage", proxyId, "billing.0000abcd"]
+  }));
+  const [block, section, changed, missing] = resolved.results;
+  assert.deepEqual([block.status, block.kind, block.block.text], ["exact", "block", "Run the sync job."]);
+  assert.equal(block.next_block.text, "Retry failed items.");
+  assert.deepEqual([section.status, section.kind, section.section.title], ["exact", "section", "Usage"]);
+  assert.equal(changed.status, "changed");
+  assert.ok(changed.candidates.some(candidate => candidate.text === "Configure the HTTP proxy." && candidate.section_id === "setup"));
+  assert.equal(missing.status, "not_found");
+});
+
+test("anchors: a same-titled heading inserted earlier keeps the ids of the blocks below it", async () => {
+  const file = fixture("anchors/duplicate.md", ANCHOR_MD);
+  const before = await parse(file);
+
+  fs.writeFileSync(file, `# Usage\n\nQuick start notes.\n\n${ANCHOR_MD}`);
+  const after = await parse(file);
+
+  assert.deepEqual(after.sections.map(section => section.id), ["usage", "setup", "usage-2"]);
+  const afterIds = blockIds(after);
+  for (const block of before.blocks.filter(block => block.type !== "heading")) {
+    assert.equal(afterIds.get(block.text), block.id, block.text);
+  }
+  const syncJob = after.blocks.find(block => block.text === "Run the sync job.");
+  assert.equal(syncJob.section_id, "usage-2");
+  assert.match(syncJob.id, /^usage\.[0-9a-f]{8}$/);
+});
+
+
+const LINT_MD = `# Overview
+
+The system shall export reports.
+
+# Mockups
+
+![Home](home.png)
+
+# Limits
+
+| Field | Max |
+|---|---|
+| Name | 50 |
+
+# Open points
+
+# Details
+
+Acceptance criteria are TBD.
+
+## Notes
+
+First note.
+
+# Notes
+
+Second note.
+`;
+
+test("lint: images and tables count as content, duplicate-heading is opt-in and fail_on sets the threshold", async () => {
+  fixture("lint/home.png", Buffer.from(PNG_1X1, "base64"));
+  const file = fixture("lint/spec.md", LINT_MD);
+  const lint = async extra => result(await parser.lintDocument({ document_path: file, ...extra }));
+  const findingsOf = (linted, rule) => linted.findings.filter(finding => finding.rule === rule);
+
+  const defaults = await lint();
+  assert.deepEqual(findingsOf(defaults, "empty-section").map(finding => finding.section_id), ["open-points"]);
+  assert.deepEqual(findingsOf(defaults, "duplicate-heading"), []);
+  assert.equal(defaults.rules["duplicate-heading"].severity, "off");
+  assert.deepEqual(findingsOf(defaults, "placeholder").map(finding => [finding.severity, finding.section_id]), [["warning", "details"]]);
+  assert.equal(defaults.summary.errors, 0);
+  assert.equal(defaults.passed, true);
+
+  const strict = await lint({ fail_on: "warning", rules: { "duplicate-heading": "error", "empty-section": "off" } });
+  assert.deepEqual(findingsOf(strict, "duplicate-heading").map(finding => [finding.severity, finding.section_id]), [["error", "notes-2"]]);
+  assert.deepEqual(findingsOf(strict, "empty-section"), []);
+  assert.equal(strict.findings[0].severity, "error");
+  assert.equal(strict.passed, false);
+
+  const scoped = await lint({ rules: { "duplicate-heading": { severity: "warning", same_parent_only: true } } });
+  assert.deepEqual(findingsOf(scoped, "duplicate-heading"), []);
+  assert.equal(scoped.rules["duplicate-heading"].same_parent_only, true);
+
+  const config = fixture("lint/lint.json", JSON.stringify({ rules: { placeholder: "error", "empty-section": "info" } }));
+  const configured = await lint({ config_path: config, rules: { "empty-section": "off" } });
+  assert.deepEqual(findingsOf(configured, "placeholder").map(finding => finding.severity), ["error"]);
+  assert.deepEqual(findingsOf(configured, "empty-section"), []);
+  assert.equal(configured.passed, false);
+  assert.equal((await lint({ config_path: config, fail_on: "fatal" })).error, "Unsupported fail_on");
+
+  assert.match((await lint({ rules: { "no-such-rule": "error" } })).details, /Unknown lint rules: no-such-rule/);
+  assert.match((await lint({ rules: { placeholder: "critical" } })).details, /Invalid severity "critical"/);
+});
+
+test("glossary: column names with regex metacharacters are matched literally in prose", async () => {
+  const file = fixture("glossary/query.md", `# Query
+
+\`\`\`xml
+<fetch>
+<entity name="account">
+<attribute name="parent.name" />
+<attribute name="revenue(usd)" />
+</entity>
+</fetch>
+\`\`\`
+
+# Notes
+
+The report shows parent.name next to the owner.
+
+The parentXname column is unrelated.
+`);
+
+  const glossary = result(await parser.extractGlossary({ document_path: file, force: true }));
+  assert.equal(glossary.error, undefined);
+  const column = name => glossary.dataverse_names.find(entry => entry.kind === "column" && entry.logical_name === name);
+
+  assert.equal(column("parent.name").table, "account");
+  assert.deepEqual(column("parent.name").occurrences.map(occurrence => occurrence.section_id), ["query", "notes"]);
+  assert.deepEqual(column("revenue(usd)").occurrences.map(occurrence => occurrence.section_id), ["query"]);
+  assert.equal(glossary.summary.columns, 2);
+});
+
+test("clean images: folders without a manifest are left alone, orphaned and legacy images are removed", async () => {
+  const png = Buffer.from(PNG_1X1, "base64");
+  const clean = async args => result(await parser.cleanExtractedImages(args));
+
+  const unmanaged = path.join(workDir, "clean/unmanaged");
+  fixture("clean/unmanaged/photo.png", png);
+  const refused = await clean({ image_output_dir: unmanaged });
+  assert.match(refused.error, /No image manifest/);
+  assert.ok(fs.existsSync(path.join(unmanaged, "photo.png")));
+
+  const document = fixture("clean/spec.docx", "");
+  const imageDir = path.join(workDir, "clean/extracted_images");
+  const image = name => path.join(imageDir, name);
+  for (const name of ["kept.png", "orphan.png", "old.png"]) fixture(`clean/extracted_images/${name}`, png);
+  fixture("clean/extracted_images/notes.txt", "not an image");
+  fixture("clean/extracted_images/spec.1234abcd.images.json", JSON.stringify({ document_path: document, images: [{ filename: "kept.png" }] }));
+  fixture("clean/extracted_images/gone.5678abcd.images.json", JSON.stringify({ document_path: path.join(workDir, "clean/gone.docx"), images: [{ filename: "old.png" }] }));
+  const legacy = fixture("clean/spec_image_1700000000000_abc123def.png", png);
+  const unrelated = fixture("clean/diagram.png", png);
+
+  const preview = await clean({ document_path: document, dry_run: true });
+  assert.equal(preview.image_output_dir, imageDir);
+  assert.deepEqual(preview.removed.map(entry => entry.path).sort(), [image("gone.5678abcd.images.json"), image("old.png"), image("orphan.png")]);
+  assert.equal(preview.legacy_directory, null);
+  assert.ok(fs.existsSync(image("orphan.png")));
+
+  const cleaned = await clean({ document_path: document });
+  assert.equal(cleaned.files_removed, 3);
+  assert.deepEqual(fs.readdirSync(imageDir).sort(), ["kept.png", "notes.txt", "spec.1234abcd.images.json"]);
+  assert.ok(fs.existsSync(legacy));
+
+  const withLegacy = await clean({ document_path: document, include_legacy: true });
+  assert.deepEqual(withLegacy.removed.map(entry => [entry.path, entry.reason]), [[legacy, "legacy timestamp-named image"]]);
+  assert.equal(withLegacy.legacy_directory, path.dirname(document));
+  assert.ok(!fs.existsSync(legacy));
+  assert.ok(fs.existsSync(unrelated));
+  assert.ok(fs.existsSync(image("kept.png")));
+
+  assert.match((await clean({})).error, /Provide document_path or image_output_dir/);
+});
+
+test("sections: headings nest by level with anchor ids and their own body html and text", async () => {
+  const file = fixture("sections/spec.md", `Draft for review.
+
+# Orders
+
+Orders list.
+
+## Filters
+
+Filter by *status*.
+
+### Saved filters
+
+Users keep up to 5 filters.
+
+## Export
+
+# Orders
+`);
+
+  const parsed = await parse(file, { output_format: "all" });
+  const shape = sections => sections.map(({ id, level, title, children }) => ({ id, level, title, children: shape(children) }));
+
+  assert.deepEqual(shape(parsed.sections), [
+    { id: "preamble", level: 0, title: "", children: [] },
+    { id: "orders", level: 1, title: "Orders", children: [
+      { id: "filters", level: 2, title: "Filters", children: [
+        { id: "saved-filters", level: 3, title: "Saved filters", children: [] }
+      ] },
+      { id: "export", level: 2, title: "Export", children: [] }
+    ] },
+    { id: "orders-2", level: 1, title: "Orders", children: [] }
+  ]);
+  const [preamble, orders] = parsed.sections;
+  const filters = orders.children[0];
+  assert.equal(preamble.text, "Draft for review.");
+  assert.equal(orders.text, "Orders list.");
+  assert.equal(filters.html, "<p>Filter by <em>status</em>.</p>");
+  assert.equal(filters.text, "Filter by status.");
+  assert.equal(filters.children[0].text, "Users keep up to 5 filters.");
+  assert.equal(orders.children[1].text, "");
+  assert.equal(parsed.metadata.sections_found, 6);
+});
+
+test("tables: merged cells are repeated into the grid, marked headers win and the heading is the caption", async () => {
+  const file = fixture("tables/kpis.html", `<h1>KPI definitions</h1>
+<table>
+<tr><th>Region</th><th>Quarter</th><th>Target</th><th>Budget</th></tr>
+<tr><td rowspan="2">North</td><td>Q1</td><td>40%</td><td>$1,200</td></tr>
+<tr><td>Q2</td><td>45%</td><td>$1,500</td></tr>
+<tr><td colspan="2">Total</td><td>42.5%</td><td>$2,700</td></tr>
+</table>
+<h2>Notes</h2>
+<table><tr><td>10</td><td>yes</td></tr><tr><td>20</td><td>no</td></tr></table>`);
+
+  const [kpis, notes] = (await parse(file)).tables;
+
+  assert.equal(kpis.caption, "KPI definitions");
+  assert.equal(kpis.section_id, "kpi-definitions");
+  assert.equal(kpis.header_source, "marked");
+  assert.deepEqual(kpis.rows, [["North", "Q1", "40%", "$1,200"], ["North", "Q2", "45%", "$1,500"], ["Total", "Total", "42.5%", "$2,700"]]);
+  assert.deepEqual(kpis.merged_cells, [
+    { row: 1, column: 0, row_span: 2, col_span: 1, text: "North" },
+    { row: 3, column: 0, row_span: 1, col_span: 2, text: "Total" }
+  ]);
+  assert.deepEqual(kpis.column_types, ["text", "text", "percentage", "currency"]);
+  assert.deepEqual(kpis.records[1], { Region: "North", Quarter: "Q2", Target: 45, Budget: 1500 });
+  assert.deepEqual([kpis.row_count, kpis.column_count], [3, 4]);
+
+  assert.equal(notes.caption, "Notes");
+  assert.equal(notes.header_source, "none");
+  assert.deepEqual(notes.header, []);
+  assert.deepEqual(notes.column_types, ["number", "boolean"]);
+  assert.deepEqual(notes.records, [{ column_1: 10, column_2: true }, { column_1: 20, column_2: false }]);
+});
+
+test("parse_directory: classifies PM and dev specs, filters by pattern and reports failures", async () => {
+  fixture("folder/PM_Dashboard.md", "# Objective\n\nTrack sales.\n\n# User stories\n\nAs a manager I want a dashboard.\n");
+  fixture("folder/notes.md", "# Architecture\n\nThe PCF control reads a FetchXML query.\n\n# Data model\n\nOne table.\n");
+  fixture("folder/misc.md", "# Agenda\n\nWeekly sync.\n");
+  fixture("folder/broken.pdf", "not a pdf");
+  fixture("folder/~$PM_Dashboard.md", "lock file");
+  fixture("folder/readme.txt", "ignored");
+  fixture("folder/nested/Dev_Spec.md", "# Implementation\n\nUse the Web API.\n");
+  const directory = path.join(workDir, "folder");
+  const scan = async extra => result(await parser.parseDirectory({ directory_path: directory, include_content: false, output_format: "text", ...extra }));
+
+  const flat = await scan();
+  assert.deepEqual(flat.documents.map(doc => doc.relative_path), ["misc.md", "notes.md", "PM_Dashboard.md"]);
+  assert.deepEqual(flat.errors.map(error => error.relative_path), ["broken.pdf"]);
+  assert.deepEqual(flat.summary.pm_specs, ["PM_Dashboard.md"]);
+  assert.deepEqual(flat.summary.dev_specs, ["notes.md"]);
+  assert.deepEqual(flat.summary.unclassified, ["misc.md"]);
+  assert.equal(flat.summary.documents_found, 4);
+  const pm = flat.documents.find(doc => doc.relative_path === "PM_Dashboard.md");
+  assert.deepEqual(pm.classification.scores, { pm_spec: 4, dev_spec: 0 });
+  assert.equal(pm.classification.confidence, 1);
+  assert.ok(pm.metadata && !pm.result);
+
+  const nested = await scan({ recursive: true, pattern: "**/*spec*.md" });
+  assert.deepEqual(nested.documents.map(doc => [doc.relative_path, doc.classification.type]), [["nested/Dev_Spec.md", "dev_spec"]]);
+
+  assert.equal((await scan({ directory_path: path.join(directory, "missing") })).error, "Directory not found");
+});
+
+test("output_format: markdown keeps emphasis, nested lists, tables and extracted image paths; each format returns its own fields", async () => {
+  fixture("formats/mock.png", Buffer.from(PNG_1X1, "base64"));
+  const file = fixture("formats/spec.html", `<h1>Search</h1>
+<p>Results are <strong>sorted</strong> by <em>relevance</em>.</p>
+<ul><li>Filters<ul><li>By date</li></ul></li><li>Paging</li></ul>
+<table><tr><th>Field</th><th>Type</th></tr><tr><td>Name</td><td>Text | short</td></tr></table>
+<p><img src="mock.png" alt="Search mockup"></p>`);
+
+  const markdown = await parse(file, { output_format: "markdown" });
+  const [image] = markdown.extracted_images;
+  assert.equal(path.dirname(image.path), path.join(workDir, "formats/extracted_images"));
+  assert.equal(markdown.markdown_content, [
+    "# Search",
+    "Results are **sorted** by *relevance*.",
+    "- Filters\n  - By date\n- Paging",
+    "| Field | Type |\n| --- | --- |\n| Name | Text \\| short |",
+    `![Search mockup](${image.path})`
+  ].join("\n\n"));
+  assert.equal(markdown.raw_text, undefined);
+  assert.equal(markdown.html_content, undefined);
+  assert.deepEqual(Object.keys(markdown.sections[0]), ["id", "level", "title", "markdown", "children"]);
+
+  const text = await parse(file);
+  assert.match(text.raw_text, /^Results are sorted by relevance\.$/m);
+  assert.match(text.raw_text, /^Name \| Text \| short$/m);
+  assert.match(text.raw_text, /^\[Image: Search mockup\]$/m);
+  assert.equal(text.markdown_content, undefined);
+
+  const all = await parse(file, { output_format: "all" });
+  assert.equal(all.markdown_content, markdown.markdown_content);
+  assert.equal(all.raw_text, text.raw_text);
+  assert.match(all.html_content, /<strong>sorted<\/strong>/);
+  assert.deepEqual(Object.keys(all.sections[0]), ["id", "level", "title", "html", "markdown", "text", "children"]);
+
+  assert.equal((await parse(file, { output_format: "pdf" })).error, "Unsupported output_format");
+});
+
+test("classification: statements are tagged by keyword, modal verb and heading, with section anchors", async () => {
+  const file = fixture("classify/spec.md", `# Requirements
+
+The system must export invoices to PDF.
+
+Page load time must stay under 2 seconds.
+
+We assume users already have a Dynamics licence.
+
+Should archived invoices be exported too?
+
+Bulk export is out of scope for this release.
+
+## Acceptance criteria
+
+- Given an approved invoice, when the user exports it, then a PDF is downloaded.
+
+# Background
+
+The team met on Monday.
+`);
+
+  const parsed = await parse(file);
+  const categoryOf = text => parsed.classified_content.find(item => item.text === text)?.category;
+
+  assert.equal(categoryOf("The system must export invoices to PDF."), "functional_requirement");
+  assert.equal(categoryOf("Page load time must stay under 2 seconds."), "non_functional_requirement");
+  assert.equal(categoryOf("We assume users already have a Dynamics licence."), "assumption");
+  assert.equal(categoryOf("Should archived invoices be exported too?"), "open_question");
+  assert.equal(categoryOf("Bulk export is out of scope for this release."), "out_of_scope");
+  assert.equal(categoryOf("Given an approved invoice, when the user exports it, then a PDF is downloaded."), "acceptance_criterion");
+  assert.equal(categoryOf("The team met on Monday."), undefined);
+
+  const criterion = parsed.classified_content.find(item => item.category === "acceptance_criterion");
+  assert.deepEqual([criterion.section_id, criterion.source_type], ["acceptance-criteria", "bullet"]);
+  assert.ok(criterion.signals.includes("gherkin"));
+  assert.ok(criterion.signals.includes("heading:Acceptance criteria"));
+  assert.equal(parsed.metadata.classification_summary.unclassified, 1);
+});
+
+test("docx review data: comments with anchors and resolution, tracked changes and core properties", async () => {
+  const w = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+  const w14 = 'xmlns:w14="http://schemas.microsoft.com/office/word/2010/wordml"';
+  const change = (tag, id, text) =>
+    `<w:${tag} w:id="${id}" w:author="Dana" w:date="2026-03-02T10:00:00Z"><w:r><w:${tag === "del" ? "delText" : "t"}>${text}</w:${tag === "del" ? "delText" : "t"}></w:r></w:${tag}>`;
+  const commentXml = (id, author, text, paraId) =>
+    `<w:comment w:id="${id}" w:author="${author}" w:date="2026-03-01T09:00:00Z"><w:p w14:paraId="${paraId}"><w:r><w:t>${text}</w:t></w:r></w:p></w:comment>`;
+
+  const file = fixture("review/spec.docx", await buildDocx([
+    paragraph("Overview", "Heading1"),
+    paragraph("Sales dashboard for managers."),
+    paragraph("Filters", "Heading1"),
+    `<w:p><w:commentRangeStart w:id="1"/><w:r><w:t>Filter by region</w:t></w:r><w:commentRangeEnd w:id="1"/><w:r><w:commentReference w:id="1"/></w:r>${change("ins", "10", " and owner")}${change("del", "11", " or team")}</w:p>`,
+    `<w:p><w:commentRangeStart w:id="3"/><w:r><w:t>Default sort is by date</w:t></w:r><w:commentRangeEnd w:id="3"/><w:r><w:commentReference w:id="3"/></w:r></w:p>`
+  ].join(""), {
+    "word/comments.xml": `<?xml version="1.0" encoding="UTF-8"?><w:comments ${w} ${w14}>${[
+      commentXml("1", "Alex", "Which regions?", "AA000001"),
+      commentXml("2", "Sam", "EMEA and APAC.", "AA000002"),
+      commentXml("3", "Alex", "Agreed.", "AA000003")
+    ].join("")}</w:comments>`,
+    "word/commentsExtended.xml": `<?xml version="1.0" encoding="UTF-8"?><w15:commentsEx xmlns:w15="http://schemas.microsoft.com/office/word/2012/wordml">
+<w15:commentEx w15:paraId="AA000001" w15:done="0"/><w15:commentEx w15:paraId="AA000002" w15:paraIdParent="AA000001" w15:done="0"/><w15:commentEx w15:paraId="AA000003" w15:done="1"/></w15:commentsEx>`,
+    "docProps/core.xml": `<?xml version="1.0" encoding="UTF-8"?><cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/">
+<dc:title>Sales dashboard</dc:title><dc:creator>Alex</dc:creator><cp:lastModifiedBy>Dana</cp:lastModifiedBy><cp:revision>7</cp:revision><dcterms:modified>2026-03-02T10:00:00Z</dcterms:modified></cp:coreProperties>`
+  }));
+
+  const parsed = await parse(file);
+  const comments = Object.fromEntries(parsed.review_comments.map(comment => [comment.id, comment]));
+
+  assert.deepEqual(
+    [comments["1"].author, comments["1"].text, comments["1"].anchored_text, comments["1"].section_id, comments["1"].resolved],
+    ["Alex", "Which regions?", "Filter by region", "filters", false]
+  );
+  assert.deepEqual([comments["2"].reply_to, comments["2"].anchored_text, comments["2"].section_id], ["1", "Filter by region", "filters"]);
+  assert.deepEqual([comments["3"].anchored_text, comments["3"].resolved], ["Default sort is by date", true]);
+
+  assert.deepEqual(parsed.tracked_changes.map(({ type, text, author, section_id }) => [type, text, author, section_id]), [
+    ["insertion", " and owner", "Dana", "filters"],
+    ["deletion", " or team", "Dana", "filters"]
+  ]);
+  assert.match(parsed.raw_text, /Filter by region and owner/);
+  assert.doesNotMatch(parsed.raw_text, /or team/);
+
+  assert.deepEqual(
+    [parsed.document_properties.title, parsed.document_properties.author, parsed.document_properties.last_modified_by, parsed.document_properties.revision],
+    ["Sales dashboard", "Alex", "Dana", 7]
+  );
+  assert.deepEqual(parsed.metadata.review_summary, {
+    comments: 3, open_comments: 2, resolved_comments: 1, insertions: 1, deletions: 1, moves: 0, formatting_changes: 0
+  });
+
+  const lint = result(await parser.lintDocument({ document_path: file }));
+  assert.deepEqual(lint.findings.filter(finding => finding.rule === "unresolved-comment").map(finding => finding.text), ["Filter by region"]);
+});
+
+// OCR recognition itself is not exercised: the repo has no image with text in it and drawing one
+// would need a rendering dependency, so only the context, kind and skip paths are covered
+test("images: captions and surrounding text give each image its context, kind and alt text", async () => {
+  const png = Buffer.from(PNG_1X1, "base64");
+  fixture("images/home.png", png);
+  fixture("images/arch.png", Buffer.concat([png, Buffer.from([0])]));
+  const file = fixture("images/spec.md", `# Screens
+
+The landing page after sign-in.
+
+![](home.png)
+
+Figure 1: Dashboard layout
+
+# Platform
+
+Services talk through the integration layer.
+
+![](arch.png)
+`);
+
+  const parsed = await parse(file);
+  const [home, arch] = parsed.extracted_images;
+
+  assert.deepEqual(home.context, {
+    section_id: "screens",
+    section_title: "Screens",
+    caption: "Figure 1: Dashboard layout",
+    preceding_text: "The landing page after sign-in.",
+    following_text: "Figure 1: Dashboard layout"
+  });
+  assert.match(home.alt_text, /^Extracted image: /);
+  assert.deepEqual([home.image_kind, home.image_kind_basis, home.inferred_alt_text], ["ui_mockup", "context", "Figure 1: Dashboard layout"]);
+
+  assert.equal(arch.context.caption, null);
+  assert.deepEqual([arch.image_kind, arch.image_kind_basis, arch.inferred_alt_text], ["architecture_diagram", "context", 'Image in section "Platform"']);
+  assert.equal(home.ocr, undefined);
+
+  fixture("images/logo.svg", '<svg xmlns="http://www.w3.org/2000/svg" width="1" height="1"/>');
+  const svg = await parse(fixture("images/logo.md", "# About\n\n![](logo.svg)\n"), { ocr_images: true });
+  assert.deepEqual(svg.extracted_images[0].ocr, { text: null, confidence: null, skipped: "unsupported image format" });
+  assert.deepEqual([svg.extracted_images[0].image_kind, svg.metadata.images_ocr_processed], ["unknown", 0]);
+});